@@ -0,0 +1,121 @@
+/**
+ * Cache store backends for openfda-client
+ *
+ * Every store exposes the same small Map-like interface so getCachedOrFetch,
+ * cleanExpiredCache and getCacheStats do not care where entries live:
+ *   get(key), set(key, item), delete(key), keys(), entries(), size, flush()
+ * Items are { data, timestamp } objects; TTLs are applied by openfda-client.
+ *
+ * Backends:
+ * - memory: process-local Map (default, lost on restart)
+ * - file:   Map mirrored to a JSON file so the cache survives restarts and redeploys
+ */
+
+import path from 'path';
+import { DATA_DIR, readJsonFile, writeJsonFile } from './persistence.js';
+
+// Delay before dirty file-store entries are written to disk
+const FILE_FLUSH_DELAY_MS = 5000;
+
+/**
+ * Create an in-memory cache store
+ * @returns {Object} Cache store
+ */
+export function createMemoryCacheStore() {
+    const entries = new Map();
+
+    return {
+        type: 'memory',
+        get: (key) => entries.get(key),
+        set: (key, item) => {
+            entries.set(key, item);
+        },
+        delete: (key) => entries.delete(key),
+        keys: () => entries.keys(),
+        entries: () => entries.entries(),
+        get size() {
+            return entries.size;
+        },
+        flush: () => {}
+    };
+}
+
+/**
+ * Create a cache store persisted to a JSON file
+ * Entries are loaded once at startup and written back shortly after changes
+ * @param {string} filePath
+ * @returns {Object} Cache store
+ */
+export function createFileCacheStore(filePath) {
+    const memoryStore = createMemoryCacheStore();
+    let flushTimer = null;
+
+    const saved = readJsonFile(filePath, {});
+    for (const [key, item] of Object.entries(saved.entries || {})) {
+        if (item && typeof item.timestamp === 'number') {
+            memoryStore.set(key, item);
+        }
+    }
+
+    const flush = () => {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        writeJsonFile(filePath, {
+            saved_at: new Date().toISOString(),
+            entries: Object.fromEntries(memoryStore.entries())
+        });
+    };
+
+    const scheduleFlush = () => {
+        if (flushTimer) return;
+        flushTimer = setTimeout(flush, FILE_FLUSH_DELAY_MS);
+        flushTimer.unref();
+    };
+
+    // Write pending changes before the process exits
+    process.on('exit', () => {
+        if (flushTimer) flush();
+    });
+
+    return {
+        type: 'file',
+        filePath,
+        get: memoryStore.get,
+        set: (key, item) => {
+            memoryStore.set(key, item);
+            scheduleFlush();
+        },
+        delete: (key) => {
+            const deleted = memoryStore.delete(key);
+            if (deleted) scheduleFlush();
+            return deleted;
+        },
+        keys: memoryStore.keys,
+        entries: memoryStore.entries,
+        get size() {
+            return memoryStore.size;
+        },
+        flush
+    };
+}
+
+/**
+ * Create the cache store selected by environment configuration
+ * CACHE_STORE=memory|file, CACHE_FILE_PATH overrides the file location
+ * @returns {Object} Cache store
+ */
+export function createCacheStore() {
+    const storeType = (process.env.CACHE_STORE || 'memory').toLowerCase();
+
+    if (storeType === 'file') {
+        const filePath = process.env.CACHE_FILE_PATH || path.join(DATA_DIR, 'openfda-cache.json');
+        return createFileCacheStore(filePath);
+    }
+
+    if (storeType !== 'memory') {
+        console.warn(`[CACHE] WARN: Unknown CACHE_STORE "${storeType}", using in-memory cache`);
+    }
+    return createMemoryCacheStore();
+}
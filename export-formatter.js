@@ -0,0 +1,217 @@
+/**
+ * Spreadsheet export
+ *
+ * Flattens batch_drug_analysis, recall and shortage results into CSV or TSV
+ * with one row per record (one row per drug for batch results). Column sets
+ * are fixed per result type so exported files keep the same layout no matter
+ * which fields openFDA returned for a given drug; missing values are blank.
+ *
+ * Cells that a spreadsheet would evaluate as a formula (=, +, -, @) are
+ * prefixed with a single quote so FDA text cannot inject formulas.
+ */
+
+import { formatFDADate } from './openfda-client.js';
+
+const EXPORT_FORMATS = ["json", "csv", "tsv"];
+
+const DELIMITED_FORMATS = {
+    csv: { delimiter: ",", mimeType: "text/csv; charset=utf-8", extension: "csv" },
+    tsv: { delimiter: "\t", mimeType: "text/tab-separated-values; charset=utf-8", extension: "tsv" }
+};
+
+// Column order is part of the export contract: append new columns, never reorder
+const EXPORT_COLUMNS = {
+    shortages: [
+        "search_term",
+        "generic_name",
+        "proprietary_name",
+        "company_name",
+        "presentation",
+        "package_ndc",
+        "dosage_form",
+        "status",
+        "availability",
+        "shortage_reason",
+        "therapeutic_category",
+        "initial_posting_date",
+        "update_date",
+        "discontinued_date"
+    ],
+    recalls: [
+        "search_term",
+        "recall_number",
+        "classification",
+        "status",
+        "recall_initiation_date",
+        "report_date",
+        "termination_date",
+        "recalling_firm",
+        "product_description",
+        "reason_for_recall",
+        "product_quantity",
+        "code_info",
+        "distribution_pattern",
+        "voluntary_mandated",
+        "city",
+        "state",
+        "country"
+    ],
+    batch: [
+        "drug_name",
+        "status",
+        "checks_run",
+        "failed_checks",
+        "shortage_records",
+        "current_shortages",
+        "recall_records",
+        "ongoing_recalls",
+        "class_i_recalls",
+        "latest_recall_report_date",
+        "shortages_in_window",
+        "has_boxed_warning",
+        "adverse_event_reports",
+        "serious_event_percentage",
+        "errors"
+    ]
+};
+
+const RECALL_DATE_FIELDS = ["recall_initiation_date", "report_date", "termination_date"];
+
+function shortageRows(result) {
+    return (result.results || []).map(record => ({
+        search_term: result.search_term,
+        ...record
+    }));
+}
+
+function recallRows(result) {
+    return (result.results || []).map(record => {
+        const row = { search_term: result.search_term, ...record };
+        for (const field of RECALL_DATE_FIELDS) {
+            row[field] = formatFDADate(record[field]);
+        }
+        return row;
+    });
+}
+
+function batchRows(result) {
+    return (result.drug_analyses || []).map(analysis => {
+        const checks = analysis.checks || {};
+        const shortages = analysis.shortage_data?.results;
+        const recalls = analysis.recall_data?.results;
+        const reportDates = (recalls || []).map(recall => recall.report_date).filter(Boolean).sort();
+        const labelSections = analysis.label_data?.sections;
+        const adverseSummary = analysis.adverse_event_data?.summary;
+
+        return {
+            drug_name: analysis.drug_name,
+            status: analysis.status,
+            checks_run: Object.keys(checks),
+            failed_checks: Object.keys(checks).filter(check => checks[check] !== "ok")
+                .map(check => `${check} (${checks[check]})`),
+            shortage_records: shortages?.length,
+            current_shortages: shortages?.filter(record => record.status === "Current").length,
+            recall_records: recalls?.length,
+            ongoing_recalls: recalls?.filter(recall => recall.status === "Ongoing").length,
+            class_i_recalls: recalls?.filter(recall => recall.classification === "Class I").length,
+            latest_recall_report_date: formatFDADate(reportDates[reportDates.length - 1]),
+            shortages_in_window: analysis.trend_data?.summary?.shortages_in_window,
+            has_boxed_warning: labelSections ? (labelSections.boxed_warning?.available ? "yes" : "no") : null,
+            adverse_event_reports: adverseSummary?.total_reports_in_database,
+            serious_event_percentage: adverseSummary?.serious_events?.percentage,
+            errors: (analysis.errors || []).map(({ check, error }) => `${check}: ${error}`)
+        };
+    });
+}
+
+const ROW_BUILDERS = {
+    shortages: shortageRows,
+    recalls: recallRows,
+    batch: batchRows
+};
+
+/**
+ * Render one value as a spreadsheet cell
+ * Arrays are joined with "; ", objects are serialized as JSON, and text that
+ * starts like a formula gets a leading single quote.
+ */
+function formatCell(value, delimiter) {
+    if (value === undefined || value === null) return "";
+
+    let text;
+    if (Array.isArray(value)) {
+        text = value.map(item => typeof item === 'object' && item !== null ? JSON.stringify(item) : String(item)).join("; ");
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    // TSV has no quoting convention, so separators inside a value become spaces
+    if (delimiter === "\t") {
+        return text.replace(/[\t\r\n]+/g, " ");
+    }
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Serialize rows as delimited text with a header line (RFC 4180 for CSV)
+ * @param {Array<Object>} rows
+ * @param {Array<string>} columns Output columns in order
+ * @param {string} delimiter "," or "\t"
+ * @returns {string}
+ */
+function toDelimited(rows, columns, delimiter = ",") {
+    const lines = [columns.map(column => formatCell(column, delimiter)).join(delimiter)];
+    for (const row of rows) {
+        lines.push(columns.map(column => formatCell(row[column], delimiter)).join(delimiter));
+    }
+    return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Flatten a batch, recall or shortage result into a CSV or TSV file
+ * @param {string} kind "batch", "recalls" or "shortages"
+ * @param {Object} result Result object from the matching openfda-client search
+ * @param {string} format "csv" or "tsv"
+ * @returns {Object} { content, mime_type, filename, row_count, columns } or an error object
+ */
+function exportResults(kind, result, format = "csv") {
+    const target = DELIMITED_FORMATS[format];
+    if (!target) {
+        return { error: `Unsupported export format "${format}". Use one of: ${Object.keys(DELIMITED_FORMATS).join(', ')}` };
+    }
+    if (!ROW_BUILDERS[kind]) {
+        return { error: `Unsupported export type "${kind}". Use one of: ${Object.keys(ROW_BUILDERS).join(', ')}` };
+    }
+    if (!result || result.error) {
+        return { error: result?.error || "Nothing to export", ...(result?.details && { details: result.details }) };
+    }
+
+    const rows = ROW_BUILDERS[kind](result);
+    const columns = EXPORT_COLUMNS[kind];
+    const subject = kind === "batch" ? "batch" : String(result.search_term || kind);
+    const slug = subject.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || kind;
+
+    return {
+        content: toDelimited(rows, columns, target.delimiter),
+        mime_type: target.mimeType,
+        filename: `certus-${kind}-${slug === kind ? "" : `${slug}-`}${new Date().toISOString().slice(0, 10)}.${target.extension}`,
+        row_count: rows.length,
+        columns
+    };
+}
+
+export {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    toDelimited,
+    exportResults
+};
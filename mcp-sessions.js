@@ -0,0 +1,230 @@
+/**
+ * MCP Streamable HTTP sessions
+ *
+ * A session is issued on initialize and identified by the Mcp-Session-Id header.
+ * Each session can hold standalone GET /mcp SSE streams for server-initiated
+ * messages. Messages tied to one POST request (such as progress notifications
+ * and the result) go on that request's own SSE response instead. Both kinds
+ * share one event numbering and are kept per session, so a client that loses
+ * a stream can resume it from GET /mcp with Last-Event-ID; only events of the
+ * stream the client lost are replayed.
+ *
+ * Sessions idle for IDLE_TIMEOUT_MS with no open stream are expired, and the
+ * number of sessions is capped at MCP_MAX_SESSIONS; when the cap is reached
+ * the least recently active session is closed to make room.
+ */
+
+import { randomUUID } from 'crypto';
+
+const SUPPORTED_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+const DEFAULT_PROTOCOL_VERSION = "2024-11-05";
+
+const SESSION_CONFIG = {
+    IDLE_TIMEOUT_MS: 60 * 60 * 1000,   // Drop sessions idle for 1 hour with no open stream
+    MAX_SESSIONS: Number(process.env.MCP_MAX_SESSIONS ?? 1000),
+    EVENT_HISTORY_SIZE: 100,           // Events kept per session for Last-Event-ID replay
+    KEEPALIVE_MS: 25 * 1000,           // SSE comment interval to keep proxies from closing streams
+    CLEANUP_INTERVAL_MS: 5 * 60 * 1000
+};
+
+const sessions = new Map();
+
+// Stream name for events sent on the standalone GET /mcp streams
+const STANDALONE_STREAM = 'standalone';
+
+/**
+ * Pick the protocol version for a new session
+ * @param {string} requestedVersion Version sent by the client in initialize
+ * @returns {string}
+ */
+function negotiateProtocolVersion(requestedVersion) {
+    return SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion) ? requestedVersion : DEFAULT_PROTOCOL_VERSION;
+}
+
+/**
+ * Close all streams of a session and forget it
+ * @param {Object} session
+ */
+function terminateSession(session) {
+    for (const stream of session.streams) {
+        stream.end();
+    }
+    session.streams.clear();
+    sessions.delete(session.id);
+}
+
+/**
+ * Expire sessions idle past the timeout that have no open stream
+ * @param {number} now
+ * @returns {Array<string>} Ids of the expired sessions
+ */
+function expireIdleSessions(now = Date.now()) {
+    const cutoff = now - SESSION_CONFIG.IDLE_TIMEOUT_MS;
+    const expired = [];
+    for (const session of sessions.values()) {
+        if (session.streams.size === 0 && session.lastActivity < cutoff) {
+            terminateSession(session);
+            expired.push(session.id);
+        }
+    }
+    return expired;
+}
+
+/**
+ * Create a new session, closing the least recently active ones if the cap is reached
+ * @param {string} protocolVersion
+ * @returns {Object} { session, evicted } where evicted lists closed session ids
+ */
+function createSession(protocolVersion) {
+    const evicted = [];
+    if (sessions.size >= SESSION_CONFIG.MAX_SESSIONS) {
+        evicted.push(...expireIdleSessions());
+    }
+    while (sessions.size > 0 && sessions.size >= SESSION_CONFIG.MAX_SESSIONS) {
+        let oldest = null;
+        for (const candidate of sessions.values()) {
+            if (!oldest || candidate.lastActivity < oldest.lastActivity) oldest = candidate;
+        }
+        terminateSession(oldest);
+        evicted.push(oldest.id);
+    }
+
+    const session = {
+        id: randomUUID(),
+        protocolVersion,
+        createdAt: Date.now(),
+        lastActivity: Date.now(),
+        streams: new Set(),
+        events: [],
+        nextEventId: 1
+    };
+    sessions.set(session.id, session);
+    return { session, evicted };
+}
+
+/**
+ * Look up a session by id and mark it active
+ * @param {string} sessionId
+ * @returns {Object|null}
+ */
+function getSession(sessionId) {
+    const session = sessions.get(sessionId) || null;
+    if (session) {
+        session.lastActivity = Date.now();
+    }
+    return session;
+}
+
+/**
+ * Write one JSON-RPC message as an SSE event
+ * @param {Object} res
+ * @param {number} eventId
+ * @param {Object} message
+ */
+function writeSseEvent(res, eventId, message) {
+    res.write(`id: ${eventId}\nevent: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Number a message and keep it for Last-Event-ID replay
+ * @param {Object} session
+ * @param {string} stream Stream the message is sent on
+ * @param {Object} message
+ * @returns {Object} The recorded event { id, stream, message }
+ */
+function recordEvent(session, stream, message) {
+    const event = { id: session.nextEventId++, stream, message };
+    session.events.push(event);
+    if (session.events.length > SESSION_CONFIG.EVENT_HISTORY_SIZE) {
+        session.events.shift();
+    }
+    return event;
+}
+
+/**
+ * Send a server-initiated message to a session's standalone SSE streams
+ * Messages are numbered and kept for Last-Event-ID replay
+ * @param {Object} session
+ * @param {Object} message JSON-RPC notification or request
+ */
+function sendSessionMessage(session, message) {
+    const event = recordEvent(session, STANDALONE_STREAM, message);
+    for (const stream of session.streams) {
+        writeSseEvent(stream, event.id, message);
+    }
+}
+
+/**
+ * Send a server-initiated message to every session
+ * @param {Object} message JSON-RPC notification
+ * @returns {number} Number of sessions the message was sent to
+ */
+function broadcastSessionMessage(message) {
+    for (const session of sessions.values()) {
+        sendSessionMessage(session, message);
+    }
+    return sessions.size;
+}
+
+/**
+ * Create the writer for one POST request's SSE response
+ * With a session, events are numbered and kept like standalone messages so a
+ * dropped response can be resumed; they keep being recorded after the
+ * connection closes, and a later resume replays them
+ * @param {Object|null} session
+ * @param {Object} res
+ * @returns {Function} send(message)
+ */
+function createRequestStream(session, res) {
+    const stream = randomUUID();
+    let nextLocalId = 1;
+    return (message) => {
+        const eventId = session ? recordEvent(session, stream, message).id : nextLocalId++;
+        if (!res.writableEnded && !res.destroyed) {
+            writeSseEvent(res, eventId, message);
+        }
+    };
+}
+
+/**
+ * Stream a recorded event was sent on
+ * Unknown or expired ids resume the standalone stream
+ * @param {Object} session
+ * @param {number} eventId
+ * @returns {string}
+ */
+function streamOfEvent(session, eventId) {
+    return session.events.find(event => event.id === eventId)?.stream ?? STANDALONE_STREAM;
+}
+
+/**
+ * Events a reconnecting client missed on the stream it lost
+ * @param {Object} session
+ * @param {number} lastEventId Last-Event-ID sent by the client
+ * @returns {Array<Object>} { id, stream, message } in order
+ */
+function eventsAfter(session, lastEventId) {
+    const stream = streamOfEvent(session, lastEventId);
+    return session.events.filter(event => event.id > lastEventId && event.stream === stream);
+}
+
+function getSessionCount() {
+    return sessions.size;
+}
+
+export {
+    SESSION_CONFIG,
+    STANDALONE_STREAM,
+    negotiateProtocolVersion,
+    createSession,
+    getSession,
+    terminateSession,
+    expireIdleSessions,
+    writeSseEvent,
+    sendSessionMessage,
+    broadcastSessionMessage,
+    createRequestStream,
+    streamOfEvent,
+    eventsAfter,
+    getSessionCount
+};
@@ -32,10 +32,49 @@ import {
     getMedicationProfile,
     searchAdverseEvents,
     searchSeriousAdverseEvents,
+    detectAdverseEventSignals,
+    getAdverseEventDemographics,
+    resolveDrugIdentity,
+    lookupNDC,
+    searchDrugApprovals,
+    getDrugLabelSections,
+    getDrugLabelHistory,
+    compareDrugLabels,
+    findTherapeuticAlternatives,
+    getRecallByNumber,
+    paginateLabelSection,
+    LABEL_SECTIONS,
+    IDENTIFIER_TYPES,
     getCacheStats,
     cleanExpiredCache,
     healthCheck
 } from './openfda-client.js';
+import {
+    createWatchlist,
+    listWatchlists,
+    getWatchlist,
+    deleteWatchlist,
+    checkWatchlist,
+    checkAllWatchlists,
+    startWatchlistPolling
+} from './recall-watchlist.js';
+import { getShortageChanges, startShortageSnapshots } from './shortage-snapshots.js';
+import { EXPORT_FORMATS, exportResults } from './export-formatter.js';
+import {
+    SESSION_CONFIG,
+    STANDALONE_STREAM,
+    negotiateProtocolVersion,
+    createSession,
+    getSession,
+    terminateSession,
+    expireIdleSessions,
+    writeSseEvent,
+    broadcastSessionMessage,
+    createRequestStream,
+    streamOfEvent,
+    eventsAfter,
+    getSessionCount
+} from './mcp-sessions.js';
 
 dotenv.config();
 
@@ -124,7 +163,7 @@ const log = {
 };
 
 /**
- * Tool definitions - single source of truth for all 8 FDA drug information tools
+ * Tool definitions - single source of truth for all FDA drug information tools
  * Used by /tools endpoint, MCP tools/list, and documentation
  */
 const TOOL_DEFINITIONS = [
@@ -143,7 +182,17 @@ const TOOL_DEFINITIONS = [
                     description: "Maximum number of results to return",
                     default: 10,
                     minimum: 1,
-                    maximum: 50
+                    maximum: 100
+                },
+                cursor: {
+                    type: "string",
+                    description: "next_cursor from a previous response to fetch the next page (pass the same drug_name)"
+                },
+                format: {
+                    type: "string",
+                    description: "json returns the full FDA response; csv or tsv returns one spreadsheet row per shortage record",
+                    enum: EXPORT_FORMATS,
+                    default: "json"
                 }
             },
             required: ["drug_name"]
@@ -161,15 +210,19 @@ const TOOL_DEFINITIONS = [
                 },
                 limit: {
                     type: "integer",
-                    description: "Maximum number of adverse event reports to return",
+                    description: "Sample reports to return when detailed is true; otherwise the number of top reactions to summarize (at least 5)",
                     default: 5,
                     minimum: 1,
-                    maximum: 50
+                    maximum: 100
                 },
                 detailed: {
                     type: "boolean",
-                    description: "Return full raw FDA data (true) or summarized data (false). Default false for better performance.",
+                    description: "Return individual sample reports (true) or a summary counted across every report (false). Default false.",
                     default: false
+                },
+                cursor: {
+                    type: "string",
+                    description: "next_cursor from a previous detailed response to fetch the next page of reports (pass the same drug_name)"
                 }
             },
             required: ["drug_name"]
@@ -190,12 +243,21 @@ const TOOL_DEFINITIONS = [
                     description: "Maximum number of serious adverse event reports to return",
                     default: 5,
                     minimum: 1,
-                    maximum: 50
+                    maximum: 100
                 },
                 detailed: {
                     type: "boolean",
                     description: "Return full raw FDA data (true) or summarized data (false). Default false for better performance.",
                     default: false
+                },
+                seriousness: {
+                    type: "string",
+                    description: "Only include reports with this seriousness outcome",
+                    enum: ["death", "life_threatening", "hospitalization", "disability", "congenital_anomaly"]
+                },
+                cursor: {
+                    type: "string",
+                    description: "next_cursor from a previous detailed response to fetch the next page of reports (pass the same drug_name)"
                 }
             },
             required: ["drug_name"]
@@ -203,7 +265,7 @@ const TOOL_DEFINITIONS = [
     },
     {
         name: "search_drug_recalls",
-        description: "Search FDA drug recalls and safety alerts. Use when asked about 'recalls', 'safety alerts', 'withdrawn drugs', or 'has [drug] been recalled'.",
+        description: "Search FDA drug recalls and safety alerts. Use when asked about 'recalls', 'safety alerts', 'withdrawn drugs', or 'has [drug] been recalled'. Optional filters narrow by classification, status, date range, or voluntary vs FDA-mandated.",
         inputSchema: {
             type: "object",
             properties: {
@@ -216,7 +278,48 @@ const TOOL_DEFINITIONS = [
                     description: "Maximum number of results",
                     default: 10,
                     minimum: 1,
-                    maximum: 50
+                    maximum: 100
+                },
+                classification: {
+                    type: "string",
+                    description: "Recall classification (Class I is the most serious)",
+                    enum: ["Class I", "Class II", "Class III"]
+                },
+                status: {
+                    type: "string",
+                    description: "Recall status",
+                    enum: ["Ongoing", "Terminated", "Completed"]
+                },
+                report_date_from: {
+                    type: "string",
+                    description: "Earliest enforcement report date (YYYY-MM-DD)"
+                },
+                report_date_to: {
+                    type: "string",
+                    description: "Latest enforcement report date (YYYY-MM-DD)"
+                },
+                recall_initiation_date_from: {
+                    type: "string",
+                    description: "Earliest recall initiation date (YYYY-MM-DD)"
+                },
+                recall_initiation_date_to: {
+                    type: "string",
+                    description: "Latest recall initiation date (YYYY-MM-DD)"
+                },
+                voluntary_mandated: {
+                    type: "string",
+                    description: "Whether the recall was firm initiated or FDA mandated",
+                    enum: ["Voluntary: Firm initiated", "FDA Mandated"]
+                },
+                cursor: {
+                    type: "string",
+                    description: "next_cursor from a previous response to fetch the next page; filters from the first page are kept (pass the same drug_name)"
+                },
+                format: {
+                    type: "string",
+                    description: "json returns the full FDA response; csv or tsv returns one spreadsheet row per recall",
+                    enum: EXPORT_FORMATS,
+                    default: "json"
                 }
             },
             required: ["drug_name"]
@@ -234,9 +337,9 @@ const TOOL_DEFINITIONS = [
                 },
                 identifier_type: {
                     type: "string",
-                    description: "The type of identifier",
+                    description: "The type of identifier: a generic or brand name, a product NDC (0071-0155), package NDC (0071-0155-23), RxCUI (617310), UNII (48A5M73Z4Q), SPL set id (UUID) or application number (NDA020702)",
                     default: "openfda.generic_name",
-                    enum: ["openfda.generic_name", "openfda.brand_name", "generic_name", "brand_name"]
+                    enum: IDENTIFIER_TYPES
                 }
             },
             required: ["drug_identifier"]
@@ -244,7 +347,7 @@ const TOOL_DEFINITIONS = [
     },
     {
         name: "get_medication_profile",
-        description: "Get combined medication overview (label + shortage status only). Use when asked for 'complete information', 'full profile', or 'everything about [drug]' but NOT for side effects or adverse events.",
+        description: "Get combined medication overview (label + shortage status, optionally approval history). Use when asked for 'complete information', 'full profile', or 'everything about [drug]' but NOT for side effects or adverse events.",
         inputSchema: {
             type: "object",
             properties: {
@@ -254,9 +357,14 @@ const TOOL_DEFINITIONS = [
                 },
                 identifier_type: {
                     type: "string",
-                    description: "The type of identifier",
+                    description: "The type of identifier: a generic or brand name, a product NDC (0071-0155), package NDC (0071-0155-23), RxCUI (617310), UNII (48A5M73Z4Q), SPL set id (UUID) or application number (NDA020702)",
                     default: "openfda.generic_name",
-                    enum: ["openfda.generic_name", "openfda.brand_name", "generic_name", "brand_name"]
+                    enum: IDENTIFIER_TYPES
+                },
+                include_approval_history: {
+                    type: "boolean",
+                    description: "Whether to include Drugs@FDA application and approval history",
+                    default: false
                 }
             },
             required: ["drug_identifier"]
@@ -264,7 +372,7 @@ const TOOL_DEFINITIONS = [
     },
     {
         name: "analyze_drug_shortage_trends",
-        description: "Analyze FDA drug shortage patterns over time. Use when asked about 'shortage trends', 'historical patterns', 'shortage analysis over time', or 'trends for [drug]'.",
+        description: "Analyze FDA drug shortage patterns over time with a month-by-month timeline, shortage durations, and how often the drug returns to shortage. Use when asked about 'shortage trends', 'historical patterns', 'shortage analysis over time', or 'trends for [drug]'.",
         inputSchema: {
             type: "object",
             properties: {
@@ -274,7 +382,7 @@ const TOOL_DEFINITIONS = [
                 },
                 months_back: {
                     type: "integer",
-                    description: "Number of months to look back",
+                    description: "Number of months in the timeline, including the current month",
                     default: 12,
                     minimum: 1,
                     maximum: 60
@@ -285,7 +393,7 @@ const TOOL_DEFINITIONS = [
     },
     {
         name: "batch_drug_analysis",
-        description: "Analyze multiple drugs simultaneously for shortages, recalls, and optional trends. Use when asked to 'compare multiple drugs', 'analyze this list of drugs', 'check these medications for problems', or given a list of 2+ medications to analyze.",
+        description: "Analyze multiple drugs simultaneously for shortages, recalls, and optional trends, label highlights, or adverse event summaries. Returns a status per drug so partial results survive failures. Use when asked to 'compare multiple drugs', 'analyze this list of drugs', 'check these medications for problems', or given a list of 2+ medications to analyze.",
         inputSchema: {
             type: "object",
             properties: {
@@ -297,35 +405,431 @@ const TOOL_DEFINITIONS = [
                 },
                 include_trends: {
                     type: "boolean",
-                    description: "Whether to include trend analysis",
+                    description: "Whether to include trend analysis (same as adding 'trends' to checks)",
                     default: false
+                },
+                checks: {
+                    type: "array",
+                    items: { type: "string", enum: ["shortages", "recalls", "trends", "labels", "adverse_events"] },
+                    description: "Checks to run for every drug (default: shortages and recalls)",
+                    minItems: 1
+                },
+                concurrency: {
+                    type: "integer",
+                    description: "Checks run at the same time (requests are also held to openFDA rate limits)",
+                    default: 4,
+                    minimum: 1,
+                    maximum: 8
+                },
+                timeout_seconds: {
+                    type: "integer",
+                    description: "Time allowed for each check before it is reported as timed out (its requests are not cancelled)",
+                    default: 30,
+                    minimum: 5,
+                    maximum: 120
+                },
+                format: {
+                    type: "string",
+                    description: "json returns the full analysis; csv or tsv returns one spreadsheet row per drug with counts and check status",
+                    enum: EXPORT_FORMATS,
+                    default: "json"
                 }
             },
             required: ["drug_list"]
         }
+    },
+    {
+        name: "lookup_ndc",
+        description: "Look up products in the FDA NDC Directory. Use when asked about an 'NDC', 'package size', 'labeler', 'dosage form', 'strength', 'marketing date', or 'what product is NDC [code]'.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                query: {
+                    type: "string",
+                    description: "Product NDC (e.g. 0002-3227), package NDC (e.g. 0002-3227-30, hyphens optional), or a generic/brand drug name"
+                },
+                limit: {
+                    type: "integer",
+                    description: "Maximum number of products to return",
+                    default: 10,
+                    minimum: 1,
+                    maximum: 100
+                }
+            },
+            required: ["query"]
+        }
+    },
+    {
+        name: "get_drug_approval_history",
+        description: "Get Drugs@FDA approval history. Use when asked 'when was [drug] approved', 'who holds the application', 'NDA/ANDA/BLA number', 'therapeutic equivalence', or 'is there an approved generic for [drug]'.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                drug_name: {
+                    type: "string",
+                    description: "Generic or brand drug name, or an application number such as NDA020357"
+                },
+                limit: {
+                    type: "integer",
+                    description: "Maximum number of applications to return",
+                    default: 5,
+                    minimum: 1,
+                    maximum: 50
+                }
+            },
+            required: ["drug_name"]
+        }
+    },
+    {
+        name: "get_drug_label_section",
+        description: "Get specific sections of an FDA drug label with paging for long text. Use when asked about a drug's 'boxed warning', 'dosing', 'contraindications', 'drug interactions', or any single part of the label instead of the full label.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                drug_identifier: {
+                    type: "string",
+                    description: "The drug identifier to search for"
+                },
+                sections: {
+                    type: "array",
+                    items: { type: "string", enum: LABEL_SECTIONS },
+                    description: "Label sections to return, e.g. boxed_warning, dosage_and_administration, contraindications, drug_interactions",
+                    minItems: 1
+                },
+                identifier_type: {
+                    type: "string",
+                    description: "The type of identifier: a generic or brand name, a product NDC (0071-0155), package NDC (0071-0155-23), RxCUI (617310), UNII (48A5M73Z4Q), SPL set id (UUID) or application number (NDA020702)",
+                    default: "openfda.generic_name",
+                    enum: IDENTIFIER_TYPES
+                },
+                offset: {
+                    type: "integer",
+                    description: "Character offset to start each section from (use next_offset from a previous call to continue)",
+                    default: 0,
+                    minimum: 0
+                },
+                max_length: {
+                    type: "integer",
+                    description: "Maximum characters to return per section",
+                    default: 4000,
+                    minimum: 500,
+                    maximum: 20000
+                }
+            },
+            required: ["drug_identifier", "sections"]
+        }
+    },
+    {
+        name: "find_therapeutic_alternatives",
+        description: "Find available alternatives in the same pharmacologic class, ranked by current shortage and recall status. Use when asked 'what can we use instead of [drug]', 'alternatives to [drug]', or after a shortage is found.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                drug_name: {
+                    type: "string",
+                    description: "Drug to find alternatives for (generic or brand name)"
+                },
+                limit: {
+                    type: "integer",
+                    description: "Maximum number of alternatives to check and rank",
+                    default: 5,
+                    minimum: 1,
+                    maximum: 10
+                }
+            },
+            required: ["drug_name"]
+        }
+    },
+    {
+        name: "manage_recall_watchlist",
+        description: "Create, list, view, or delete recall watchlists that monitor drugs or recalling firms for new recalls and status changes. Use when asked to 'watch', 'monitor', or 'alert me about' recalls.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                action: {
+                    type: "string",
+                    description: "Watchlist operation to perform",
+                    enum: ["create", "list", "get", "delete"]
+                },
+                watchlist_id: {
+                    type: "string",
+                    description: "Watchlist ID (required for get and delete)"
+                },
+                name: {
+                    type: "string",
+                    description: "Display name for a new watchlist"
+                },
+                drugs: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "Drug names to watch (uses the same searches as search_drug_recalls)"
+                },
+                firms: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "Recalling firm names to watch"
+                },
+                webhook_url: {
+                    type: "string",
+                    description: "Public http(s) URL that receives a JSON POST when new recalls or status changes are detected; private and loopback addresses are refused"
+                }
+            },
+            required: ["action"]
+        }
+    },
+    {
+        name: "check_recall_watchlist",
+        description: "Check recall watchlists now and report new recalls and status changes since the last check. The first successful search of each watched drug or firm records its baseline.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                watchlist_id: {
+                    type: "string",
+                    description: "Watchlist ID to check (omit to check all watchlists)"
+                },
+                notify: {
+                    type: "boolean",
+                    description: "Send changes to the watchlist webhook",
+                    default: true
+                }
+            }
+        }
+    },
+    {
+        name: "get_shortage_changes",
+        description: "Show what changed in FDA drug shortages since a given time: new shortages, resolved shortages, availability changes, and updated reasons. Use when asked 'what's new in shortages', 'what changed since yesterday', or 'has the [drug] shortage been resolved'.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                since: {
+                    type: "string",
+                    description: "ISO date or timestamp to report changes from (default: 24 hours ago)"
+                },
+                drug_name: {
+                    type: "string",
+                    description: "Only include changes for this drug (generic or brand name)"
+                }
+            }
+        }
+    },
+    {
+        name: "detect_adverse_event_signals",
+        description: "Detect disproportionate adverse event reporting for a drug using PRR, ROR and chi-square against the whole FAERS database. Use when asked about 'safety signals', 'pharmacovigilance', 'disproportionality', or 'is [reaction] reported more than expected with [drug]'.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                drug_name: {
+                    type: "string",
+                    description: "Name of the drug to analyze"
+                },
+                limit: {
+                    type: "integer",
+                    description: "Number of the drug's most reported reactions to evaluate",
+                    default: 20,
+                    minimum: 1,
+                    maximum: 50
+                },
+                min_reports: {
+                    type: "integer",
+                    description: "Only list reactions with at least this many reports for the drug",
+                    default: 3,
+                    minimum: 1
+                }
+            },
+            required: ["drug_name"]
+        }
+    },
+    {
+        name: "get_adverse_event_demographics",
+        description: "Break down all FAERS reports for a drug by patient sex, age group, reporter qualification, country, reaction outcome, and reports per year. Use when asked 'who is reporting', 'which patients', 'how many reports per year', or for safety committee summaries.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                drug_name: {
+                    type: "string",
+                    description: "Name of the drug to analyze (generic or brand name)"
+                }
+            },
+            required: ["drug_name"]
+        }
+    },
+    {
+        name: "resolve_drug",
+        description: "Resolve a brand name, generic name, or NDC to one canonical drug identity: generic names, brand names, RxCUIs, UNIIs, SPL set ids, manufacturers and product NDCs. Use when asked 'what is [brand] the same as', 'what is the generic for', 'what drug is NDC [code]', or to get identifiers for another system. Other tools already search with the resolved identity.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                query: {
+                    type: "string",
+                    description: "Brand name (e.g. Lipitor), generic name (e.g. atorvastatin calcium), or product/package NDC"
+                }
+            },
+            required: ["query"]
+        }
+    },
+    {
+        name: "get_drug_label_history",
+        description: "List every version of a drug's FDA label (SPL set id, version, effective date) and diff two versions section by section, highlighting added or removed boxed warnings, contraindications and other warnings. Use when asked 'what changed in the label', 'when was the boxed warning added', or about safety-labeling changes.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                drug_identifier: {
+                    type: "string",
+                    description: "The drug identifier to search for"
+                },
+                identifier_type: {
+                    type: "string",
+                    description: "The type of identifier (set_id looks up a label set directly)",
+                    default: "openfda.generic_name",
+                    enum: IDENTIFIER_TYPES
+                },
+                from_version: {
+                    type: "string",
+                    description: "Older label version to compare (default: the version before to_version)"
+                },
+                to_version: {
+                    type: "string",
+                    description: "Newer label version to compare (default: the latest version)"
+                }
+            },
+            required: ["drug_identifier"]
+        }
+    },
+    {
+        name: "compare_drug_labels",
+        description: "Compare the FDA labels of two products side by side: indications, dosing, dosage forms, boxed warnings, contraindications, warnings and interactions, with sections present in only one label flagged. Use for brand vs generic, two drugs in the same class, or P&T committee reviews.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                first_drug: {
+                    type: "string",
+                    description: "First drug identifier (name or code)"
+                },
+                second_drug: {
+                    type: "string",
+                    description: "Second drug identifier (name or code)"
+                },
+                first_identifier_type: {
+                    type: "string",
+                    description: "The type of identifier for first_drug",
+                    default: "openfda.generic_name",
+                    enum: IDENTIFIER_TYPES
+                },
+                second_identifier_type: {
+                    type: "string",
+                    description: "The type of identifier for second_drug",
+                    default: "openfda.generic_name",
+                    enum: IDENTIFIER_TYPES
+                },
+                sections: {
+                    type: "array",
+                    items: { type: "string", enum: LABEL_SECTIONS },
+                    description: "Sections to compare (default: indications_and_usage, dosage_and_administration, dosage_forms_and_strengths, boxed_warning, contraindications, warnings_and_cautions, drug_interactions)",
+                    minItems: 1
+                },
+                max_length: {
+                    type: "integer",
+                    description: "Maximum characters of each section per label",
+                    default: 2000,
+                    minimum: 500,
+                    maximum: 20000
+                }
+            },
+            required: ["first_drug", "second_drug"]
+        }
     }
 ];
 
 /**
- * Express middleware configuration for security, compression, and logging
+ * Resource templates - FDA records clients can attach as context without a tool call
+ * Used by MCP resources/templates/list and resolved by readResource
  */
-app.use(helmet({
-    contentSecurityPolicy: false,
-    crossOriginEmbedderPolicy: false
-}));
-app.use(compression());
-app.use(morgan('combined'));
+const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: "fda://label/{generic_name}/{section}",
+        name: "drug_label_section",
+        title: "FDA Drug Label Section",
+        description: `Full text of one section of a drug's FDA label. Sections: ${LABEL_SECTIONS.join(', ')}`,
+        mimeType: "text/plain"
+    },
+    {
+        uriTemplate: "fda://shortage/{drug}",
+        name: "drug_shortage",
+        title: "FDA Drug Shortage Records",
+        description: "Current FDA drug shortage records for a drug (generic or brand name)",
+        mimeType: "application/json"
+    },
+    {
+        uriTemplate: "fda://recall/{recall_number}",
+        name: "drug_recall",
+        title: "FDA Drug Recall",
+        description: "A single FDA enforcement report by recall number, e.g. D-0123-2024",
+        mimeType: "application/json"
+    }
+];
 
 /**
- * CORS configuration for universal client access
- * Allows all origins for maximum MCP client compatibility
+ * Prompt definitions - built-in clinical pharmacy workflows
+ * Used by MCP prompts/list; message text is produced by buildPromptMessages
  */
-app.use(cors({
-    origin: '*',
-    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control'],
-    credentials: false
-}));
+const PROMPT_DEFINITIONS = [
+    {
+        name: "shortage_impact_assessment",
+        title: "Shortage Impact Assessment",
+        description: "Assess how a drug shortage affects your organization: severity, expected duration, and recommended actions",
+        arguments: [
+            { name: "drug_name", description: "Drug in shortage (generic or brand name)", required: true },
+            { name: "care_setting", description: "Care setting to assess for, e.g. inpatient oncology, community pharmacy", required: false }
+        ]
+    },
+    {
+        name: "medication_safety_review",
+        title: "Medication Safety Review",
+        description: "Review a medication list for shortages, recalls, boxed warnings, and serious adverse event signals",
+        arguments: [
+            { name: "medication_list", description: "Medications to review, separated by commas or new lines (max 25)", required: true }
+        ]
+    },
+    {
+        name: "recall_response_checklist",
+        title: "Recall Response Checklist",
+        description: "Build a step-by-step response checklist for a drug recall",
+        arguments: [
+            { name: "drug_name", description: "Recalled drug (generic or brand name)", required: true },
+            { name: "recall_number", description: "FDA recall number if known, e.g. D-0123-2024", required: false }
+        ]
+    }
+];
+
+/**
+ * Express middleware configuration for security, compression, and logging
+ */
+app.use(helmet({
+    contentSecurityPolicy: false,
+    crossOriginEmbedderPolicy: false
+}));
+app.use(compression({
+    // SSE streams must reach the client event by event, so never buffer them
+    filter: (req, res) => {
+        if (String(res.getHeader('Content-Type') || '').includes('text/event-stream')) {
+            return false;
+        }
+        return compression.filter(req, res);
+    }
+}));
+app.use(morgan('combined'));
+
+/**
+ * CORS configuration for universal client access
+ * Allows all origins for maximum MCP client compatibility
+ */
+app.use(cors({
+    origin: '*',
+    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control', 'Mcp-Session-Id', 'Mcp-Protocol-Version', 'Last-Event-ID'],
+    exposedHeaders: ['Mcp-Session-Id', 'Content-Disposition', 'X-Next-Cursor'],
+    credentials: false
+}));
 
 app.use(express.json({ limit: '10mb' }));
 
@@ -412,6 +916,7 @@ app.get('/health', async (req, res) => {
             protocol: req.secure ? 'HTTPS' : 'HTTP',
             host: req.get('host'),
             tools_available: TOOL_DEFINITIONS.length,
+            mcp_sessions: { active: getSessionCount(), limit: SESSION_CONFIG.MAX_SESSIONS },
             api_health: healthData
         };
         
@@ -463,239 +968,953 @@ app.get('/cache-stats', (req, res) => {
 });
 
 /**
- * Manual cache cleanup endpoint - triggers immediate cache cleanup
- * @route POST /cache-cleanup
- * @returns {Object} Cleanup results and updated cache statistics
+ * Manual cache cleanup endpoint - triggers immediate cache cleanup
+ * @route POST /cache-cleanup
+ * @returns {Object} Cleanup results and updated cache statistics
+ */
+app.post('/cache-cleanup', (req, res) => {
+    try {
+        log.server('Manual cache cleanup requested');
+        logUsage('request', { endpoint: '/cache-cleanup' });
+        const statsBefore = getCacheStats();
+        
+        cleanExpiredCache();
+        
+        const statsAfter = getCacheStats();
+        const entriesRemoved = statsBefore.totalEntries - statsAfter.totalEntries;
+        
+        const response = {
+            timestamp: new Date().toISOString(),
+            cleanup_completed: true,
+            entries_removed: entriesRemoved,
+            cache_before: statsBefore,
+            cache_after: statsAfter
+        };
+        
+        res.json(response);
+        log.server(`Manual cleanup completed: ${entriesRemoved} entries removed`);
+    } catch (error) {
+        log.error('cache-cleanup', `Manual cache cleanup failed: ${error.message}`);
+        res.status(500).json({ error: 'Failed to perform cache cleanup' });
+    }
+});
+
+/**
+ * Usage analytics endpoint - provides server usage statistics
+ * @route GET /usage-stats
+ * @returns {Object} Server usage analytics and insights
+ */
+app.get('/usage-stats', (req, res) => {
+    try {
+        log.server('Usage statistics requested');
+        logUsage('request', { endpoint: '/usage-stats' });
+        
+        // Convert Maps to arrays for JSON serialization
+        const topTools = Array.from(usageAnalytics.requests.byTool.entries())
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, 10)
+            .map(([tool, count]) => ({ tool, count }));
+            
+        const topDrugs = Array.from(usageAnalytics.requests.byDrug.entries())
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, 10)
+            .map(([drug, count]) => ({ drug, count }));
+            
+        const topEndpoints = Array.from(usageAnalytics.requests.byEndpoint.entries())
+            .sort(([,a], [,b]) => b - a)
+            .map(([endpoint, count]) => ({ endpoint, count }));
+        
+        const uptime = Math.floor((Date.now() - new Date(usageAnalytics.startTime).getTime()) / 1000);
+        const uptimeHours = Math.floor(uptime / 3600);
+        const uptimeMinutes = Math.floor((uptime % 3600) / 60);
+        
+        const response = {
+            timestamp: new Date().toISOString(),
+            server_start_time: usageAnalytics.startTime,
+            uptime: {
+                seconds: uptime,
+                human_readable: `${uptimeHours}h ${uptimeMinutes}m`
+            },
+            request_summary: {
+                total_requests: usageAnalytics.requests.total,
+                successful_requests: usageAnalytics.requests.total - usageAnalytics.requests.errors,
+                error_requests: usageAnalytics.requests.errors,
+                rate_limited_requests: usageAnalytics.requests.rateLimited,
+                requests_per_hour: Math.round(usageAnalytics.requests.total / Math.max(uptimeHours, 1))
+            },
+            top_fda_tools: topTools,
+            most_searched_drugs: topDrugs,
+            endpoint_usage: topEndpoints,
+            insights: {
+                most_popular_tool: topTools[0]?.tool || 'none',
+                most_searched_drug: topDrugs[0]?.drug || 'none',
+                error_rate: `${Math.round((usageAnalytics.requests.errors / Math.max(usageAnalytics.requests.total, 1)) * 100)}%`,
+                average_requests_per_minute: Math.round(usageAnalytics.requests.total / Math.max(uptime / 60, 1))
+            }
+        };
+        
+        res.json(response);
+        log.server(`Usage stats: ${usageAnalytics.requests.total} total requests, ${topTools.length} unique tools used`);
+    } catch (error) {
+        log.error('usage-stats', `Usage stats failed: ${error.message}`);
+        res.status(500).json({ error: 'Failed to retrieve usage statistics' });
+    }
+});
+
+/**
+ * Server information endpoint - provides API documentation and tool overview
+ * @route GET /
+ * @returns {Object} Server metadata, available tools, and architectural notes
+ */
+app.get('/', (req, res) => {
+    log.server('Info endpoint accessed');
+    logUsage('request', { endpoint: '/' });
+    
+    const toolSummary = TOOL_DEFINITIONS.map(tool => ({
+        name: tool.name,
+        description: tool.description.split('.')[0] // First sentence only
+    }));
+
+    res.json({
+        name: "OpenFDA Drug Information MCP Server",
+        version: "2.0.0",
+        description: "Optimized MCP server for FDA drug information with minimal post-processing",
+        architecture: "HTTP server with stdio transport bridge compatibility",
+        transport: "MCP Streamable HTTP (sessions via Mcp-Session-Id, GET /mcp SSE streams) with stateless JSON POST fallback",
+        endpoints: {
+            health: "/health",
+            mcp: "/mcp",
+            tools: "/tools",
+            usage_stats: "/usage-stats",
+            cache_stats: "/cache-stats",
+            watchlists: "/watchlists",
+            export: "/export"
+        },
+        tools: toolSummary,
+        optimization_notes: [
+            "Minimal post-processing of API data",
+            "Raw OpenFDA JSON responses preserved",
+            "Reduced data transformation overhead",
+            "Enhanced for Claude analysis"
+        ]
+    });
+});
+
+/**
+ * MCP-compatible tools endpoint for schema discovery
+ * @route GET /tools
+ * @returns {Object} Complete tool definitions with input schemas
+ */
+app.get('/tools', (req, res) => {
+    log.mcp('Tools schema requested');
+    logUsage('request', { endpoint: '/tools' });
+    res.json({ tools: TOOL_DEFINITIONS });
+});
+
+/**
+ * Recall watchlist endpoints - manage watchlists outside of MCP clients
+ * @route GET /watchlists - list watchlists
+ * @route POST /watchlists - create a watchlist { name, drugs, firms, webhook_url }
+ * @route GET /watchlists/:id - watchlist details
+ * @route DELETE /watchlists/:id - remove a watchlist
+ * @route POST /watchlists/:id/check - check now and report changes
+ */
+app.get('/watchlists', (req, res) => {
+    logUsage('request', { endpoint: '/watchlists' });
+    res.json({ watchlists: listWatchlists() });
+});
+
+app.post('/watchlists', (req, res) => {
+    logUsage('request', { endpoint: '/watchlists' });
+    const result = createWatchlist(req.body || {});
+    if (result.error) {
+        return res.status(400).json(result);
+    }
+    log.server(`Recall watchlist created: ${result.watchlist.id}`);
+    res.status(201).json(result);
+});
+
+app.get('/watchlists/:id', (req, res) => {
+    logUsage('request', { endpoint: '/watchlists/:id' });
+    const watchlist = getWatchlist(req.params.id);
+    if (!watchlist) {
+        return res.status(404).json({ error: `Watchlist "${req.params.id}" not found` });
+    }
+    res.json(watchlist);
+});
+
+app.delete('/watchlists/:id', (req, res) => {
+    logUsage('request', { endpoint: '/watchlists/:id' });
+    if (!deleteWatchlist(req.params.id)) {
+        return res.status(404).json({ error: `Watchlist "${req.params.id}" not found` });
+    }
+    log.server(`Recall watchlist deleted: ${req.params.id}`);
+    res.status(204).end();
+});
+
+app.post('/watchlists/:id/check', async (req, res) => {
+    logUsage('request', { endpoint: '/watchlists/:id/check' });
+    try {
+        const result = await checkWatchlist(req.params.id, { notify: req.body?.notify !== false });
+        if (!result) {
+            return res.status(404).json({ error: `Watchlist "${req.params.id}" not found` });
+        }
+        res.json(result);
+    } catch (error) {
+        log.error('watchlist', `Watchlist check failed: ${error.message}`);
+        res.status(500).json({ error: 'Failed to check watchlist' });
+    }
+});
+
+/**
+ * Spreadsheet export of shortage, recall and batch results
+ * Parameters come from the query string (GET) or JSON body (POST) and match the
+ * matching tool's arguments; list parameters may be comma-separated in a query.
+ * @route GET /export?type=shortages|recalls|batch&format=csv|tsv&drug_name=...
+ * @route POST /export - { type, format, drug_name | drug_list, ... }
+ * @returns {string} CSV or TSV file download
+ */
+async function handleExport(req, res) {
+    logUsage('request', { endpoint: '/export' });
+    const params = { ...req.query, ...(req.body || {}) };
+    const type = params.type;
+    const format = params.format || "csv";
+    const list = (value) => typeof value === 'string'
+        ? value.split(',').map(item => item.trim()).filter(Boolean)
+        : value;
+
+    if (format === "json" || !EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unsupported export format "${format}". Use csv or tsv` });
+    }
+    const toolName = Object.keys(EXPORTABLE_TOOLS).find(name => EXPORTABLE_TOOLS[name] === type);
+    if (!toolName) {
+        return res.status(400).json({ error: `Unknown export type "${type}". Use shortages, recalls, or batch` });
+    }
+
+    // Numeric parameters are held to the same limits as the matching tool's schema
+    const properties = TOOL_DEFINITIONS.find(tool => tool.name === toolName).inputSchema.properties;
+    const invalid = [];
+    const integer = (name, fallback) => {
+        const raw = params[name];
+        if (raw === undefined || raw === '') return fallback;
+        const value = Number(raw);
+        const { minimum, maximum } = properties[name];
+        if (!Number.isInteger(value) || value < minimum || value > maximum) {
+            invalid.push(`${name} must be an integer from ${minimum} to ${maximum}`);
+        }
+        return value;
+    };
+    const limit = type === "batch" ? null : integer("limit", 100);
+    const concurrency = type === "batch" ? integer("concurrency", 4) : null;
+    const timeoutSeconds = type === "batch" ? integer("timeout_seconds", 30) : null;
+    if (invalid.length > 0) {
+        return res.status(400).json({ error: invalid.join('; ') });
+    }
+
+    let result;
+    try {
+        switch (type) {
+            case "shortages":
+                result = await searchDrugShortages(params.drug_name, limit, params.cursor || null);
+                break;
+            case "recalls":
+                result = await searchDrugRecalls(params.drug_name, limit, recallFilters(params), params.cursor || null);
+                break;
+            case "batch":
+                result = await batchDrugAnalysis(list(params.drug_list), false, {
+                    checks: list(params.checks) || null,
+                    concurrency,
+                    timeoutMs: timeoutSeconds * 1000
+                });
+                break;
+        }
+    } catch (error) {
+        log.error('export', `Export failed: ${error.message}`);
+        return res.status(500).json({ error: 'Failed to export results' });
+    }
+
+    // openFDA failures are the upstream's fault, not the request's
+    if (result?.error_type) {
+        return res.status(502).json(result);
+    }
+    const file = exportResults(type, result, format);
+    if (file.error) {
+        return res.status(400).json(file);
+    }
+
+    const nextCursor = result.pagination?.has_more ? result.pagination.next_cursor : null;
+    if (nextCursor) {
+        res.set('X-Next-Cursor', nextCursor);
+    }
+    res.set('Content-Type', file.mime_type);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    // Byte order mark so Excel reads the file as UTF-8
+    res.send(`\ufeff${file.content}`);
+}
+
+app.get('/export', handleExport);
+app.post('/export', handleExport);
+
+/**
+ * Resolve the session for a request from its Mcp-Session-Id header
+ * Sessions are issued on initialize (see mcp-sessions.js); clients that never
+ * send the header keep the original stateless JSON behavior.
+ * @param {Object} req 
+ * @returns {Object} { sessionId, session } - session is null if the header is unknown
+ */
+function getRequestSession(req) {
+    const sessionId = req.get('mcp-session-id');
+    if (!sessionId) {
+        return { sessionId: null, session: null };
+    }
+    return { sessionId, session: getSession(sessionId) };
+}
+
+/**
+ * Send a JSON-RPC error for transport-level failures
+ * @param {Object} res 
+ * @param {number} status 
+ * @param {number} code 
+ * @param {string} message 
+ */
+function sendTransportError(res, status, code, message) {
+    res.status(status).json({
+        jsonrpc: "2.0",
+        id: null,
+        error: { code, message }
+    });
+}
+
+/**
+ * Process a single JSON-RPC message
+ * @param {Object} message 
+ * @param {Object|null} session 
+ * @param {Function|null} notify Sends a notification on this request's SSE response, if it has one
+ * @returns {Promise<Object|null>} Response, or null for notifications and client responses
+ */
+async function handleMcpMessage(message, session, notify = null) {
+    const { method, params, id } = message;
+    log.mcp(`Request received: ${method || 'unknown'}`);
+    logUsage('request', { endpoint: '/mcp', method });
+
+    // Notifications and responses to server requests carry no id and get no reply
+    if (id === undefined || id === null || !method) {
+        return null;
+    }
+
+    let response = {
+        jsonrpc: "2.0",
+        id: id
+    };
+
+    switch (method) {
+        case "initialize":
+            log.mcp('Initialize request - sending server capabilities');
+            response.result = {
+                protocolVersion: session?.protocolVersion || negotiateProtocolVersion(null),
+                capabilities: { tools: {}, resources: { listChanged: true }, prompts: {} },
+                serverInfo: {
+                    name: "OpenFDA Drug Information MCP Server",
+                    version: "2.0.0",
+                    description: "FDA drug information with shortages, recalls, and labels"
+                }
+            };
+            break;
+
+        case "ping":
+            log.mcp('Ping received - responding with empty object');
+            response.result = {};
+            break;
+
+        case "tools/list":
+            log.mcp(`Tools list requested - sending ${TOOL_DEFINITIONS.length} tool definitions`);
+            response.result = { tools: TOOL_DEFINITIONS };
+            break;
+
+        case "tools/call":
+            const { name, arguments: args } = params;
+            log.mcp(`Tool call: ${name}`);
+
+            // Report progress on this request's SSE response when the client asks for it
+            const progressToken = params._meta?.progressToken;
+            const reportProgress = (progress, statusMessage) => {
+                if (notify && progressToken !== undefined) {
+                    notify({
+                        jsonrpc: "2.0",
+                        method: "notifications/progress",
+                        params: { progressToken, progress, total: 1, message: statusMessage }
+                    });
+                }
+            };
+
+            reportProgress(0, `Querying FDA databases for ${name}`);
+            const resourcesBefore = resourceListKey();
+            response.result = await handleToolCall(name, args || {});
+            reportProgress(1, `${name} completed`);
+
+            // The resource list follows the most searched drugs, so a tool call can change it
+            if (resourceListKey() !== resourcesBefore) {
+                const notified = broadcastSessionMessage({ jsonrpc: "2.0", method: "notifications/resources/list_changed" });
+                log.mcp(`Resource list changed - notified ${notified} session(s)`);
+            }
+            break;
+
+        case "resources/list":
+            log.mcp('Resources list requested');
+            response.result = { resources: listResources() };
+            break;
+
+        case "resources/templates/list":
+            log.mcp(`Resource templates requested - sending ${RESOURCE_TEMPLATES.length} templates`);
+            response.result = { resourceTemplates: RESOURCE_TEMPLATES };
+            break;
+
+        case "resources/read":
+            log.mcp(`Resource read: ${params?.uri}`);
+            try {
+                response.result = await readResource(params?.uri);
+            } catch (error) {
+                if (!error.resourceNotFound) throw error;
+                log.warn('mcp', `${error.message} - ${error.reason}`);
+                response.error = {
+                    code: -32002,
+                    message: error.message,
+                    data: { uri: params?.uri, reason: error.reason }
+                };
+            }
+            break;
+
+        case "prompts/list":
+            log.mcp(`Prompts list requested - sending ${PROMPT_DEFINITIONS.length} prompt definitions`);
+            response.result = { prompts: PROMPT_DEFINITIONS };
+            break;
+
+        case "prompts/get":
+            log.mcp(`Prompt requested: ${params?.name}`);
+            try {
+                response.result = buildPromptMessages(params?.name, params?.arguments);
+            } catch (error) {
+                if (!error.invalidParams) throw error;
+                log.warn('mcp', error.message);
+                response.error = {
+                    code: -32602,
+                    message: error.message
+                };
+            }
+            break;
+
+        default:
+            log.warn('mcp', `Unknown method: ${method}`);
+            response.error = {
+                code: -32601,
+                message: `Unknown method: ${method}`
+            };
+    }
+
+    return response;
+}
+
+/**
+ * Build a JSON-RPC error response for a failed request
+ * @param {Error} error 
+ * @param {*} id 
+ * @returns {Object} 
+ */
+function buildMcpErrorResponse(error, id) {
+    // Check if this is a user-friendly error from tool execution
+    let errorResponse = {
+        code: -32603,
+        message: "We encountered an issue processing your request. Please try again in a moment.",
+        suggestions: [
+            "Check your internet connection",
+            "Verify the drug name is spelled correctly", 
+            "Try again in a few moments",
+            "Contact support if the issue persists"
+        ],
+        support: "https://github.com/zesty-genius128/Certus_server/issues"
+    };
+    
+    // If it's a structured error from tool execution, use that info
+    if (error.userFriendly) {
+        errorResponse.message = error.message;
+        errorResponse.suggestions = error.suggestions;
+        errorResponse.tool_name = error.tool_name;
+    }
+    
+    // Add technical details in development
+    if (process.env.NODE_ENV === 'development') {
+        errorResponse.technical_details = error.technical_details || error.message;
+    }
+    
+    return {
+        jsonrpc: "2.0",
+        id: id ?? null,
+        error: errorResponse
+    };
+}
+
+/**
+ * Main MCP Protocol endpoint
+ * Accepts a single JSON-RPC message or a batch. Requests are answered with JSON;
+ * notifications and client responses are acknowledged with 202. When a tool call
+ * asks for progress and the client accepts text/event-stream, the response is an
+ * SSE stream carrying the progress notifications followed by the result.
+ * @route POST /mcp
+ * @param {Object} req.body 
+ * @returns {Object} 
+ */
+app.post('/mcp', async (req, res) => {
+    const isBatch = Array.isArray(req.body);
+    const messages = isBatch ? req.body : [req.body];
+
+    try {
+        let { sessionId, session } = getRequestSession(req);
+        if (sessionId && !session) {
+            log.warn('mcp', `Unknown or expired session: ${sessionId}`);
+            return sendTransportError(res, 404, -32001, "Session not found. Send a new initialize request to start a session.");
+        }
+
+        // Issue a session when a client initializes
+        const initializeMessage = messages.find(message => message?.method === "initialize");
+        if (initializeMessage && !session) {
+            const created = createSession(negotiateProtocolVersion(initializeMessage.params?.protocolVersion));
+            created.evicted.forEach(id => log.mcp(`Session terminated: ${id} (session limit reached)`));
+            session = created.session;
+            log.mcp(`Session created: ${session.id} (protocol ${session.protocolVersion})`);
+            res.set('Mcp-Session-Id', session.id);
+        }
+
+        // Progress notifications belong on this request's own SSE response
+        const wantsProgress = messages.some(message =>
+            message?.method === "tools/call" && message.params?._meta?.progressToken !== undefined
+        );
+        if (wantsProgress && (req.get('accept') || '').includes('text/event-stream')) {
+            res.status(200).set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive'
+            });
+            res.flushHeaders();
+        }
+        const notify = res.headersSent ? createRequestStream(session, res) : null;
+
+        const responses = [];
+        for (const message of messages) {
+            try {
+                const response = await handleMcpMessage(message, session, notify);
+                if (response) responses.push(response);
+            } catch (error) {
+                // Single JSON requests keep the original 500 error behavior
+                if (!isBatch && !notify) throw error;
+                log.error('mcp', `Request processing failed: ${error.message}`);
+                responses.push(buildMcpErrorResponse(error, message?.id));
+            }
+        }
+
+        if (notify) {
+            notify(isBatch ? responses : responses[0]);
+            return res.end();
+        }
+
+        if (responses.length === 0) {
+            return res.status(202).end();
+        }
+
+        res.json(isBatch ? responses : responses[0]);
+        
+    } catch (error) {
+        log.error('mcp', `Request processing failed: ${error.message}`);
+        res.status(500).json(buildMcpErrorResponse(error, req.body?.id));
+    }
+});
+
+/**
+ * MCP server-to-client stream
+ * Opens an SSE stream for server-initiated messages on an existing session.
+ * Send Last-Event-ID to replay events missed while disconnected. When the id
+ * belongs to a POST request's SSE response, that response's remaining events
+ * are replayed and the stream is closed.
+ * @route GET /mcp
+ */
+app.get('/mcp', (req, res) => {
+    logUsage('request', { endpoint: '/mcp', method: 'GET' });
+
+    if (!req.accepts('text/event-stream')) {
+        return sendTransportError(res, 406, -32000, "GET /mcp requires Accept: text/event-stream");
+    }
+
+    const { sessionId, session } = getRequestSession(req);
+    if (!sessionId) {
+        return sendTransportError(res, 400, -32000, "Missing Mcp-Session-Id header. Initialize a session with POST /mcp first.");
+    }
+    if (!session) {
+        return sendTransportError(res, 404, -32001, "Session not found. Send a new initialize request to start a session.");
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'Mcp-Session-Id': session.id
+    });
+    res.flushHeaders();
+
+    // Replay events the client missed
+    const lastEventId = parseInt(req.get('last-event-id'), 10);
+    if (!Number.isNaN(lastEventId)) {
+        const missed = eventsAfter(session, lastEventId);
+        missed.forEach(event => writeSseEvent(res, event.id, event.message));
+        log.mcp(`SSE stream resumed for session ${session.id} - replayed ${missed.length} event(s)`);
+        if (streamOfEvent(session, lastEventId) !== STANDALONE_STREAM) {
+            return res.end();
+        }
+    } else {
+        log.mcp(`SSE stream opened for session ${session.id}`);
+    }
+
+    session.streams.add(res);
+    const keepAlive = setInterval(() => res.write(': keepalive\n\n'), SESSION_CONFIG.KEEPALIVE_MS);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        session.streams.delete(res);
+        session.lastActivity = Date.now();
+        log.mcp(`SSE stream closed for session ${session.id}`);
+    });
+});
+
+/**
+ * MCP session termination
+ * @route DELETE /mcp
  */
-app.post('/cache-cleanup', (req, res) => {
-    try {
-        log.server('Manual cache cleanup requested');
-        logUsage('request', { endpoint: '/cache-cleanup' });
-        const statsBefore = getCacheStats();
-        
-        cleanExpiredCache();
-        
-        const statsAfter = getCacheStats();
-        const entriesRemoved = statsBefore.totalEntries - statsAfter.totalEntries;
-        
-        const response = {
-            timestamp: new Date().toISOString(),
-            cleanup_completed: true,
-            entries_removed: entriesRemoved,
-            cache_before: statsBefore,
-            cache_after: statsAfter
-        };
-        
-        res.json(response);
-        log.server(`Manual cleanup completed: ${entriesRemoved} entries removed`);
-    } catch (error) {
-        log.error('cache-cleanup', `Manual cache cleanup failed: ${error.message}`);
-        res.status(500).json({ error: 'Failed to perform cache cleanup' });
+app.delete('/mcp', (req, res) => {
+    logUsage('request', { endpoint: '/mcp', method: 'DELETE' });
+
+    const { sessionId, session } = getRequestSession(req);
+    if (!sessionId) {
+        return sendTransportError(res, 400, -32000, "Missing Mcp-Session-Id header");
+    }
+    if (!session) {
+        return sendTransportError(res, 404, -32001, "Session not found");
     }
+
+    terminateSession(session);
+    log.mcp(`Session terminated: ${session.id} (client request)`);
+    res.status(204).end();
 });
 
 /**
- * Usage analytics endpoint - provides server usage statistics
- * @route GET /usage-stats
- * @returns {Object} Server usage analytics and insights
+ * Expire idle sessions that have no open stream
  */
-app.get('/usage-stats', (req, res) => {
-    try {
-        log.server('Usage statistics requested');
-        logUsage('request', { endpoint: '/usage-stats' });
-        
-        // Convert Maps to arrays for JSON serialization
-        const topTools = Array.from(usageAnalytics.requests.byTool.entries())
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 10)
-            .map(([tool, count]) => ({ tool, count }));
-            
-        const topDrugs = Array.from(usageAnalytics.requests.byDrug.entries())
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 10)
-            .map(([drug, count]) => ({ drug, count }));
-            
-        const topEndpoints = Array.from(usageAnalytics.requests.byEndpoint.entries())
-            .sort(([,a], [,b]) => b - a)
-            .map(([endpoint, count]) => ({ endpoint, count }));
-        
-        const uptime = Math.floor((Date.now() - new Date(usageAnalytics.startTime).getTime()) / 1000);
-        const uptimeHours = Math.floor(uptime / 3600);
-        const uptimeMinutes = Math.floor((uptime % 3600) / 60);
-        
-        const response = {
-            timestamp: new Date().toISOString(),
-            server_start_time: usageAnalytics.startTime,
-            uptime: {
-                seconds: uptime,
-                human_readable: `${uptimeHours}h ${uptimeMinutes}m`
-            },
-            request_summary: {
-                total_requests: usageAnalytics.requests.total,
-                successful_requests: usageAnalytics.requests.total - usageAnalytics.requests.errors,
-                error_requests: usageAnalytics.requests.errors,
-                rate_limited_requests: usageAnalytics.requests.rateLimited,
-                requests_per_hour: Math.round(usageAnalytics.requests.total / Math.max(uptimeHours, 1))
-            },
-            top_fda_tools: topTools,
-            most_searched_drugs: topDrugs,
-            endpoint_usage: topEndpoints,
-            insights: {
-                most_popular_tool: topTools[0]?.tool || 'none',
-                most_searched_drug: topDrugs[0]?.drug || 'none',
-                error_rate: `${Math.round((usageAnalytics.requests.errors / Math.max(usageAnalytics.requests.total, 1)) * 100)}%`,
-                average_requests_per_minute: Math.round(usageAnalytics.requests.total / Math.max(uptime / 60, 1))
+setInterval(() => {
+    expireIdleSessions().forEach(id => log.mcp(`Session terminated: ${id} (idle timeout)`));
+}, SESSION_CONFIG.CLEANUP_INTERVAL_MS).unref();
+
+/**
+ * Error for resource URIs that do not resolve to an FDA record
+ * Mapped to JSON-RPC code -32002 (resource not found)
+ */
+function resourceNotFound(uri, reason) {
+    const error = new Error(`Resource not found: ${uri}`);
+    error.resourceNotFound = true;
+    error.reason = reason;
+    return error;
+}
+
+/**
+ * Parse an fda:// resource URI against RESOURCE_TEMPLATES
+ * @param {string} uri 
+ * @returns {Object|null} { type, ...params } or null if the URI matches no template
+ * @throws Resource-not-found error when a URI segment is not valid percent-encoding
+ */
+function parseResourceUri(uri) {
+    const patterns = [
+        { type: 'label', regex: /^fda:\/\/label\/([^/]+)\/([^/]+)$/, keys: ['generic_name', 'section'] },
+        { type: 'shortage', regex: /^fda:\/\/shortage\/([^/]+)$/, keys: ['drug'] },
+        { type: 'recall', regex: /^fda:\/\/recall\/([^/]+)$/, keys: ['recall_number'] }
+    ];
+
+    for (const { type, regex, keys } of patterns) {
+        const match = typeof uri === 'string' ? uri.match(regex) : null;
+        if (match) {
+            const parsed = { type };
+            try {
+                keys.forEach((key, index) => {
+                    parsed[key] = decodeURIComponent(match[index + 1]);
+                });
+            } catch {
+                throw resourceNotFound(uri, 'URI contains invalid percent-encoding');
             }
-        };
-        
-        res.json(response);
-        log.server(`Usage stats: ${usageAnalytics.requests.total} total requests, ${topTools.length} unique tools used`);
-    } catch (error) {
-        log.error('usage-stats', `Usage stats failed: ${error.message}`);
-        res.status(500).json({ error: 'Failed to retrieve usage statistics' });
+            return parsed;
+        }
     }
-});
+    return null;
+}
 
 /**
- * Server information endpoint - provides API documentation and tool overview
- * @route GET /
- * @returns {Object} Server metadata, available tools, and architectural notes
+ * List concrete resources for the most searched drugs
+ * @returns {Array<Object>} 
  */
-app.get('/', (req, res) => {
-    log.server('Info endpoint accessed');
-    logUsage('request', { endpoint: '/' });
-    
-    const toolSummary = TOOL_DEFINITIONS.map(tool => ({
-        name: tool.name,
-        description: tool.description.split('.')[0] // First sentence only
-    }));
+function listResources() {
+    const topDrugs = Array.from(usageAnalytics.requests.byDrug.entries())
+        .sort(([,a], [,b]) => b - a)
+        .slice(0, 10)
+        .map(([drug]) => drug);
 
-    res.json({
-        name: "OpenFDA Drug Information MCP Server",
-        version: "2.0.0",
-        description: "Optimized MCP server for FDA drug information with minimal post-processing",
-        architecture: "HTTP server with stdio transport bridge compatibility",
-        endpoints: {
-            health: "/health",
-            mcp: "/mcp",
-            tools: "/tools",
-            usage_stats: "/usage-stats",
-            cache_stats: "/cache-stats"
+    return topDrugs.flatMap(drug => [
+        {
+            uri: `fda://shortage/${encodeURIComponent(drug)}`,
+            name: `${drug} shortage records`,
+            mimeType: "application/json"
         },
-        tools: toolSummary,
-        optimization_notes: [
-            "Minimal post-processing of API data",
-            "Raw OpenFDA JSON responses preserved",
-            "Reduced data transformation overhead",
-            "Enhanced for Claude analysis"
-        ]
-    });
-});
+        {
+            uri: `fda://label/${encodeURIComponent(drug)}/indications_and_usage`,
+            name: `${drug} label: indications and usage`,
+            mimeType: "text/plain"
+        }
+    ]);
+}
 
 /**
- * MCP-compatible tools endpoint for schema discovery
- * @route GET /tools
- * @returns {Object} Complete tool definitions with input schemas
+ * Identify the current resource list so changes can be announced
+ * @returns {string} 
  */
-app.get('/tools', (req, res) => {
-    log.mcp('Tools schema requested');
-    logUsage('request', { endpoint: '/tools' });
-    res.json({ tools: TOOL_DEFINITIONS });
-});
+function resourceListKey() {
+    return listResources().map(resource => resource.uri).join('\n');
+}
 
 /**
- * Main MCP Protocol endpoint
- * @route POST /mcp
- * @param {Object} req.body 
- * @returns {Object} 
+ * Read an fda:// resource using the openFDA client (and its cache)
+ * @param {string} uri 
+ * @returns {Promise<Object>} MCP resources/read result
  */
-app.post('/mcp', async (req, res) => {
-    try {
-        const { method, params, id } = req.body;
-        log.mcp(`Request received: ${method || 'unknown'}`);
-        logUsage('request', { endpoint: '/mcp', method });
-        
-        let response = {
-            jsonrpc: "2.0",
-            id: id
-        };
+async function readResource(uri) {
+    const parsed = parseResourceUri(uri);
+    if (!parsed) {
+        throw resourceNotFound(uri, `URI does not match any template: ${RESOURCE_TEMPLATES.map(t => t.uriTemplate).join(', ')}`);
+    }
 
-        switch (method) {
-            case "initialize":
-                log.mcp('Initialize request - sending server capabilities');
-                response.result = {
-                    protocolVersion: "2024-11-05",
-                    capabilities: { tools: {} },
-                    serverInfo: {
-                        name: "OpenFDA Drug Information MCP Server",
-                        version: "2.0.0",
-                        description: "FDA drug information with shortages, recalls, and labels"
-                    }
-                };
-                break;
+    switch (parsed.type) {
+        case 'label': {
+            if (!LABEL_SECTIONS.includes(parsed.section)) {
+                throw resourceNotFound(uri, `Unknown label section: ${parsed.section}`);
+            }
+            const labelData = await fetchDrugLabelInfo(parsed.generic_name, "openfda.generic_name");
+            // Upstream failures are server errors, not a missing resource
+            if (labelData.error_type && labelData.error_type !== 'no_data_found') {
+                throw new Error(labelData.error);
+            }
+            const label = labelData.results?.[0];
+            const section = label ? paginateLabelSection(label, parsed.section, 0, Number.MAX_SAFE_INTEGER) : { available: false };
+            if (!section.available) {
+                throw resourceNotFound(uri, `No ${parsed.section} section on the FDA label for "${parsed.generic_name}"`);
+            }
+            return {
+                contents: [{ uri, mimeType: "text/plain", text: section.text }]
+            };
+        }
 
-            case "ping":
-                log.mcp('Ping received - responding with empty object');
-                response.result = {};
-                break;
+        case 'shortage': {
+            const shortageData = await searchDrugShortages(parsed.drug, 50);
+            // Upstream failures are server errors, not a missing resource
+            if (shortageData.error_type) {
+                throw new Error(shortageData.error);
+            }
+            if (shortageData.error) {
+                throw resourceNotFound(uri, shortageData.error);
+            }
+            return {
+                contents: [{ uri, mimeType: "application/json", text: JSON.stringify(shortageData, null, 2) }]
+            };
+        }
 
-            case "tools/list":
-                log.mcp(`Tools list requested - sending ${TOOL_DEFINITIONS.length} tool definitions`);
-                response.result = { tools: TOOL_DEFINITIONS };
-                break;
+        case 'recall': {
+            const recallData = await getRecallByNumber(parsed.recall_number);
+            // Upstream failures are server errors, not a missing resource
+            if (recallData.error_type) {
+                throw new Error(recallData.error);
+            }
+            if (recallData.error || !recallData.results?.length) {
+                throw resourceNotFound(uri, recallData.error || recallData.message);
+            }
+            return {
+                contents: [{ uri, mimeType: "application/json", text: JSON.stringify(recallData, null, 2) }]
+            };
+        }
+    }
+}
 
-            case "tools/call":
-                const { name, arguments: args } = params;
-                log.mcp(`Tool call: ${name}`);
-                
-                response.result = await handleToolCall(name, args);
-                break;
+/**
+ * Error for invalid prompt requests, mapped to JSON-RPC code -32602 (invalid params)
+ */
+function invalidPromptParams(message) {
+    const error = new Error(message);
+    error.invalidParams = true;
+    return error;
+}
 
-            default:
-                log.warn('mcp', `Unknown method: ${method}`);
-                response.error = {
-                    code: -32601,
-                    message: `Unknown method: ${method}`
-                };
+/**
+ * Build the messages for a prompt
+ * @param {string} name 
+ * @param {Object} args 
+ * @returns {Object} MCP prompts/get result
+ */
+function buildPromptMessages(name, rawArgs) {
+    const definition = PROMPT_DEFINITIONS.find(prompt => prompt.name === name);
+    if (!definition) {
+        throw invalidPromptParams(`Prompt '${name}' is not available. Available prompts: ${PROMPT_DEFINITIONS.map(p => p.name).join(', ')}`);
+    }
+
+    // Clients may omit arguments or send null; anything else must be an object of strings
+    const args = rawArgs ?? {};
+    if (typeof args !== 'object' || Array.isArray(args)) {
+        throw invalidPromptParams(`Arguments for ${name} must be an object`);
+    }
+    const wrongType = definition.arguments
+        .filter(arg => args[arg.name] !== undefined && args[arg.name] !== null && typeof args[arg.name] !== 'string')
+        .map(arg => arg.name);
+    if (wrongType.length > 0) {
+        throw invalidPromptParams(`Argument(s) for ${name} must be strings: ${wrongType.join(', ')}`);
+    }
+
+    const missing = definition.arguments
+        .filter(arg => arg.required && (typeof args[arg.name] !== 'string' || !args[arg.name].trim()))
+        .map(arg => arg.name);
+    if (missing.length > 0) {
+        throw invalidPromptParams(`Missing required argument(s) for ${name}: ${missing.join(', ')}`);
+    }
+
+    let text;
+    switch (name) {
+        case "shortage_impact_assessment": {
+            const drug = args.drug_name.trim();
+            const setting = args.care_setting?.trim() || "a hospital pharmacy";
+            text = [
+                `Assess the impact of the current FDA shortage status of ${drug} for ${setting}.`,
+                ``,
+                `Use these tools in order:`,
+                `1. search_drug_shortages with drug_name "${drug}" - confirm whether the shortage is current, which presentations are affected, the reason, and availability notes.`,
+                `2. analyze_drug_shortage_trends with drug_name "${drug}" and months_back 24 - judge how long shortages of this drug usually last and whether it recurs.`,
+                `3. search_drug_recalls with drug_name "${drug}" - check whether a recall is driving or worsening the shortage.`,
+                `4. get_medication_profile with drug_identifier "${drug}" - confirm indications and dosage forms that clinicians depend on.`,
+                ``,
+                `Then report:`,
+                `- Shortage status and affected presentations`,
+                `- Severity for ${setting} (high/moderate/low) with reasoning`,
+                `- Expected duration based on the historical pattern`,
+                `- Recommended actions: conservation, ordering, communication to prescribers`,
+                ``,
+                `Cite the FDA data returned by the tools and say clearly when data is missing.`
+            ].join('\n');
+            break;
         }
 
-        res.json(response);
-        
-    } catch (error) {
-        log.error('mcp', `Request processing failed: ${error.message}`);
-        
-        // Check if this is a user-friendly error from tool execution
-        let errorResponse = {
-            code: -32603,
-            message: "We encountered an issue processing your request. Please try again in a moment.",
-            suggestions: [
-                "Check your internet connection",
-                "Verify the drug name is spelled correctly", 
-                "Try again in a few moments",
-                "Contact support if the issue persists"
-            ],
-            support: "https://github.com/zesty-genius128/Certus_server/issues"
-        };
-        
-        // If it's a structured error from tool execution, use that info
-        if (error.userFriendly) {
-            errorResponse.message = error.message;
-            errorResponse.suggestions = error.suggestions;
-            errorResponse.tool_name = error.tool_name;
+        case "medication_safety_review": {
+            const medications = args.medication_list
+                .split(/[,\n]/)
+                .map(med => med.trim())
+                .filter(Boolean);
+            if (medications.length > 25) {
+                throw invalidPromptParams("medication_list is limited to 25 medications");
+            }
+            const quoted = medications.map(med => `"${med}"`).join(', ');
+            text = [
+                `Perform a medication safety review for this list: ${medications.join(', ')}.`,
+                ``,
+                `Use these tools:`,
+                `1. batch_drug_analysis with drug_list [${quoted}] - find current shortages and recalls for every medication at once.`,
+                `2. get_drug_label_info for each medication - note boxed warnings, contraindications, and drug interactions with the other medications on the list.`,
+                `3. search_serious_adverse_events for each medication - note death, hospitalization, and life-threatening report patterns.`,
+                `4. search_adverse_events for any medication with a boxed warning or unexpected serious events - review the most reported reactions.`,
+                ``,
+                `Then report, one section per medication:`,
+                `- Supply issues (shortages, recalls)`,
+                `- Label warnings and interactions with other listed medications`,
+                `- Serious adverse event signals`,
+                ``,
+                `Finish with a prioritized list of issues for pharmacist follow-up. Adverse event reports do not prove causation; say so.`
+            ].join('\n');
+            break;
         }
-        
-        // Add technical details in development
-        if (process.env.NODE_ENV === 'development') {
-            errorResponse.technical_details = error.technical_details || error.message;
+
+        case "recall_response_checklist": {
+            const drug = args.drug_name.trim();
+            const recall = args.recall_number?.trim();
+            text = [
+                `Build a recall response checklist for ${drug}${recall ? ` (FDA recall ${recall})` : ''}.`,
+                ``,
+                `Use these tools:`,
+                `1. search_drug_recalls with drug_name "${drug}" - identify ${recall ? `recall ${recall} and ` : ''}its classification (Class I/II/III), status, reason, affected lots, and distribution.`,
+                `2. get_drug_label_info with drug_identifier "${drug}" - confirm the products and dosage forms involved.`,
+                `3. search_drug_shortages with drug_name "${drug}" - check whether the recall is likely to cause or worsen a shortage.`,
+                ``,
+                `Then produce a checklist covering:`,
+                `- Identify and quarantine affected lots in all inventory locations`,
+                `- Patient notification and follow-up, prioritized by recall classification`,
+                `- Prescriber and staff communication`,
+                `- Returns and documentation for the recalling firm`,
+                `- Replacement supply or therapeutic alternatives if stock is short`,
+                ``,
+                `Base every item on the FDA recall data returned and flag anything that needs manual confirmation.`
+            ].join('\n');
+            break;
         }
-        
-        res.status(500).json({
-            jsonrpc: "2.0",
-            id: req.body?.id || null,
-            error: errorResponse
-        });
     }
-});
+
+    return {
+        description: definition.description,
+        messages: [
+            {
+                role: "user",
+                content: { type: "text", text }
+            }
+        ]
+    };
+}
+
+/**
+ * Dispatch manage_recall_watchlist actions
+ * @param {Object} args Tool arguments
+ * @returns {Object} Watchlist data or an error object
+ */
+function manageRecallWatchlist(args) {
+    switch (args.action) {
+        case "create":
+            return createWatchlist(args);
+        case "list":
+            return { watchlists: listWatchlists() };
+        case "get":
+            return getWatchlist(args.watchlist_id) || { error: `Watchlist "${args.watchlist_id}" not found` };
+        case "delete":
+            return deleteWatchlist(args.watchlist_id)
+                ? { deleted: true, watchlist_id: args.watchlist_id }
+                : { error: `Watchlist "${args.watchlist_id}" not found` };
+        default:
+            return { error: `Unknown action "${args.action}". Use create, list, get, or delete` };
+    }
+}
+
+/**
+ * Recall search filters from tool arguments or /export parameters
+ */
+function recallFilters(args) {
+    return {
+        classification: args.classification,
+        status: args.status,
+        report_date_from: args.report_date_from,
+        report_date_to: args.report_date_to,
+        recall_initiation_date_from: args.recall_initiation_date_from,
+        recall_initiation_date_to: args.recall_initiation_date_to,
+        voluntary_mandated: args.voluntary_mandated
+    };
+}
+
+// Tools that accept format: "csv" | "tsv", with the export type each produces
+const EXPORTABLE_TOOLS = {
+    search_drug_shortages: "shortages",
+    search_drug_recalls: "recalls",
+    batch_drug_analysis: "batch"
+};
 
 /**
  * Handle tool calls and return results
@@ -706,22 +1925,22 @@ app.post('/mcp', async (req, res) => {
 async function handleToolCall(name, args) {
     try {
         let result;
-        const drugName = args.drug_name || args.drug_identifier || 'unknown';
+        const drugName = args.drug_name || args.drug_identifier || args.query || 'unknown';
         
         switch (name) {
             case "search_drug_shortages":
                 log.tool(name, drugName, `limit: ${args.limit || 10}`);
-                result = await searchDrugShortages(args.drug_name, args.limit || 10);
+                result = await searchDrugShortages(args.drug_name, args.limit || 10, args.cursor || null);
                 break;
                 
             case "get_medication_profile":
-                log.tool(name, drugName, `type: ${args.identifier_type || 'openfda.generic_name'}`);
-                result = await getMedicationProfile(args.drug_identifier, args.identifier_type || "openfda.generic_name");
+                log.tool(name, drugName, `type: ${args.identifier_type || 'openfda.generic_name'}, approvals: ${args.include_approval_history || false}`);
+                result = await getMedicationProfile(args.drug_identifier, args.identifier_type || "openfda.generic_name", args.include_approval_history || false);
                 break;
                 
             case "search_drug_recalls":
-                log.tool(name, drugName, `limit: ${args.limit || 10}`);
-                result = await searchDrugRecalls(args.drug_name, args.limit || 10);
+                log.tool(name, drugName, `limit: ${args.limit || 10}${args.classification ? `, ${args.classification}` : ''}`);
+                result = await searchDrugRecalls(args.drug_name, args.limit || 10, recallFilters(args), args.cursor || null);
                 break;
                 
             case "get_drug_label_info":
@@ -738,17 +1957,102 @@ async function handleToolCall(name, args) {
                 if (args.drug_list.length > 25) {
                     throw new Error("Maximum 25 drugs per batch");
                 }
-                log.tool(name, `${args.drug_list.length} drugs`, `trends: ${args.include_trends || false}`);
-                result = await batchDrugAnalysis(args.drug_list, args.include_trends || false);
+                log.tool(name, `${args.drug_list.length} drugs`, `checks: ${args.checks ? [].concat(args.checks).join(', ') : 'default'}, trends: ${args.include_trends || false}`);
+                result = await batchDrugAnalysis(args.drug_list, args.include_trends || false, {
+                    checks: args.checks || null,
+                    concurrency: args.concurrency || 4,
+                    timeoutMs: (args.timeout_seconds || 30) * 1000
+                });
                 break;
             case "search_adverse_events":
                 log.tool(name, drugName, `limit: ${args.limit || 5}, detailed: ${args.detailed || false}`);
-                result = await searchAdverseEvents(args.drug_name, args.limit || 5, args.detailed || false);
+                result = await searchAdverseEvents(args.drug_name, args.limit || 5, args.detailed || false, args.cursor || null);
                 break;
                 
             case "search_serious_adverse_events":
-                log.tool(name, drugName, `limit: ${args.limit || 5}, detailed: ${args.detailed || false}`);
-                result = await searchSeriousAdverseEvents(args.drug_name, args.limit || 5, args.detailed || false);
+                log.tool(name, drugName, `limit: ${args.limit || 5}, detailed: ${args.detailed || false}, seriousness: ${args.seriousness || 'any'}`);
+                result = await searchSeriousAdverseEvents(args.drug_name, args.limit || 5, args.detailed || false, args.seriousness || null, args.cursor || null);
+                break;
+                
+            case "detect_adverse_event_signals":
+                log.tool(name, drugName, `limit: ${args.limit || 20}, min_reports: ${args.min_reports || 3}`);
+                result = await detectAdverseEventSignals(args.drug_name, args.limit || 20, args.min_reports || 3);
+                break;
+                
+            case "get_adverse_event_demographics":
+                log.tool(name, drugName, 'demographic and outcome breakdowns');
+                result = await getAdverseEventDemographics(args.drug_name);
+                break;
+                
+            case "lookup_ndc":
+                log.tool(name, drugName, `limit: ${args.limit || 10}`);
+                result = await lookupNDC(args.query, args.limit || 10);
+                break;
+                
+            case "get_drug_approval_history":
+                log.tool(name, drugName, `limit: ${args.limit || 5}`);
+                result = await searchDrugApprovals(args.drug_name, args.limit || 5);
+                break;
+                
+            case "get_drug_label_section":
+                log.tool(name, drugName, `sections: ${[].concat(args.sections || []).join(', ')}, offset: ${args.offset || 0}`);
+                result = await getDrugLabelSections(
+                    args.drug_identifier,
+                    args.sections,
+                    args.identifier_type || "openfda.generic_name",
+                    args.offset || 0,
+                    args.max_length || 4000
+                );
+                break;
+                
+            case "find_therapeutic_alternatives":
+                log.tool(name, drugName, `limit: ${args.limit || 5}`);
+                result = await findTherapeuticAlternatives(args.drug_name, args.limit || 5);
+                break;
+                
+            case "manage_recall_watchlist":
+                log.tool(name, drugName, `action: ${args.action}`);
+                result = manageRecallWatchlist(args);
+                break;
+                
+            case "check_recall_watchlist":
+                log.tool(name, drugName, `watchlist: ${args.watchlist_id || 'all'}`);
+                if (args.watchlist_id) {
+                    result = await checkWatchlist(args.watchlist_id, { notify: args.notify !== false })
+                        || { error: `Watchlist "${args.watchlist_id}" not found` };
+                } else {
+                    result = { results: await checkAllWatchlists() };
+                }
+                break;
+                
+            case "get_shortage_changes":
+                log.tool(name, drugName, `since: ${args.since || 'last 24 hours'}`);
+                result = await getShortageChanges(args.since, args.drug_name);
+                break;
+                
+            case "resolve_drug":
+                log.tool(name, drugName, 'canonical identity');
+                result = await resolveDrugIdentity(args.query);
+                break;
+                
+            case "compare_drug_labels":
+                log.tool(name, `${args.first_drug} vs ${args.second_drug}`, `sections: ${args.sections ? [].concat(args.sections).join(', ') : 'default'}`);
+                result = await compareDrugLabels(args.first_drug, args.second_drug, {
+                    firstType: args.first_identifier_type || "openfda.generic_name",
+                    secondType: args.second_identifier_type || "openfda.generic_name",
+                    ...(args.sections && { sections: args.sections }),
+                    maxLength: args.max_length || 2000
+                });
+                break;
+                
+            case "get_drug_label_history":
+                log.tool(name, drugName, `versions: ${args.from_version || 'previous'} -> ${args.to_version || 'latest'}`);
+                result = await getDrugLabelHistory(
+                    args.drug_identifier,
+                    args.identifier_type || "openfda.generic_name",
+                    args.from_version ?? null,
+                    args.to_version ?? null
+                );
                 break;
                 
             default:
@@ -756,6 +2060,26 @@ async function handleToolCall(name, args) {
         }
         
         log.tool(name, drugName, 'completed successfully');
+
+        // Spreadsheet output; errors fall through and are returned as JSON
+        if (EXPORTABLE_TOOLS[name] && args.format && args.format !== "json") {
+            const file = exportResults(EXPORTABLE_TOOLS[name], result, args.format);
+            if (file.error) {
+                result = file;
+            } else {
+                const nextCursor = result.pagination?.has_more ? result.pagination.next_cursor : null;
+                return {
+                    content: [
+                        { type: "text", text: file.content },
+                        ...(nextCursor ? [{
+                            type: "text",
+                            text: `${file.row_count} rows shown. More results are available: call again with cursor "${nextCursor}".`
+                        }] : [])
+                    ]
+                };
+            }
+        }
+
         return {
             content: [
                 {
@@ -835,7 +2159,9 @@ app.use((req, res) => {
                 "/mcp": "MCP protocol endpoint for tool calls",
                 "/tools": "Available FDA drug information tools",
                 "/usage-stats": "Server usage analytics and insights",
-                "/cache-stats": "Cache statistics and monitoring"
+                "/cache-stats": "Cache statistics and monitoring",
+                "/watchlists": "Recall watchlists with change detection",
+                "/export": "Shortage, recall and batch results as CSV or TSV"
             },
             timestamp: new Date().toISOString()
         });
@@ -855,6 +2181,16 @@ app.listen(PORT, '0.0.0.0', () => {
     log.server('Architecture: HTTP server with stdio transport bridge compatibility');
     log.server('Optimized for minimal post-processing and raw API data');
     
+    const watchlistPollMinutes = startWatchlistPolling();
+    log.server(watchlistPollMinutes > 0
+        ? `Recall watchlists polled every ${watchlistPollMinutes} minutes`
+        : 'Recall watchlist polling disabled');
+    
+    const snapshotMinutes = startShortageSnapshots();
+    log.server(snapshotMinutes > 0
+        ? `Shortage snapshots taken every ${snapshotMinutes} minutes`
+        : 'Shortage snapshots disabled');
+    
     console.log(`\nAvailable Tools:`);
     TOOL_DEFINITIONS.forEach((tool, index) => {
         console.log(`   ${index + 1}. ${tool.name} - ${tool.description.split('.')[0]}`);
@@ -1,15 +1,72 @@
+import { createCacheStore } from './cache-store.js';
+
 const OPENFDA_API_KEY = process.env.OPENFDA_API_KEY;
 const BASE_URL = "https://api.fda.gov";
 
-// Cache for FDA API data
-const cache = new Map();
+// Cache for FDA API data (in-memory by default, CACHE_STORE=file to persist across restarts)
+const cache = createCacheStore();
+
+// Pending upstream fetches keyed by request, shared by concurrent callers
+const inFlightRequests = new Map();
+const coalescingStats = {
+    upstreamFetches: 0,
+    coalescedHits: 0
+};
 
 // Cache expiry times
 const CACHE_TTL = {
     DRUG_LABELS: 24 * 60,      // 24 hours - static data
     DRUG_SHORTAGES: 30,        // 30 minutes - supply changes rapidly
     DRUG_RECALLS: 12 * 60,     // 12 hours - semi-static (NOT USED - no caching for safety)
-    ADVERSE_EVENTS: 60         // 1 hour - balance safety freshness with performance
+    ADVERSE_EVENTS: 60,        // 1 hour - balance safety freshness with performance
+    NDC_DIRECTORY: 24 * 60,    // 24 hours - NDC directory is refreshed daily by FDA
+    DRUG_APPROVALS: 24 * 60,   // 24 hours - approval history changes rarely
+    DRUG_VOCABULARY: 24 * 60,  // 24 hours - drug name vocabulary for spelling suggestions
+    DRUG_IDENTITY: 24 * 60     // 24 hours - resolved drug identities
+};
+
+// Structured product label sections that can be retrieved individually
+const LABEL_SECTIONS = [
+    "boxed_warning",
+    "indications_and_usage",
+    "dosage_and_administration",
+    "dosage_forms_and_strengths",
+    "contraindications",
+    "warnings_and_cautions",
+    "warnings",
+    "precautions",
+    "adverse_reactions",
+    "drug_interactions",
+    "use_in_specific_populations",
+    "pregnancy",
+    "nursing_mothers",
+    "pediatric_use",
+    "geriatric_use",
+    "overdosage",
+    "description",
+    "clinical_pharmacology",
+    "mechanism_of_action",
+    "pharmacokinetics",
+    "how_supplied",
+    "storage_and_handling",
+    "patient_counseling_information",
+    "information_for_patients",
+    "spl_medguide",
+    "active_ingredient",
+    "inactive_ingredient",
+    "purpose",
+    "do_not_use",
+    "stop_use",
+    "ask_doctor",
+    "when_using",
+    "keep_out_of_reach_of_children"
+];
+
+// Label section paging defaults (characters)
+const LABEL_SECTION_PAGE = {
+    DEFAULT_LENGTH: 4000,
+    MIN_LENGTH: 500,
+    MAX_LENGTH: 20000
 };
 
 // FDA API URLs
@@ -17,7 +74,9 @@ const ENDPOINTS = {
     DRUG_LABEL: `${BASE_URL}/drug/label.json`,
     DRUG_SHORTAGES: `${BASE_URL}/drug/shortages.json`,
     DRUG_ENFORCEMENT: `${BASE_URL}/drug/enforcement.json`,
-    DRUG_EVENT: `${BASE_URL}/drug/event.json`
+    DRUG_EVENT: `${BASE_URL}/drug/event.json`,
+    DRUG_NDC: `${BASE_URL}/drug/ndc.json`,
+    DRUGS_FDA: `${BASE_URL}/drug/drugsfda.json`
 };
 
 /**
@@ -34,7 +93,10 @@ function validateDrugName(drugName, context = "drug information") {
             "trends": ["Try: insulin, metformin, lisinopril"],
             "adverse events": ["Try: aspirin, metformin, atorvastatin, ibuprofen, or Lipitor"],
             "serious adverse events": ["Try: warfarin, methotrexate, digoxin, lithium"],
-            "drug information": ["Try: metformin, atorvastatin, lisinopril, or Lipitor"]
+            "drug information": ["Try: metformin, atorvastatin, lisinopril, or Lipitor"],
+            "NDC directory": ["Try: 0002-3227, 0002-3227-30, metformin, or Lipitor"],
+            "approval history": ["Try: metformin, Lipitor, NDA020357, or ANDA076543"],
+            "therapeutic alternatives": ["Try: cisplatin, atorvastatin, amoxicillin, or Lipitor"]
         };
         
         return {
@@ -125,6 +187,50 @@ function classifyFDAError(error, response, url) {
     return classification;
 }
 
+// openFDA allows 240 requests per minute per key or IP; every upstream request
+// takes a token, with a small burst so single tool calls are never delayed
+const RATE_LIMIT = {
+    REQUESTS_PER_MINUTE: Number(process.env.OPENFDA_REQUESTS_PER_MINUTE ?? 240),  // 0 disables
+    BURST: 4
+};
+
+const rateLimiter = {
+    tokens: RATE_LIMIT.BURST,
+    updatedAt: Date.now(),
+    queue: Promise.resolve(),
+    waits: 0
+};
+
+/**
+ * Wait for an upstream request slot (token bucket, first come first served)
+ * @returns {Promise<void>}
+ */
+function acquireRequestSlot() {
+    const perMinute = RATE_LIMIT.REQUESTS_PER_MINUTE;
+    if (!Number.isFinite(perMinute) || perMinute <= 0) {
+        return Promise.resolve();
+    }
+
+    const tokensPerMs = perMinute / 60000;
+    const refill = () => {
+        const now = Date.now();
+        rateLimiter.tokens = Math.min(RATE_LIMIT.BURST, rateLimiter.tokens + (now - rateLimiter.updatedAt) * tokensPerMs);
+        rateLimiter.updatedAt = now;
+    };
+
+    const slot = rateLimiter.queue.then(async () => {
+        refill();
+        if (rateLimiter.tokens < 1) {
+            rateLimiter.waits++;
+            await new Promise(resolve => setTimeout(resolve, Math.ceil((1 - rateLimiter.tokens) / tokensPerMs)));
+            refill();
+        }
+        rateLimiter.tokens -= 1;
+    });
+    rateLimiter.queue = slot;
+    return slot;
+}
+
 /**
  * Make FDA API request with retry logic
  * @param {string} url 
@@ -137,6 +243,7 @@ async function enhancedFDARequest(url, params, maxRetries = 2) {
     
     for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
         try {
+            await acquireRequestSlot();
             const response = await fetch(fullUrl, {
                 timeout: 15000,
                 headers: {
@@ -146,7 +253,14 @@ async function enhancedFDARequest(url, params, maxRetries = 2) {
             });
             
             if (response.ok) {
-                return await response.json();
+                const data = await response.json();
+                // openFDA sends a Link header with a search_after URL for the next page;
+                // kept non-enumerable so it is not spread into tool responses
+                const nextLink = response.headers?.get?.('link')?.match(/<([^>]+)>;\s*rel="next"/)?.[1];
+                if (nextLink && data && typeof data === 'object') {
+                    Object.defineProperty(data, 'nextPageLink', { value: nextLink, enumerable: false });
+                }
+                return data;
             }
             
             // Classify the HTTP error
@@ -167,6 +281,11 @@ async function enhancedFDARequest(url, params, maxRetries = 2) {
             await new Promise(resolve => setTimeout(resolve, delay));
             
         } catch (error) {
+            // HTTP errors above are already classified - don't re-wrap them as unknown
+            if (error.classification) {
+                throw error;
+            }
+            
             const errorClass = classifyFDAError(error, null, fullUrl);
             
             // If shouldn't retry or last attempt, throw classified error
@@ -196,18 +315,166 @@ function normalizeIdentifierType(identifierType) {
         'brand_name': 'openfda.brand_name',
         'proprietary_name': 'openfda.brand_name',
         'openfda.generic_name': 'openfda.generic_name',
-        'openfda.brand_name': 'openfda.brand_name'
+        'openfda.brand_name': 'openfda.brand_name',
+        'product_ndc': 'openfda.product_ndc',
+        'openfda.product_ndc': 'openfda.product_ndc',
+        'package_ndc': 'openfda.package_ndc',
+        'openfda.package_ndc': 'openfda.package_ndc',
+        'rxcui': 'openfda.rxcui',
+        'openfda.rxcui': 'openfda.rxcui',
+        'unii': 'openfda.unii',
+        'openfda.unii': 'openfda.unii',
+        'set_id': 'set_id',
+        'spl_set_id': 'set_id',
+        'openfda.spl_set_id': 'set_id',
+        'application_number': 'openfda.application_number',
+        'openfda.application_number': 'openfda.application_number'
     };
     
     return typeMapping[identifierType] || 'openfda.generic_name';
 }
 
+// Identifier types accepted by the label tools (openfda.* and short forms)
+const IDENTIFIER_TYPES = [
+    "openfda.generic_name",
+    "openfda.brand_name",
+    "generic_name",
+    "brand_name",
+    "openfda.product_ndc",
+    "product_ndc",
+    "openfda.package_ndc",
+    "package_ndc",
+    "openfda.rxcui",
+    "rxcui",
+    "openfda.unii",
+    "unii",
+    "set_id",
+    "openfda.application_number",
+    "application_number"
+];
+
+// Identifier types that are names rather than codes
+const NAME_IDENTIFIER_TYPES = ['openfda.generic_name', 'openfda.brand_name'];
+
+// Expected format of each code identifier type
+const IDENTIFIER_FORMATS = {
+    'openfda.rxcui': { label: "RxCUI", pattern: /^\d{1,8}$/, example: "617310" },
+    'openfda.unii': { label: "UNII", pattern: /^[A-Z0-9]{10}$/, example: "48A5M73Z4Q" },
+    'set_id': { label: "SPL set id", pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/, example: "c6e131fe-e7df-4876-83f7-9156fc4e8228" },
+    'openfda.application_number': { label: "application number", pattern: /^(NDA|ANDA|BLA)\d{6}$/, example: "NDA020702" }
+};
+
+/**
+ * Validate a label identifier against its type and build the label search
+ * Names are searched as entered; codes are format-checked and normalized
+ * (NDCs to every hyphenated form openFDA may store, UNIIs and application
+ * numbers to upper case, set ids to lower case)
+ * @param {string} identifier
+ * @param {string} normalizedType Result of normalizeIdentifierType
+ * @returns {Object} { search, value } or { error }
+ */
+function buildLabelIdentifierSearch(identifier, normalizedType) {
+    const value = identifier.trim();
+
+    if (NAME_IDENTIFIER_TYPES.includes(normalizedType)) {
+        return { search: `${normalizedType}:"${value}"`, value };
+    }
+
+    if (normalizedType === 'openfda.product_ndc' || normalizedType === 'openfda.package_ndc') {
+        const ndc = normalizeNDC(value);
+        const expected = normalizedType === 'openfda.product_ndc' ? 'product' : 'package';
+        if (!ndc || ndc.ndc_type !== expected) {
+            return {
+                error: `"${value}" is not a valid ${expected} NDC. Use ${expected === 'product' ? 'labeler-product, e.g. 0071-0155' : 'labeler-product-package, e.g. 0071-0155-23'} (hyphens optional)`
+            };
+        }
+        return {
+            search: ndc.candidates.map(code => `${normalizedType}:"${code}"`).join(' OR '),
+            value: ndc.candidates[0]
+        };
+    }
+
+    const format = IDENTIFIER_FORMATS[normalizedType];
+    const normalizedValue = normalizedType === 'set_id'
+        ? value.toLowerCase()
+        : value.toUpperCase().replace(/\s+/g, '');
+    if (!format.pattern.test(normalizedValue)) {
+        return {
+            error: `"${value}" is not a valid ${format.label}. Expected a value like ${format.example}`
+        };
+    }
+    return { search: `${normalizedType}:"${normalizedValue}"`, value: normalizedValue };
+}
+
+/**
+ * Normalize an NDC into the hyphenated forms used by the openFDA NDC directory
+ * Accepts product (labeler-product) or package (labeler-product-package) codes,
+ * with or without hyphens, including 11-digit HIPAA (5-4-2) billing codes
+ * @param {string} ndc
+ * @returns {Object|null} { ndc_type, candidates } or null if not NDC-shaped
+ */
+function normalizeNDC(ndc) {
+    if (!ndc || typeof ndc !== 'string') return null;
+
+    const value = ndc.trim();
+    const digits = value.replace(/-/g, '');
+    if (!/^\d+(-\d+){0,2}$/.test(value) || digits.length < 8 || digits.length > 11) {
+        return null;
+    }
+
+    const candidates = new Set();
+    let segments = value.split('-');
+
+    if (segments.length === 1) {
+        // Unhyphenated codes are ambiguous, so try every FDA segment layout for the length
+        const layouts = {
+            8: [[4, 4], [5, 3]],
+            9: [[5, 4]],
+            10: [[4, 4, 2], [5, 3, 2], [5, 4, 1]],
+            11: [[5, 4, 2]]
+        };
+        for (const layout of layouts[digits.length]) {
+            let offset = 0;
+            const split = layout.map(size => {
+                const part = digits.slice(offset, offset + size);
+                offset += size;
+                return part;
+            });
+            candidates.add(split.join('-'));
+        }
+    } else {
+        candidates.add(value);
+    }
+
+    // HIPAA 5-4(-2) codes are zero-padded; openFDA stores the unpadded 10-digit form
+    for (const candidate of [...candidates]) {
+        segments = candidate.split('-');
+        const padded = segments[0].length === 5 && segments[1].length === 4 &&
+            (segments.length === 2 || segments[2].length === 2);
+        if (!padded) continue;
+
+        segments.forEach((segment, index) => {
+            if (segment.startsWith('0')) {
+                const unpadded = [...segments];
+                unpadded[index] = segment.slice(1);
+                candidates.add(unpadded.join('-'));
+            }
+        });
+    }
+
+    return {
+        ndc_type: segments.length === 3 ? 'package' : 'product',
+        candidates: [...candidates]
+    };
+}
+
 /**
  * Build query parameters for openFDA API
+ * Pass a falsy search to query the whole endpoint (e.g. full-dataset paging)
  */
 function buildParams(search, limit = 10, additionalParams = {}) {
     const params = new URLSearchParams({
-        search,
+        ...(search && { search }),
         limit: limit.toString(),
         ...additionalParams
     });
@@ -232,31 +499,54 @@ function isCacheValid(cacheItem, ttlMinutes) {
     return age < ttlMinutes;
 }
 
+// Cache key prefixes, most specific first: each gives the TTL used for cleanup
+// and the bucket getCacheStats counts the key under
+const CACHE_KEY_TYPES = [
+    { prefix: 'drug_label_known_', type: 'drug_vocabulary', ttl: CACHE_TTL.DRUG_VOCABULARY },
+    { prefix: 'drug_label_history_', type: 'drug_label_history', ttl: CACHE_TTL.DRUG_LABELS },
+    { prefix: 'drug_label_class_', type: 'drug_label_classes', ttl: CACHE_TTL.DRUG_LABELS },
+    { prefix: 'drug_label_', type: 'drug_labels', ttl: CACHE_TTL.DRUG_LABELS },
+    { prefix: 'drug_shortage_history_', type: 'drug_shortage_history', ttl: CACHE_TTL.DRUG_SHORTAGES },
+    { prefix: 'drug_shortage_', type: 'drug_shortages', ttl: CACHE_TTL.DRUG_SHORTAGES },
+    { prefix: 'drug_recall_', type: 'drug_recalls', ttl: CACHE_TTL.DRUG_RECALLS },
+    { prefix: 'adverse_event_total_', type: 'adverse_event_totals', ttl: CACHE_TTL.ADVERSE_EVENTS },
+    { prefix: 'adverse_event_signals_', type: 'adverse_event_signals', ttl: CACHE_TTL.ADVERSE_EVENTS },
+    { prefix: 'adverse_event_demographics_', type: 'adverse_event_demographics', ttl: CACHE_TTL.ADVERSE_EVENTS },
+    { prefix: 'adverse_event_', type: 'adverse_events', ttl: CACHE_TTL.ADVERSE_EVENTS },
+    { prefix: 'ndc_directory_', type: 'ndc_directory', ttl: CACHE_TTL.NDC_DIRECTORY },
+    { prefix: 'drug_approval_', type: 'drug_approvals', ttl: CACHE_TTL.DRUG_APPROVALS },
+    { prefix: 'drug_vocabulary', type: 'drug_vocabulary', ttl: CACHE_TTL.DRUG_VOCABULARY },
+    { prefix: 'drug_identity_', type: 'drug_identity', ttl: CACHE_TTL.DRUG_IDENTITY }
+];
+
+/**
+ * Find the cache key type entry matching a key's prefix
+ * @param {string} key 
+ * @returns {Object|undefined} 
+ */
+function getCacheKeyType(key) {
+    return CACHE_KEY_TYPES.find(({ prefix }) => key.startsWith(prefix));
+}
+
+/**
+ * Get the TTL for a cache key based on its prefix
+ * @param {string} key 
+ * @returns {number} TTL in minutes
+ */
+function getCacheTTLForKey(key) {
+    // Default to shortest TTL for unknown keys
+    return getCacheKeyType(key)?.ttl ?? CACHE_TTL.DRUG_SHORTAGES;
+}
+
 /**
  * Clean expired cache entries
  */
 function cleanExpiredCache() {
-    const now = Date.now();
     let cleanedCount = 0;
     
-    for (const [key, item] of cache.entries()) {
-        // Determine TTL based on cache key prefix
-        let ttlMinutes;
-        if (key.startsWith('drug_label_')) {
-            ttlMinutes = CACHE_TTL.DRUG_LABELS;
-        } else if (key.startsWith('drug_shortage_')) {
-            ttlMinutes = CACHE_TTL.DRUG_SHORTAGES;
-        } else if (key.startsWith('drug_recall_')) {
-            ttlMinutes = CACHE_TTL.DRUG_RECALLS;
-        } else if (key.startsWith('adverse_event_')) {
-            ttlMinutes = CACHE_TTL.ADVERSE_EVENTS;
-        } else {
-            // Default to shortest TTL for unknown keys
-            ttlMinutes = CACHE_TTL.DRUG_SHORTAGES;
-        }
-        
+    for (const [key, item] of [...cache.entries()]) {
         // Check if expired and remove
-        if (!isCacheValid(item, ttlMinutes)) {
+        if (!isCacheValid(item, getCacheTTLForKey(key))) {
             cache.delete(key);
             cleanedCount++;
             console.log(`Cleaned expired cache key: ${key}`);
@@ -274,37 +564,67 @@ function cleanExpiredCache() {
  */
 function getCacheStats() {
     const stats = {
+        backend: cache.type,
         totalEntries: cache.size,
         memoryUsageApprox: cache.size * 1024, // Rough estimate in bytes
-        entriesByType: {
-            drug_labels: 0,
-            drug_shortages: 0,
-            drug_recalls: 0,
-            adverse_events: 0,
-            other: 0
-        }
+        entriesByType: Object.fromEntries(
+            [...CACHE_KEY_TYPES.map(({ type }) => type), 'other'].map(type => [type, 0])
+        )
+    };
+    
+    stats.coalescing = {
+        in_flight: inFlightRequests.size,
+        upstream_fetches: coalescingStats.upstreamFetches,
+        coalesced_hits: coalescingStats.coalescedHits
     };
     
     // Count entries by type
     for (const key of cache.keys()) {
-        if (key.startsWith('drug_label_')) {
-            stats.entriesByType.drug_labels++;
-        } else if (key.startsWith('drug_shortage_')) {
-            stats.entriesByType.drug_shortages++;
-        } else if (key.startsWith('drug_recall_')) {
-            stats.entriesByType.drug_recalls++;
-        } else if (key.startsWith('adverse_event_')) {
-            stats.entriesByType.adverse_events++;
-        } else {
-            stats.entriesByType.other++;
-        }
+        stats.entriesByType[getCacheKeyType(key)?.type ?? 'other']++;
     }
     
     return stats;
 }
 
+/**
+ * Share one pending fetch between concurrent callers with the same key
+ * The first caller starts the fetch; later callers await the same promise
+ * until it settles
+ * @param {string} requestKey 
+ * @param {Function} fetchFunction 
+ * @returns {Promise<Object>} 
+ */
+function coalesceRequest(requestKey, fetchFunction) {
+    const pending = inFlightRequests.get(requestKey);
+    if (pending) {
+        coalescingStats.coalescedHits++;
+        console.log(`Coalesced request for key: ${requestKey}`);
+        return pending;
+    }
+    
+    coalescingStats.upstreamFetches++;
+    // Start the fetch on a later tick so the key is registered before it can
+    // settle, including when fetchFunction throws synchronously
+    const request = Promise.resolve()
+        .then(fetchFunction)
+        .finally(() => inFlightRequests.delete(requestKey));
+    
+    inFlightRequests.set(requestKey, request);
+    return request;
+}
+
+/**
+ * Whether a makeRequest result is an upstream failure (outage, rate limit, bad request)
+ * A 404 is openFDA's normal "no matches" answer and is not a failure
+ */
+function isUpstreamFailure(data) {
+    return Boolean(data?.error) && data.error_type !== 'no_data_found';
+}
+
 /**
  * Get data from cache or fetch from API
+ * Concurrent misses for the same key share a single upstream fetch.
+ * Upstream failures are returned but not cached, so the next call retries.
  * @param {string} cacheKey 
  * @param {Function} fetchFunction 
  * @param {number} ttlMinutes 
@@ -319,15 +639,20 @@ async function getCachedOrFetch(cacheKey, fetchFunction, ttlMinutes) {
     }
     
     console.log(`Cache MISS for key: ${cacheKey}`);
-    const freshData = await fetchFunction();
-    
-    // Store in cache with timestamp
-    cache.set(cacheKey, {
-        data: freshData,
-        timestamp: Date.now()
+    return await coalesceRequest(cacheKey, async () => {
+        const freshData = await fetchFunction();
+        if (isUpstreamFailure(freshData)) {
+            return freshData;
+        }
+        
+        // Store in cache with timestamp
+        cache.set(cacheKey, {
+            data: freshData,
+            timestamp: Date.now()
+        });
+        
+        return freshData;
     });
-    
-    return freshData;
 }
 
 /**
@@ -365,18 +690,33 @@ async function makeRequest(url, params) {
 
 /**
  * Execute search strategies until one works
+ * A strategy openFDA rejects as a bad request is skipped. Any other upstream
+ * failure (outage, rate limit, network) means "no results" cannot be trusted,
+ * so the failure is returned instead of null.
  * @param {Array<string>} searchStrategies 
  * @param {string} endpoint 
  * @param {number} limit 
- * @returns {Promise<Object|null>} 
+ * @param {Object} additionalParams Extra query parameters such as sort
+ * @returns {Promise<Object|null>} { search_strategy, data }, null when no strategy found results, or a makeRequest error object
  */
-async function performSearchStrategies(searchStrategies, endpoint, limit) {
+async function performSearchStrategies(searchStrategies, endpoint, limit, additionalParams = {}) {
+    let failure = null;
+    let rejected = null;
+    let rejectedCount = 0;
     for (const search of searchStrategies) {
-        const params = buildParams(search, limit);
+        const params = buildParams(search, limit, additionalParams);
         const data = await makeRequest(endpoint, params);
         
-        if (data.error && data.status !== 404) {
-            continue; // Try next strategy on error
+        if (isUpstreamFailure(data)) {
+            if (data.error_type === 'bad_request') {
+                rejected = data;
+                rejectedCount++;
+                continue; // This query was invalid; try the next strategy
+            }
+            failure = data;
+            // Outages and rate limits affect every strategy alike
+            if (data.retry_recommended) break;
+            continue;
         }
         
         if (data.results && data.results.length > 0) {
@@ -386,230 +726,1771 @@ async function performSearchStrategies(searchStrategies, endpoint, limit) {
             };
         }
     }
-    return null; // No results found with any strategy
+    if (failure) return failure;
+    // Every strategy rejected is a failure too, not an empty result
+    return rejectedCount > 0 && rejectedCount === searchStrategies.length ? rejected : null;
 }
 
 /**
- * Search for drug shortage information
- * Returns raw openFDA data with minimal processing
+ * Tool response for a search whose upstream requests failed
+ * Keeps outages and rate limits from reading as "no results found"
+ * @param {Object} failure makeRequest error object
+ * @param {string} dataSource
+ * @param {Object} fields Identifying fields for the response, e.g. { search_term }
+ * @returns {Object}
  */
-export async function searchDrugShortages(drugName, limit = 10) {
-    // Input validation
-    const validationError = validateDrugName(drugName, "shortages");
-    if (validationError) {
-        return validationError;
-    }
+function searchFailure(failure, dataSource, fields = {}) {
+    return {
+        ...fields,
+        error: `Unable to search ${dataSource}: ${failure.error}`,
+        error_type: failure.error_type,
+        retry_recommended: failure.retry_recommended,
+        suggestions: failure.suggestions,
+        data_source: dataSource,
+        api_endpoint: failure.endpoint,
+        timestamp: new Date().toISOString()
+    };
+}
 
-    const cleanName = drugName.trim();
-    
-    // Create cache key for this specific drug shortage request
-    const cacheKey = `drug_shortage_${cleanName.toLowerCase()}_limit${limit}`;
-    
-    // Define search strategies in order of preference
-    const searchStrategies = [
-        `"${cleanName}"`,
-        `generic_name:"${cleanName}"`,
-        `proprietary_name:"${cleanName}"`,
-        `openfda.generic_name:"${cleanName}"`,
-        `openfda.brand_name:"${cleanName}"`
-    ];
+// Cursor pagination over openFDA skip (limited to 25,000) and search_after
+const PAGINATION = {
+    CURSOR_VERSION: 1,
+    MAX_SKIP: 25000,
+    MAX_LIMIT: 1000
+};
 
-    // Define the fetch function for cache miss
-    const fetchFunction = async () => {
-        // Use generic search strategy executor
-        return await performSearchStrategies(searchStrategies, ENDPOINTS.DRUG_SHORTAGES, limit);
-    };
-    
-    // Get cached or fresh data
-    const result = await getCachedOrFetch(cacheKey, fetchFunction, CACHE_TTL.DRUG_SHORTAGES);
-    
-    if (result) {
-        return {
-            search_term: drugName,
-            search_strategy: result.search_strategy,
-            data_source: "FDA Drug Shortages Database",
-            api_endpoint: ENDPOINTS.DRUG_SHORTAGES,
-            ...result.data // Spread the raw openFDA response
-        };
-    }
+// Result sets that can be paged with a cursor
+const PAGED_ENDPOINTS = {
+    shortages: ENDPOINTS.DRUG_SHORTAGES,
+    recalls: ENDPOINTS.DRUG_ENFORCEMENT,
+    adverse_events: ENDPOINTS.DRUG_EVENT,
+    serious_adverse_events: ENDPOINTS.DRUG_EVENT
+};
 
-    // No results found
-    return {
-        search_term: drugName,
-        results: [],
-        meta: { results: { total: 0 } },
-        message: `No current shortages found for "${drugName}" - this is good news!`,
-        note: "Try checking the generic name if you searched for a brand name, or vice versa",
-        search_strategies_tried: searchStrategies,
-        data_source: "FDA Drug Shortages Database",
-        api_endpoint: ENDPOINTS.DRUG_SHORTAGES
-    };
+/**
+ * Encode paging state as an opaque base64url cursor
+ * State: t result set, d drug name, q search that found results, n page size,
+ * p extra params (sort), o results already returned, k skip, a search_after
+ */
+function encodeCursor(state) {
+    return Buffer.from(JSON.stringify({ v: PAGINATION.CURSOR_VERSION, ...state })).toString('base64url');
 }
 
 /**
- * Get drug label information
- * Returns raw openFDA label data
+ * Decode a cursor for the given result set
+ * Cursors come back from the client, so every field that reaches the openFDA
+ * query is checked: extra params may only set a sort, skip stays within
+ * openFDA's limit, and search_after must be a plain string
+ * @returns {Object|null} Paging state, or null if the cursor is malformed or for another tool
  */
-export async function fetchDrugLabelInfo(drugIdentifier, identifierType = "openfda.generic_name") {
-    // Input validation
-    const validationError = validateDrugName(drugIdentifier, "drug information");
-    if (validationError) {
-        return validationError;
+function decodeCursor(cursor, kind) {
+    try {
+        const state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        const params = state?.p ?? {};
+        const valid = state?.v === PAGINATION.CURSOR_VERSION &&
+            state.t === kind &&
+            typeof state.q === 'string' &&
+            (state.d === undefined || typeof state.d === 'string') &&
+            Number.isInteger(state.n) && state.n >= 1 && state.n <= PAGINATION.MAX_LIMIT &&
+            Number.isInteger(state.o) && state.o >= 0 &&
+            typeof params === 'object' && !Array.isArray(params) && params !== null &&
+            Object.keys(params).every(key => key === 'sort') &&
+            (params.sort === undefined || (typeof params.sort === 'string' && /^[a-z_.]+:(asc|desc)$/.test(params.sort))) &&
+            (state.k === undefined || (Number.isInteger(state.k) && state.k >= 1 && state.k <= PAGINATION.MAX_SKIP)) &&
+            (state.a === undefined || (typeof state.a === 'string' && state.a.length > 0)) &&
+            !(state.k !== undefined && state.a !== undefined);
+        return valid ? state : null;
+    } catch {
+        return null;
     }
+}
 
-    // Normalize the identifier type to fix LibreChat compatibility
-    const normalizedType = normalizeIdentifierType(identifierType);
-    
-    // Create cache key for this specific drug label request
-    const cacheKey = `drug_label_${normalizedType}_${drugIdentifier.trim().toLowerCase()}`;
-    
-    // Define the fetch function for cache miss
-    const fetchFunction = async () => {
-        const search = `${normalizedType}:"${drugIdentifier.trim()}"`;
-        const params = buildParams(search, 1);
-        return await makeRequest(ENDPOINTS.DRUG_LABEL, params);
+/**
+ * Describe the page just returned and build the cursor for the next one
+ * Uses openFDA's search_after link when it sent one, otherwise skip
+ * @param {Object} state Paging state of the page just fetched
+ * @param {Object} data Raw openFDA response
+ * @returns {Object} Pagination details with next_cursor (null on the last page)
+ */
+function buildPagination(state, data) {
+    const returned = data.results?.length || 0;
+    const total = data.meta?.results?.total ?? returned;
+    const offset = state.o || 0;
+    const seen = offset + returned;
+    const pagination = {
+        page_size: state.n,
+        offset,
+        returned,
+        total,
+        has_more: returned > 0 && seen < total,
+        next_cursor: null
     };
-    
-    // Get cached or fresh data
-    const data = await getCachedOrFetch(cacheKey, fetchFunction, CACHE_TTL.DRUG_LABELS);
-    
-    if (data.error) {
-        return {
-            search_term: drugIdentifier,
-            identifier_type: normalizedType,
-            original_identifier_type: identifierType, // Keep original for debugging
-            error: data.error,
-            suggestion: "Try searching with the alternative name (generic vs brand name)",
-                api_endpoint: ENDPOINTS.DRUG_LABEL
-        };
+    if (!pagination.has_more) {
+        return pagination;
     }
 
-    return {
-        search_term: drugIdentifier,
-        identifier_type: normalizedType,
-        original_identifier_type: identifierType, // Keep original for debugging
-        data_source: "FDA Drug Label Database",
-        timestamp: new Date().toISOString(),
-        api_endpoint: ENDPOINTS.DRUG_LABEL,
-        ...data // Raw openFDA response
-    };
+    let searchAfter = null;
+    if (data.nextPageLink) {
+        try {
+            searchAfter = new URL(data.nextPageLink).searchParams.get('search_after');
+        } catch {
+            searchAfter = null;
+        }
+    }
+
+    const { k, a, ...base } = state;
+    if (searchAfter) {
+        pagination.next_cursor = encodeCursor({ ...base, o: seen, a: searchAfter });
+    } else if (seen <= PAGINATION.MAX_SKIP) {
+        pagination.next_cursor = encodeCursor({ ...base, o: seen, k: seen });
+    } else {
+        pagination.has_more = false;
+        pagination.note = `openFDA cannot skip past ${PAGINATION.MAX_SKIP} results for this search; narrow it (for example with filters) to see the rest`;
+    }
+    return pagination;
 }
 
 /**
- * Search for drug recalls
- * Returns raw openFDA enforcement data
+ * Fetch the page a cursor points to
+ * The cursor carries the search strategy that found results, so strategy
+ * discovery and name resolution are not repeated
+ * @param {string} kind Key of PAGED_ENDPOINTS
+ * @param {string} drugName Drug name passed with the cursor
+ * @param {string} cursor next_cursor from a previous response
+ * @param {Object} source data_source and other fields for the response
+ * @returns {Promise<Object>}
  */
-export async function searchDrugRecalls(drugName, limit = 10) {
-    // Input validation
-    const validationError = validateDrugName(drugName, "recalls");
-    if (validationError) {
-        return validationError;
+async function fetchCursorPage(kind, drugName, cursor, source) {
+    const state = decodeCursor(cursor, kind);
+    if (!state) {
+        return {
+            search_term: drugName,
+            error: "Invalid cursor. Pass next_cursor exactly as returned by the previous page of this tool.",
+            timestamp: new Date().toISOString()
+        };
+    }
+    if (state.d && state.d !== drugName.trim().toLowerCase()) {
+        return {
+            search_term: drugName,
+            error: `This cursor belongs to a search for "${state.d}". Start a new search without a cursor to change drugs.`,
+            timestamp: new Date().toISOString()
+        };
     }
 
-    const cleanName = drugName.trim();
-
-    // Define search strategies for recalls
-    const searchStrategies = [
-        `product_description:"${cleanName}"`,
-        `product_description:${cleanName}`,
-        `openfda.generic_name:"${cleanName}"`,
-        `openfda.brand_name:"${cleanName}"`
-    ];
-
-    // MEDICAL SAFETY: No caching for recalls - urgent safety data must be current
-    // Use generic search strategy executor
-    const result = await performSearchStrategies(searchStrategies, ENDPOINTS.DRUG_ENFORCEMENT, limit);
-    
-    if (result) {
+    const params = buildParams(state.q, state.n, {
+        ...state.p,
+        ...(state.a ? { search_after: state.a } : state.k ? { skip: state.k } : {})
+    });
+    const data = await makeRequest(PAGED_ENDPOINTS[kind], params);
+    if (data.error) {
         return {
             search_term: drugName,
-            search_strategy: result.search_strategy,
-            data_source: "FDA Drug Enforcement Database",
-            api_endpoint: ENDPOINTS.DRUG_ENFORCEMENT,
-            ...result.data
+            ...data,
+            ...(data.error_type === 'no_data_found' && {
+                error: "This page is no longer available; the results changed since the previous page. Start the search again."
+            })
         };
     }
 
-    // No results found
     return {
         search_term: drugName,
-        results: [],
-        meta: { results: { total: 0 } },
-        message: `No recalls found for "${drugName}" - this is good news!`,
-        note: "Try searching with alternative names or check the spelling",
-        search_strategies_tried: searchStrategies,
-        data_source: "FDA Drug Enforcement Database",
-        timestamp: new Date().toISOString(),
-        api_endpoint: ENDPOINTS.DRUG_ENFORCEMENT
+        search_strategy: state.q,
+        ...source,
+        api_endpoint: PAGED_ENDPOINTS[kind],
+        pagination: buildPagination(state, data),
+        ...data
     };
 }
 
+// Count queries that build the drug name vocabulary (openFDA returns at most 1000 terms each)
+const VOCABULARY_SOURCES = [
+    { endpoint: ENDPOINTS.DRUG_LABEL, field: "openfda.generic_name.exact" },
+    { endpoint: ENDPOINTS.DRUG_LABEL, field: "openfda.brand_name.exact" },
+    { endpoint: ENDPOINTS.DRUG_NDC, field: "generic_name.exact" },
+    { endpoint: ENDPOINTS.DRUG_NDC, field: "brand_name.exact" },
+    { endpoint: ENDPOINTS.DRUG_SHORTAGES, field: "generic_name.exact" },
+    { endpoint: ENDPOINTS.DRUG_SHORTAGES, field: "proprietary_name.exact" }
+];
+
 /**
- * Calculate days since a date
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ * Stops early and returns maxDistance + 1 once the distance cannot be within maxDistance
  */
-function daysSince(dateStr) {
-    if (!dateStr) return 0;
-    const days = Math.floor((new Date() - new Date(dateStr)) / (1000 * 60 * 60 * 24));
-    return days > 0 ? days : 0;
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
 }
 
 /**
- * Analyze drug shortage trends using FDA historical data
+ * Rank vocabulary names that look like a misspelling of the query
+ * Names are compared whole, and single-word queries also against each
+ * name's first word (so "amoxicilin" matches "amoxicillin and clavulanate")
+ * @param {string} query 
+ * @param {Array<Object>} vocabulary [{ name, count }] with lowercase names
+ * @param {number} maxSuggestions 
+ * @returns {Array<Object>} [{ name, distance, count }] best first
  */
-export async function analyzeDrugShortageTrends(drugName, monthsBack = 12) {
-    const validationError = validateDrugName(drugName, "trends");
-    if (validationError) return validationError;
-
-    if (monthsBack < 1 || monthsBack > 60) {
-        return {
-            error: "Analysis period must be between 1 and 60 months",
-            provided_months: monthsBack,
-            timestamp: new Date().toISOString()
-        };
+function suggestDrugNames(query, vocabulary, maxSuggestions = 5) {
+    const term = (query || '').trim().toLowerCase();
+    if (term.length < 3) return [];
+
+    // Allow one edit for short names, two for medium, three for long names
+    const maxDistance = term.length <= 4 ? 1 : term.length <= 8 ? 2 : 3;
+    const singleWord = !/\s/.test(term);
+
+    const matches = [];
+    for (const entry of vocabulary) {
+        if (entry.name === term) continue;
+        let distance = editDistance(term, entry.name, maxDistance);
+        const wholeName = distance <= maxDistance;
+        if (singleWord && !wholeName) {
+            const firstWord = entry.name.split(/[\s,]+/)[0];
+            if (firstWord !== term) {
+                distance = editDistance(term, firstWord, maxDistance);
+            }
+        }
+        if (distance <= maxDistance) {
+            matches.push({ name: entry.name, distance, count: entry.count, wholeName });
+        }
     }
 
-    try {
-        // Get current shortage status
-        const currentParams = buildParams(`"${drugName.trim()}"`, 100);
-        const currentData = await makeRequest(ENDPOINTS.DRUG_SHORTAGES, currentParams);
-        
-        // Get historical shortage event counts
-        const historyParams = buildParams(`openfda.generic_name:"${drugName.trim()}"`, 1000);
-        historyParams.append('count', 'initial_posting_date');
-        const historyData = await makeRequest(ENDPOINTS.DRUG_SHORTAGES, historyParams);
+    // Closest first; whole-name matches before first-word matches, then most common
+    return matches
+        .sort((x, y) => x.distance - y.distance || y.wholeName - x.wholeName || y.count - x.count)
+        .slice(0, maxSuggestions)
+        .map(({ name, distance, count }) => ({ name, distance, count }));
+}
+
+/**
+ * Get the drug name vocabulary built from openFDA count queries
+ * Cached for 24 hours, so it is refreshed at most daily
+ * @returns {Promise<Array<Object>>} [{ name, count }] or an empty list if unavailable
+ */
+async function getDrugVocabulary() {
+    try {
+        return await getCachedOrFetch('drug_vocabulary', async () => {
+            const names = new Map();
+            for (const source of VOCABULARY_SOURCES) {
+                const data = await makeRequest(source.endpoint, buildParams(null, 1000, { count: source.field }));
+                for (const { term, count } of data.results || []) {
+                    const name = String(term).trim().toLowerCase();
+                    if (name) names.set(name, Math.max(names.get(name) || 0, count));
+                }
+            }
+            if (names.size === 0) {
+                // Nothing to cache - try again on the next lookup
+                throw new Error('Drug vocabulary could not be loaded');
+            }
+            return Array.from(names, ([name, count]) => ({ name, count }));
+        }, CACHE_TTL.DRUG_VOCABULARY);
+    } catch (error) {
+        console.error(`[VOCABULARY] ERROR: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Check whether a drug name is known to openFDA (label or NDC directory)
+ * Catches valid names outside the top-1000 vocabulary
+ */
+async function isKnownDrugName(name) {
+    const cleanName = name.trim().replace(/"/g, '');
+    return await getCachedOrFetch(`drug_label_known_${cleanName.toLowerCase()}`, async () => {
+        const lookups = [
+            { endpoint: ENDPOINTS.DRUG_LABEL, search: `openfda.generic_name:"${cleanName}" OR openfda.brand_name:"${cleanName}" OR openfda.substance_name:"${cleanName}"` },
+            { endpoint: ENDPOINTS.DRUG_NDC, search: `generic_name:"${cleanName}" OR brand_name:"${cleanName}"` }
+        ];
+        for (const { endpoint, search } of lookups) {
+            const data = await makeRequest(endpoint, buildParams(search, 1));
+            if (data.results?.length) return true;
+            // Only a definite "no match" is cached; outages are thrown so the next lookup retries
+            if (data.error && data.error_type !== 'no_data_found') {
+                throw new Error(data.error);
+            }
+        }
+        return false;
+    }, CACHE_TTL.DRUG_VOCABULARY);
+}
+
+/**
+ * Check a drug name against the vocabulary
+ * @param {string} drugName 
+ * @returns {Promise<Object>} { recognized, possible_misspelling, did_you_mean }
+ */
+export async function checkDrugSpelling(drugName) {
+    const term = (drugName || '').trim().toLowerCase();
+    const vocabulary = await getDrugVocabulary();
+
+    let known = vocabulary.some(entry => entry.name === term);
+    if (!known) {
+        try {
+            known = await isKnownDrugName(term);
+        } catch (error) {
+            console.error(`[VOCABULARY] ERROR: Name lookup failed: ${error.message}`);
+        }
+    }
+    if (known) {
+        return { recognized: true, possible_misspelling: false, did_you_mean: [] };
+    }
+
+    const suggestions = suggestDrugNames(term, vocabulary);
+    return {
+        recognized: false,
+        possible_misspelling: suggestions.length > 0,
+        did_you_mean: suggestions.map(suggestion => suggestion.name),
+        ...(vocabulary.length === 0 && { vocabulary_unavailable: true })
+    };
+}
+
+/**
+ * Build the message fields for an empty search result
+ * Reassurance such as "this is good news" is only given when the name is a
+ * recognized drug; an unrecognized or likely misspelled name gets suggestions instead
+ * @param {string} drugName 
+ * @param {string} emptyMessage e.g. 'No current shortages found for "x"'
+ * @param {string} reassurance Appended for recognized names, e.g. "this is good news!"
+ * @returns {Promise<Object>} { message, possible_misspelling, did_you_mean? }
+ */
+async function describeEmptyResult(drugName, emptyMessage, reassurance = null) {
+    const spelling = await checkDrugSpelling(drugName);
+
+    if (spelling.recognized) {
+        return {
+            message: reassurance ? `${emptyMessage} - ${reassurance}` : emptyMessage,
+            possible_misspelling: false
+        };
+    }
+
+    if (spelling.possible_misspelling) {
+        return {
+            message: `${emptyMessage}. "${drugName}" is not a recognized drug name and may be misspelled - did you mean "${spelling.did_you_mean[0]}"?`,
+            possible_misspelling: true,
+            did_you_mean: spelling.did_you_mean
+        };
+    }
+
+    return {
+        message: `${emptyMessage}. "${drugName}" was not recognized as an FDA drug name - check the spelling before relying on this result.`,
+        possible_misspelling: !spelling.vocabulary_unavailable,
+        did_you_mean: []
+    };
+}
+
+/**
+ * Build a canonical drug identity from NDC directory or label records
+ * Only records that exactly match the query (or every record, for an NDC
+ * query) contribute, so a partial name such as "insulin" is never silently
+ * narrowed to one product
+ * @param {string} query Name or NDC the user searched for
+ * @param {Array<Object>} records NDC directory products or label documents
+ * @param {boolean} isNDC True when the query was an NDC
+ * @returns {Object} Identity with resolved true/false
+ */
+function buildDrugIdentity(query, records, isNDC = false) {
+    const term = query.trim().toLowerCase();
+    const clean = (values) => values.flat().filter(Boolean).map(value => String(value).trim()).filter(Boolean);
+    const namesOf = (record) => ({
+        generic: clean([record.generic_name, record.openfda?.generic_name]),
+        brand: clean([record.brand_name, record.openfda?.brand_name])
+    });
+    const matches = (names) => names.some(name => name.toLowerCase() === term);
+
+    let matchedOn = isNDC ? 'ndc' : null;
+    const matched = isNDC ? records : records.filter(record => {
+        const names = namesOf(record);
+        if (matches(names.generic)) {
+            matchedOn = matchedOn || 'generic_name';
+            return true;
+        }
+        if (matches(names.brand)) {
+            matchedOn = matchedOn || 'brand_name';
+            return true;
+        }
+        return false;
+    });
+
+    // De-duplicate case-insensitively, keeping the first spelling seen
+    const unique = (values) => values.filter((value, index) =>
+        values.findIndex(other => other.toLowerCase() === value.toLowerCase()) === index
+    );
+    const collect = (pick) => unique(clean(matched.map(record => [].concat(pick(record) || []))));
+
+    if (matched.length === 0) {
+        return {
+            query,
+            resolved: false,
+            canonical_name: null,
+            search_name: query.trim(),
+            candidates: {
+                generic_names: unique(records.flatMap(record => namesOf(record).generic)).slice(0, 10),
+                brand_names: unique(records.flatMap(record => namesOf(record).brand)).slice(0, 10)
+            },
+            message: records.length > 0
+                ? `"${query}" did not exactly match a brand or generic name; searches use it as entered`
+                : `"${query}" was not found in the NDC directory or drug labels; searches use it as entered`
+        };
+    }
+
+    // The most common generic name among matching products is the canonical name
+    const genericCounts = {};
+    matched.forEach(record => namesOf(record).generic.slice(0, 1).forEach(name => {
+        const key = name.toLowerCase();
+        genericCounts[key] = (genericCounts[key] || 0) + 1;
+    }));
+    const canonicalName = Object.entries(genericCounts).sort(([, a], [, b]) => b - a)[0]?.[0] || term;
+
+    return {
+        query,
+        resolved: true,
+        matched_on: matchedOn,
+        canonical_name: canonicalName,
+        search_name: canonicalName,
+        generic_names: unique(matched.flatMap(record => namesOf(record).generic)),
+        brand_names: unique(matched.flatMap(record => namesOf(record).brand)),
+        rxcuis: collect(record => record.openfda?.rxcui),
+        uniis: collect(record => record.openfda?.unii),
+        spl_set_ids: collect(record => record.openfda?.spl_set_id),
+        manufacturers: collect(record => record.openfda?.manufacturer_name || record.labeler_name),
+        product_ndcs: collect(record => record.product_ndc || record.openfda?.product_ndc).slice(0, 25)
+    };
+}
+
+/**
+ * Resolve a brand name, generic name or NDC to one canonical drug identity
+ * Uses the NDC directory (small records with openfda cross-references) and
+ * falls back to drug labels. Cached for 24 hours.
+ * @param {string} query 
+ * @returns {Promise<Object>} Identity object; search_name is what other tools search with
+ */
+export async function resolveDrugIdentity(query) {
+    const validationError = validateDrugName(query, "drug identity");
+    if (validationError) {
+        return validationError;
+    }
+
+    const cleanQuery = query.trim();
+    const ndc = normalizeNDC(cleanQuery);
+    const cacheKey = `drug_identity_${cleanQuery.toLowerCase()}`;
+
+    let identity;
+    try {
+        identity = await getCachedOrFetch(cacheKey, async () => {
+            const name = cleanQuery.replace(/"/g, '');
+            const ndcSearch = ndc
+                ? ndc.candidates.map(code => `${ndc.ndc_type === 'package' ? 'packaging.package_ndc' : 'product_ndc'}:"${code}"`).join(' OR ')
+                : `generic_name:"${name}" OR brand_name:"${name}"`;
+
+            const ndcData = await makeRequest(ENDPOINTS.DRUG_NDC, buildParams(ndcSearch, 100));
+            if (ndcData.error && ndcData.error_type !== 'no_data_found') {
+                throw new Error(ndcData.error);
+            }
+            const ndcIdentity = buildDrugIdentity(cleanQuery, ndcData.results || [], Boolean(ndc));
+            if (ndcIdentity.resolved || ndc) {
+                return { ...ndcIdentity, source: "FDA NDC Directory" };
+            }
+
+            // Products no longer listed in the NDC directory may still have labels
+            const labelData = await makeRequest(
+                ENDPOINTS.DRUG_LABEL,
+                buildParams(`openfda.generic_name:"${name}" OR openfda.brand_name:"${name}"`, 5)
+            );
+            if (labelData.error && labelData.error_type !== 'no_data_found') {
+                throw new Error(labelData.error);
+            }
+            const labelIdentity = buildDrugIdentity(cleanQuery, labelData.results || []);
+            if (!labelIdentity.resolved && ndcIdentity.candidates.generic_names.length > 0) {
+                return { ...ndcIdentity, source: "FDA NDC Directory" };
+            }
+            return { ...labelIdentity, source: "FDA Drug Label Database" };
+        }, CACHE_TTL.DRUG_IDENTITY);
+    } catch (error) {
+        // Resolution is best effort - tools fall back to the name as entered
+        console.error(`[IDENTITY] ERROR: Failed to resolve "${cleanQuery}": ${error.message}`);
+        return {
+            query,
+            resolved: false,
+            canonical_name: null,
+            search_name: cleanQuery,
+            error: "Drug identity could not be resolved right now",
+            details: error.message
+        };
+    }
+
+    return identity;
+}
+
+/**
+ * Names to search with for a drug: the canonical name first, then the name as entered
+ * Brand and generic queries for the same drug therefore try the same searches first
+ * @param {Object} identity Result of resolveDrugIdentity
+ * @returns {Array<string>}
+ */
+function identitySearchNames(identity) {
+    const names = [identity.search_name, identity.query?.trim()].filter(Boolean);
+    return names.filter((name, index) => names.findIndex(other => other.toLowerCase() === name.toLowerCase()) === index);
+}
+
+/**
+ * Identity fields added to tool responses when the drug was resolved to another name
+ */
+function identitySummary(identity) {
+    if (!identity.resolved || identity.search_name.toLowerCase() === identity.query.trim().toLowerCase()) {
+        return {};
+    }
+    return {
+        resolved_drug: {
+            canonical_name: identity.canonical_name,
+            matched_on: identity.matched_on,
+            brand_names: identity.brand_names.slice(0, 10)
+        }
+    };
+}
+
+/**
+ * Search for drug shortage information
+ * Returns raw openFDA data with minimal processing
+ */
+export async function searchDrugShortages(drugName, limit = 10, cursor = null) {
+    // Input validation
+    const validationError = validateDrugName(drugName, "shortages");
+    if (validationError) {
+        return validationError;
+    }
+
+    if (cursor) {
+        return await fetchCursorPage('shortages', drugName, cursor, { data_source: "FDA Drug Shortages Database" });
+    }
+
+    // Brand and generic names for the same drug search the same canonical name first
+    const identity = await resolveDrugIdentity(drugName);
+    const cleanName = identity.search_name;
+    
+    // Create cache key for this specific drug shortage request
+    const cacheKey = `drug_shortage_${cleanName.toLowerCase()}_limit${limit}`;
+    
+    // Define search strategies in order of preference
+    const searchStrategies = identitySearchNames(identity).flatMap(name => [
+        `"${name}"`,
+        `generic_name:"${name}"`,
+        `proprietary_name:"${name}"`,
+        `openfda.generic_name:"${name}"`,
+        `openfda.brand_name:"${name}"`
+    ]);
+
+    // Define the fetch function for cache miss
+    const fetchFunction = async () => {
+        // Use generic search strategy executor
+        return await performSearchStrategies(searchStrategies, ENDPOINTS.DRUG_SHORTAGES, limit);
+    };
+    
+    // Get cached or fresh data
+    const result = await getCachedOrFetch(cacheKey, fetchFunction, CACHE_TTL.DRUG_SHORTAGES);
+
+    if (result?.error) {
+        return searchFailure(result, "FDA Drug Shortages Database", { search_term: drugName });
+    }
+    
+    if (result) {
+        return {
+            search_term: drugName,
+            ...identitySummary(identity),
+            search_strategy: result.search_strategy,
+            data_source: "FDA Drug Shortages Database",
+            api_endpoint: ENDPOINTS.DRUG_SHORTAGES,
+            pagination: buildPagination(
+                { t: 'shortages', d: drugName.trim().toLowerCase(), q: result.search_strategy, n: limit, p: {}, o: 0 },
+                result.data
+            ),
+            ...result.data // Spread the raw openFDA response
+        };
+    }
+
+    // No results found - only reassure when the name is a recognized drug
+    return {
+        search_term: drugName,
+        results: [],
+        meta: { results: { total: 0 } },
+        ...await describeEmptyResult(drugName, `No current shortages found for "${drugName}"`, "this is good news!"),
+        note: "Try checking the generic name if you searched for a brand name, or vice versa",
+        search_strategies_tried: searchStrategies,
+        data_source: "FDA Drug Shortages Database",
+        api_endpoint: ENDPOINTS.DRUG_SHORTAGES
+    };
+}
+
+/**
+ * Get drug label information
+ * Returns raw openFDA label data
+ */
+export async function fetchDrugLabelInfo(drugIdentifier, identifierType = "openfda.generic_name") {
+    // Input validation
+    const validationError = validateDrugName(drugIdentifier, "drug information");
+    if (validationError) {
+        return validationError;
+    }
+
+    // Normalize the identifier type to fix LibreChat compatibility
+    const normalizedType = normalizeIdentifierType(identifierType);
+
+    const { search, value, error } = buildLabelIdentifierSearch(drugIdentifier, normalizedType);
+    if (error) {
+        return {
+            search_term: drugIdentifier,
+            identifier_type: normalizedType,
+            original_identifier_type: identifierType,
+            error,
+            api_endpoint: ENDPOINTS.DRUG_LABEL
+        };
+    }
+    const isName = NAME_IDENTIFIER_TYPES.includes(normalizedType);
+    
+    // Create cache key for this specific drug label request
+    const cacheKey = `drug_label_${normalizedType}_${value.toLowerCase()}`;
+    
+    // Define the fetch function for cache miss
+    const fetchFunction = async () => {
+        // Codes identify labels directly
+        if (!isName) {
+            return await makeRequest(ENDPOINTS.DRUG_LABEL, buildParams(search, 1));
+        }
+
+        // The field the caller asked for wins: a brand name search must return the
+        // brand's label, not the generic's
+        const data = await makeRequest(ENDPOINTS.DRUG_LABEL, buildParams(search, 1));
+        if (data.error_type !== 'no_data_found') {
+            return data;
+        }
+
+        // Nothing under that field, so fall back to the resolved identity; a brand
+        // name then finds its label when searched as a generic name, and vice versa
+        const identity = await resolveDrugIdentity(drugIdentifier);
+        if (identity.resolved) {
+            const identitySearch = identity.matched_on === 'brand_name'
+                ? `openfda.brand_name:"${drugIdentifier.trim()}"`
+                : `openfda.generic_name:"${identity.canonical_name}"`;
+            if (identitySearch.toLowerCase() !== search.toLowerCase()) {
+                const identityData = await makeRequest(ENDPOINTS.DRUG_LABEL, buildParams(identitySearch, 1));
+                if (identityData.results?.length > 0 || isUpstreamFailure(identityData)) {
+                    return identityData;
+                }
+            }
+        }
+        return data;
+    };
+    
+    // Get cached or fresh data
+    const data = await getCachedOrFetch(cacheKey, fetchFunction, CACHE_TTL.DRUG_LABELS);
+    
+    if (data.error) {
+        const spelling = isName && data.error_type === 'no_data_found' ? await checkDrugSpelling(drugIdentifier) : null;
+        return {
+            search_term: drugIdentifier,
+            identifier_type: normalizedType,
+            original_identifier_type: identifierType, // Keep original for debugging
+            error: data.error,
+            error_type: data.error_type,
+            retry_recommended: data.retry_recommended,
+            suggestion: isName
+                ? "Try searching with the alternative name (generic vs brand name)"
+                : "Check the code, or search by generic or brand name - not every product has a label indexed under every code",
+            ...(spelling?.possible_misspelling && {
+                possible_misspelling: true,
+                did_you_mean: spelling.did_you_mean
+            }),
+            api_endpoint: ENDPOINTS.DRUG_LABEL
+        };
+    }
+
+    return {
+        search_term: drugIdentifier,
+        identifier_type: normalizedType,
+        original_identifier_type: identifierType, // Keep original for debugging
+        data_source: "FDA Drug Label Database",
+        timestamp: new Date().toISOString(),
+        api_endpoint: ENDPOINTS.DRUG_LABEL,
+        ...data // Raw openFDA response
+    };
+}
+
+/**
+ * Extract one page of a label section's text
+ * openFDA stores each section as an array of strings; they are joined with blank lines
+ * @param {Object} label Raw openFDA label document
+ * @param {string} section
+ * @param {number} offset Character offset to start from
+ * @param {number} maxLength Maximum characters to return
+ * @returns {Object}
+ */
+function paginateLabelSection(label, section, offset = 0, maxLength = LABEL_SECTION_PAGE.DEFAULT_LENGTH) {
+    const value = label?.[section];
+    if (!value || (Array.isArray(value) && value.length === 0)) {
+        return { available: false };
+    }
+
+    const fullText = Array.isArray(value) ? value.join('\n\n') : String(value);
+    const start = Math.min(offset, fullText.length);
+    const text = fullText.slice(start, start + maxLength);
+    const end = start + text.length;
+
+    return {
+        available: true,
+        total_length: fullText.length,
+        offset: start,
+        returned_length: text.length,
+        has_more: end < fullText.length,
+        next_offset: end < fullText.length ? end : null,
+        text
+    };
+}
+
+/**
+ * Get selected sections of a drug label with character-offset paging
+ * Reuses the cached label lookup from fetchDrugLabelInfo
+ * @param {string} drugIdentifier
+ * @param {Array<string>|string} sections
+ * @param {string} identifierType
+ * @param {number} offset
+ * @param {number} maxLength
+ * @returns {Promise<Object>}
+ */
+export async function getDrugLabelSections(drugIdentifier, sections, identifierType = "openfda.generic_name", offset = 0, maxLength = LABEL_SECTION_PAGE.DEFAULT_LENGTH) {
+    const requestedSections = (Array.isArray(sections) ? sections : [sections])
+        .filter(section => typeof section === 'string' && section.trim())
+        .map(section => section.trim().toLowerCase());
+
+    if (requestedSections.length === 0) {
+        return {
+            error: "Please provide at least one label section to retrieve",
+            available_sections: LABEL_SECTIONS,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    const unknownSections = requestedSections.filter(section => !LABEL_SECTIONS.includes(section));
+    if (unknownSections.length > 0) {
+        return {
+            error: `Unknown label section(s): ${unknownSections.join(', ')}`,
+            available_sections: LABEL_SECTIONS,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    if (!Number.isInteger(offset) || offset < 0) {
+        return {
+            error: "Offset must be a non-negative integer",
+            provided_offset: offset,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    if (!Number.isInteger(maxLength) || maxLength < LABEL_SECTION_PAGE.MIN_LENGTH || maxLength > LABEL_SECTION_PAGE.MAX_LENGTH) {
+        return {
+            error: `Page length must be between ${LABEL_SECTION_PAGE.MIN_LENGTH} and ${LABEL_SECTION_PAGE.MAX_LENGTH} characters`,
+            provided_max_length: maxLength,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    const labelData = await fetchDrugLabelInfo(drugIdentifier, identifierType);
+    if (labelData.error) {
+        return labelData;
+    }
+
+    const label = labelData.results?.[0];
+    if (!label) {
+        return {
+            search_term: drugIdentifier,
+            identifier_type: labelData.identifier_type,
+            message: `No FDA label found for "${drugIdentifier}"`,
+            suggestion: "Try searching with the alternative name (generic vs brand name)",
+            data_source: "FDA Drug Label Database",
+            api_endpoint: ENDPOINTS.DRUG_LABEL
+        };
+    }
+
+    const sectionPages = {};
+    for (const section of [...new Set(requestedSections)]) {
+        sectionPages[section] = paginateLabelSection(label, section, offset, maxLength);
+    }
+
+    return {
+        search_term: drugIdentifier,
+        identifier_type: labelData.identifier_type,
+        data_source: "FDA Drug Label Database",
+        api_endpoint: ENDPOINTS.DRUG_LABEL,
+        label_info: {
+            set_id: label.set_id,
+            version: label.version,
+            effective_time: formatFDADate(label.effective_time),
+            brand_name: label.openfda?.brand_name || [],
+            generic_name: label.openfda?.generic_name || []
+        },
+        sections: sectionPages,
+        unavailable_sections: Object.keys(sectionPages).filter(section => !sectionPages[section].available),
+        note: "Sections with has_more=true can be continued by calling again with offset set to next_offset"
+    };
+}
+
+// Sections compared by default in side-by-side label comparisons
+const COMPARISON_SECTIONS = [
+    "indications_and_usage",
+    "dosage_and_administration",
+    "dosage_forms_and_strengths",
+    "boxed_warning",
+    "contraindications",
+    "warnings_and_cautions",
+    "drug_interactions"
+];
+
+// Older (non-PLR) labels use "warnings" where newer labels use "warnings_and_cautions"
+const SECTION_FALLBACKS = {
+    warnings_and_cautions: "warnings"
+};
+
+/**
+ * Align the same sections of two labels for side-by-side comparison
+ * Sections present in only one label are flagged; sections in both report
+ * how many sentences they share
+ * @param {Object} firstLabel Raw openFDA label document
+ * @param {Object} secondLabel Raw openFDA label document
+ * @param {Array<string>} sections
+ * @param {number} maxLength Maximum characters of text per section per label
+ * @returns {Object} { sections, only_in_first, only_in_second }
+ */
+function alignLabelSections(firstLabel, secondLabel, sections, maxLength = LABEL_SECTION_PAGE.DEFAULT_LENGTH) {
+    const sectionOf = (label, section) => {
+        const page = paginateLabelSection(label, section, 0, maxLength);
+        const fallback = SECTION_FALLBACKS[section];
+        if (!page.available && fallback) {
+            const fallbackPage = paginateLabelSection(label, fallback, 0, maxLength);
+            if (fallbackPage.available) {
+                return { ...fallbackPage, source_section: fallback };
+            }
+        }
+        return page;
+    };
+
+    const aligned = sections.map(section => {
+        const first = sectionOf(firstLabel, section);
+        const second = sectionOf(secondLabel, section);
+        const presence = first.available && second.available ? "both"
+            : first.available ? "first_only"
+            : second.available ? "second_only"
+            : "neither";
+
+        const entry = { section, presence, first, second };
+        if (presence === "both") {
+            const firstSentences = labelSentences(firstLabel[first.source_section || section]);
+            const secondSentences = new Set(labelSentences(secondLabel[second.source_section || section]));
+            const shared = firstSentences.filter(sentence => secondSentences.has(sentence)).length;
+            entry.identical = shared === firstSentences.length && shared === secondSentences.size;
+            entry.shared_sentences = shared;
+            entry.sentences_only_in_first = firstSentences.length - shared;
+            entry.sentences_only_in_second = secondSentences.size - shared;
+        }
+        return entry;
+    });
+
+    return {
+        sections: aligned,
+        only_in_first: aligned.filter(entry => entry.presence === "first_only").map(entry => entry.section),
+        only_in_second: aligned.filter(entry => entry.presence === "second_only").map(entry => entry.section)
+    };
+}
+
+/**
+ * Compare the labels of two products section by section
+ * Both labels come from fetchDrugLabelInfo, so names and codes are resolved the same way
+ * @param {string} firstIdentifier
+ * @param {string} secondIdentifier
+ * @param {Object} options { firstType, secondType, sections, maxLength }
+ * @returns {Promise<Object>}
+ */
+export async function compareDrugLabels(firstIdentifier, secondIdentifier, {
+    firstType = "openfda.generic_name",
+    secondType = "openfda.generic_name",
+    sections = COMPARISON_SECTIONS,
+    maxLength = 2000
+} = {}) {
+    const validationError = validateDrugName(firstIdentifier, "drug information") ||
+        validateDrugName(secondIdentifier, "drug information");
+    if (validationError) {
+        return validationError;
+    }
+
+    const requestedSections = [...new Set([].concat(sections || [])
+        .filter(section => typeof section === 'string' && section.trim())
+        .map(section => section.trim().toLowerCase()))];
+    const unknownSections = requestedSections.filter(section => !LABEL_SECTIONS.includes(section));
+    if (requestedSections.length === 0 || unknownSections.length > 0) {
+        return {
+            error: requestedSections.length === 0
+                ? "Please provide at least one label section to compare"
+                : `Unknown label section(s): ${unknownSections.join(', ')}`,
+            available_sections: LABEL_SECTIONS,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    if (!Number.isInteger(maxLength) || maxLength < LABEL_SECTION_PAGE.MIN_LENGTH || maxLength > LABEL_SECTION_PAGE.MAX_LENGTH) {
+        return {
+            error: `Page length must be between ${LABEL_SECTION_PAGE.MIN_LENGTH} and ${LABEL_SECTION_PAGE.MAX_LENGTH} characters`,
+            provided_max_length: maxLength,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    const [firstData, secondData] = await Promise.all([
+        fetchDrugLabelInfo(firstIdentifier, firstType),
+        fetchDrugLabelInfo(secondIdentifier, secondType)
+    ]);
+
+    // An outage or rate limit on either lookup is not a missing label
+    const failed = [[firstIdentifier, firstData], [secondIdentifier, secondData]]
+        .find(([, data]) => data.error_type && data.error_type !== 'no_data_found');
+    if (failed) {
+        const [identifier, data] = failed;
+        return searchFailure({ ...data, endpoint: data.api_endpoint }, "FDA Drug Label Database", { search_term: identifier });
+    }
+
+    const missing = [[firstIdentifier, firstData], [secondIdentifier, secondData]]
+        .filter(([, data]) => data.error || !data.results?.[0]);
+    if (missing.length > 0) {
+        return {
+            error: `No FDA label found for ${missing.map(([identifier]) => `"${identifier}"`).join(' and ')}`,
+            details: missing.map(([identifier, data]) => ({
+                search_term: identifier,
+                error: data.error || "No label returned",
+                ...(data.did_you_mean && { did_you_mean: data.did_you_mean })
+            })),
+            data_source: "FDA Drug Label Database",
+            api_endpoint: ENDPOINTS.DRUG_LABEL
+        };
+    }
+
+    const firstLabel = firstData.results[0];
+    const secondLabel = secondData.results[0];
+    const labelInfo = (identifier, data, label) => ({
+        search_term: identifier,
+        identifier_type: data.identifier_type,
+        set_id: label.set_id,
+        version: label.version,
+        effective_time: formatFDADate(label.effective_time),
+        brand_name: label.openfda?.brand_name || [],
+        generic_name: label.openfda?.generic_name || [],
+        manufacturer_name: label.openfda?.manufacturer_name || []
+    });
+
+    const comparison = alignLabelSections(firstLabel, secondLabel, requestedSections, maxLength);
+    return {
+        first: labelInfo(firstIdentifier, firstData, firstLabel),
+        second: labelInfo(secondIdentifier, secondData, secondLabel),
+        same_label: firstLabel.set_id === secondLabel.set_id,
+        summary: {
+            sections_compared: requestedSections.length,
+            in_both: comparison.sections.filter(entry => entry.presence === "both").length,
+            identical: comparison.sections.filter(entry => entry.identical).map(entry => entry.section),
+            only_in_first: comparison.only_in_first,
+            only_in_second: comparison.only_in_second
+        },
+        sections: comparison.sections,
+        data_source: "FDA Drug Label Database",
+        api_endpoint: ENDPOINTS.DRUG_LABEL,
+        note: "Section text is truncated to max_length characters; use get_drug_label_section with next_offset for the full text",
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Label sections whose changes are called out as safety-labeling changes
+const SAFETY_LABEL_SECTIONS = [
+    "boxed_warning",
+    "contraindications",
+    "warnings_and_cautions",
+    "warnings",
+    "precautions",
+    "drug_interactions",
+    "adverse_reactions",
+    "use_in_specific_populations",
+    "pregnancy"
+];
+
+// Label fields that are identifiers or packaging text rather than label sections
+const NON_SECTION_LABEL_FIELDS = [
+    "id",
+    "set_id",
+    "version",
+    "effective_time",
+    "openfda",
+    "spl_product_data_elements",
+    "package_label_principal_display_panel"
+];
+
+const LABEL_HISTORY = {
+    MAX_VERSIONS: 100,
+    MAX_SENTENCES_PER_SECTION: 25
+};
+
+/**
+ * Split label section text into normalized sentences for diffing
+ */
+function labelSentences(value) {
+    const text = [].concat(value || []).join(' ').replace(/\s+/g, ' ').trim();
+    if (!text) return [];
+    return text.split(/(?<=[.!?])\s+(?=[A-Z0-9(•])/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Section-by-section diff between two versions of a label
+ * Sections are compared sentence by sentence, so reflowed text is not reported
+ * as a change. Safety sections (boxed warning, contraindications, warnings...)
+ * are listed separately in safety_changes.
+ * @param {Object} olderLabel Raw openFDA label document
+ * @param {Object} newerLabel Raw openFDA label document
+ * @returns {Object}
+ */
+function diffLabelVersions(olderLabel, newerLabel) {
+    const isSection = (label, field) =>
+        !NON_SECTION_LABEL_FIELDS.includes(field) &&
+        !field.endsWith('_table') &&
+        Array.isArray(label[field]) &&
+        label[field].every(value => typeof value === 'string');
+
+    const fields = [...new Set([...Object.keys(olderLabel), ...Object.keys(newerLabel)])]
+        .filter(field => isSection(olderLabel, field) || isSection(newerLabel, field))
+        .sort();
+
+    const sections = [];
+    let unchanged = 0;
+    for (const field of fields) {
+        const before = labelSentences(olderLabel[field]);
+        const after = labelSentences(newerLabel[field]);
+        const beforeSet = new Set(before);
+        const afterSet = new Set(after);
+        const added = after.filter(sentence => !beforeSet.has(sentence));
+        const removed = before.filter(sentence => !afterSet.has(sentence));
+
+        if (added.length === 0 && removed.length === 0) {
+            unchanged++;
+            continue;
+        }
+
+        const change = before.length === 0 ? "added" : after.length === 0 ? "removed" : "changed";
+        const limit = LABEL_HISTORY.MAX_SENTENCES_PER_SECTION;
+        sections.push({
+            section: field,
+            change,
+            safety_section: SAFETY_LABEL_SECTIONS.includes(field),
+            sentences_added: added.length,
+            sentences_removed: removed.length,
+            added: added.slice(0, limit),
+            removed: removed.slice(0, limit),
+            ...((added.length > limit || removed.length > limit) && {
+                truncated: `Only the first ${limit} added and removed sentences are listed`
+            })
+        });
+    }
+
+    const names = (change) => sections.filter(section => section.change === change).map(section => section.section);
+    return {
+        summary: {
+            sections_added: names("added"),
+            sections_removed: names("removed"),
+            sections_changed: names("changed"),
+            sections_unchanged: unchanged
+        },
+        safety_changes: sections
+            .filter(section => section.safety_section)
+            .map(section => ({
+                section: section.section,
+                change: section.change,
+                sentences_added: section.sentences_added,
+                sentences_removed: section.sentences_removed
+            })),
+        sections
+    };
+}
+
+/**
+ * List every version of a label (SPL set) and diff two of them
+ * Any identifier supported by fetchDrugLabelInfo is first resolved to a set_id
+ * @param {string} drugIdentifier
+ * @param {string} identifierType
+ * @param {string|number} fromVersion Older version to compare (default: the one before toVersion)
+ * @param {string|number} toVersion Newer version to compare (default: the latest)
+ * @returns {Promise<Object>}
+ */
+export async function getDrugLabelHistory(drugIdentifier, identifierType = "openfda.generic_name", fromVersion = null, toVersion = null) {
+    const validationError = validateDrugName(drugIdentifier, "drug information");
+    if (validationError) {
+        return validationError;
+    }
+
+    let setId;
+    const normalizedType = normalizeIdentifierType(identifierType);
+    if (normalizedType === 'set_id') {
+        const identifier = buildLabelIdentifierSearch(drugIdentifier, normalizedType);
+        if (identifier.error) {
+            return { search_term: drugIdentifier, identifier_type: normalizedType, error: identifier.error };
+        }
+        setId = identifier.value;
+    } else {
+        const labelData = await fetchDrugLabelInfo(drugIdentifier, identifierType);
+        if (labelData.error) {
+            return labelData;
+        }
+        setId = labelData.results?.[0]?.set_id;
+        if (!setId) {
+            return {
+                search_term: drugIdentifier,
+                identifier_type: normalizedType,
+                message: `No FDA label found for "${drugIdentifier}"`,
+                data_source: "FDA Drug Label Database",
+                api_endpoint: ENDPOINTS.DRUG_LABEL
+            };
+        }
+    }
+
+    const cacheKey = `drug_label_history_${setId}`;
+    const data = await getCachedOrFetch(cacheKey, () =>
+        makeRequest(
+            ENDPOINTS.DRUG_LABEL,
+            buildParams(`set_id:"${setId}"`, LABEL_HISTORY.MAX_VERSIONS, { sort: "effective_time:desc" })
+        ),
+        CACHE_TTL.DRUG_LABELS
+    );
+    if (data.error) {
+        return {
+            search_term: drugIdentifier,
+            set_id: setId,
+            error: data.error,
+            api_endpoint: ENDPOINTS.DRUG_LABEL
+        };
+    }
+
+    // Newest first; versions are numeric strings
+    const labels = [...(data.results || [])].sort((a, b) =>
+        (b.effective_time || '').localeCompare(a.effective_time || '') || Number(b.version) - Number(a.version)
+    );
+    const versions = labels.map(label => ({
+        version: label.version,
+        effective_time: formatFDADate(label.effective_time),
+        id: label.id,
+        boxed_warning: Array.isArray(label.boxed_warning) && label.boxed_warning.length > 0
+    }));
+
+    const response = {
+        search_term: drugIdentifier,
+        identifier_type: normalizedType,
+        set_id: setId,
+        brand_name: labels[0]?.openfda?.brand_name || [],
+        generic_name: labels[0]?.openfda?.generic_name || [],
+        versions_found: versions.length,
+        versions,
+        data_source: "FDA Drug Label Database",
+        api_endpoint: ENDPOINTS.DRUG_LABEL,
+        dailymed_history: `https://dailymed.nlm.nih.gov/dailymed/services/v2/spls/${setId}/history.json`,
+        timestamp: new Date().toISOString()
+    };
+
+    const findVersion = (version) => labels.find(label => String(label.version) === String(version).trim());
+    const newer = toVersion !== null && toVersion !== undefined ? findVersion(toVersion) : labels[0];
+    if (!newer) {
+        return { ...response, error: `Version ${toVersion} was not found for set_id ${setId}` };
+    }
+    const older = fromVersion !== null && fromVersion !== undefined
+        ? findVersion(fromVersion)
+        : labels[labels.indexOf(newer) + 1];
+    if (fromVersion !== null && fromVersion !== undefined && !older) {
+        return { ...response, error: `Version ${fromVersion} was not found for set_id ${setId}` };
+    }
+
+    if (!older) {
+        response.note = "openFDA holds only one version of this label, so there is nothing to compare. The DailyMed history link lists every published version.";
+        return response;
+    }
+
+    response.comparison = {
+        from: { version: older.version, effective_time: formatFDADate(older.effective_time) },
+        to: { version: newer.version, effective_time: formatFDADate(newer.effective_time) },
+        ...diffLabelVersions(older, newer)
+    };
+    response.note = "Differences are sentence-level; reworded sentences appear as one removed and one added sentence. openFDA may not hold every published version - see the DailyMed history link.";
+    return response;
+}
+
+/**
+ * Format a Date as openFDA YYYYMMDD
+ */
+function formatDateCompact(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Convert a filter date (YYYY-MM-DD or YYYYMMDD) to openFDA YYYYMMDD format
+ * @param {string} value 
+ * @returns {string|null} null if the date is not valid
+ */
+function parseFilterDate(value) {
+    const match = typeof value === 'string' && value.trim().match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+    if (!match) return null;
+
+    const [, year, month, day] = match;
+    const date = new Date(`${year}-${month}-${day}T00:00:00Z`);
+    if (Number.isNaN(date.getTime()) || date.getUTCMonth() + 1 !== Number(month)) {
+        return null;
+    }
+    return `${year}${month}${day}`;
+}
+
+/**
+ * Build the openFDA query clause for optional recall filters
+ * @param {Object} filters classification, status, voluntary_mandated, and
+ *   report_date_from/to, recall_initiation_date_from/to (YYYY-MM-DD)
+ * @returns {Object} { query, applied } or { error }
+ */
+function buildRecallFilterQuery(filters = {}) {
+    const clauses = [];
+    const applied = {};
+
+    if (filters.classification) {
+        const level = String(filters.classification).trim().toUpperCase().replace(/^CLASS\s*/, '');
+        const classification = { I: "Class I", II: "Class II", III: "Class III", 1: "Class I", 2: "Class II", 3: "Class III" }[level];
+        if (!classification) {
+            return { error: `Invalid classification "${filters.classification}". Use Class I, Class II, or Class III` };
+        }
+        clauses.push(`classification:"${classification}"`);
+        applied.classification = classification;
+    }
+
+    if (filters.status) {
+        const status = ["Ongoing", "Terminated", "Completed"]
+            .find(option => option.toLowerCase() === String(filters.status).trim().toLowerCase());
+        if (!status) {
+            return { error: `Invalid status "${filters.status}". Use Ongoing, Terminated, or Completed` };
+        }
+        clauses.push(`status:"${status}"`);
+        applied.status = status;
+    }
+
+    if (filters.voluntary_mandated) {
+        const value = String(filters.voluntary_mandated).trim().toLowerCase();
+        const voluntaryMandated = value.startsWith('voluntary') ? "Voluntary: Firm initiated"
+            : value.includes('mandated') ? "FDA Mandated"
+            : null;
+        if (!voluntaryMandated) {
+            return { error: `Invalid voluntary_mandated "${filters.voluntary_mandated}". Use "Voluntary: Firm initiated" or "FDA Mandated"` };
+        }
+        clauses.push(`voluntary_mandated:"${voluntaryMandated}"`);
+        applied.voluntary_mandated = voluntaryMandated;
+    }
+
+    for (const field of ['report_date', 'recall_initiation_date']) {
+        const from = filters[`${field}_from`];
+        const to = filters[`${field}_to`];
+        if (!from && !to) continue;
+
+        const start = from ? parseFilterDate(from) : '19000101';
+        const end = to ? parseFilterDate(to) : formatDateCompact(new Date());
+        if (!start || !end) {
+            return { error: `Invalid ${field} range. Use dates in YYYY-MM-DD format` };
+        }
+        if (start > end) {
+            return { error: `${field}_from must be on or before ${field}_to` };
+        }
+        clauses.push(`${field}:[${start} TO ${end}]`);
+        applied[field] = { from: formatFDADate(start), to: formatFDADate(end) };
+    }
+
+    return {
+        query: clauses.length > 0 ? clauses.join(' AND ') : null,
+        applied
+    };
+}
+
+/**
+ * Search for drug recalls
+ * Returns raw openFDA enforcement data
+ * Optional filters narrow results by classification, status, dates and
+ * voluntary/mandated; results are sorted newest report first
+ */
+export async function searchDrugRecalls(drugName, limit = 10, filters = {}, cursor = null) {
+    // Input validation
+    const validationError = validateDrugName(drugName, "recalls");
+    if (validationError) {
+        return validationError;
+    }
+
+    // Cursors carry the filters of the first page
+    if (cursor) {
+        return await fetchCursorPage('recalls', drugName, cursor, {
+            data_source: "FDA Drug Enforcement Database",
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const filter = buildRecallFilterQuery(filters);
+    if (filter.error) {
+        return {
+            search_term: drugName,
+            error: filter.error,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    const identity = await resolveDrugIdentity(drugName);
+    const cleanName = identity.search_name;
+
+    // Define search strategies for recalls
+    const nameStrategies = identitySearchNames(identity).flatMap(name => [
+        `product_description:"${name}"`,
+        `product_description:${name}`,
+        `openfda.generic_name:"${name}"`,
+        `openfda.brand_name:"${name}"`
+    ]);
+    const searchStrategies = filter.query
+        ? nameStrategies.map(strategy => `(${strategy}) AND ${filter.query}`)
+        : nameStrategies;
+    const additionalParams = { sort: 'report_date:desc' };
+
+    // MEDICAL SAFETY: No caching for recalls - urgent safety data must be current
+    // Identical concurrent queries still share one upstream request
+    const requestKey = `drug_recall_${cleanName.toLowerCase()}_limit${limit}_${filter.query || 'unfiltered'}`;
+    const result = await coalesceRequest(requestKey, () =>
+        performSearchStrategies(searchStrategies, ENDPOINTS.DRUG_ENFORCEMENT, limit, additionalParams)
+    );
+
+    if (result?.error) {
+        return searchFailure(result, "FDA Drug Enforcement Database", {
+            search_term: drugName,
+            ...(filter.query && { filters_applied: filter.applied })
+        });
+    }
+    
+    if (result) {
+        return {
+            search_term: drugName,
+            ...identitySummary(identity),
+            search_strategy: result.search_strategy,
+            ...(filter.query && { filters_applied: filter.applied }),
+            data_source: "FDA Drug Enforcement Database",
+            api_endpoint: ENDPOINTS.DRUG_ENFORCEMENT,
+            pagination: buildPagination(
+                { t: 'recalls', d: drugName.trim().toLowerCase(), q: result.search_strategy, n: limit, p: additionalParams, o: 0 },
+                result.data
+            ),
+            ...result.data
+        };
+    }
+
+    // No results found
+    return {
+        search_term: drugName,
+        results: [],
+        meta: { results: { total: 0 } },
+        ...await describeEmptyResult(
+            drugName,
+            filter.query
+                ? `No recalls found for "${drugName}" matching the selected filters`
+                : `No recalls found for "${drugName}"`,
+            filter.query ? null : "this is good news!"
+        ),
+        note: filter.query
+            ? "Try widening the date range or removing filters"
+            : "Try searching with alternative names or check the spelling",
+        ...(filter.query && { filters_applied: filter.applied }),
+        search_strategies_tried: searchStrategies,
+        data_source: "FDA Drug Enforcement Database",
+        timestamp: new Date().toISOString(),
+        api_endpoint: ENDPOINTS.DRUG_ENFORCEMENT
+    };
+}
+
+/**
+ * Get a single recall by its FDA recall number (e.g. D-0123-2024)
+ * Returns raw openFDA enforcement data
+ */
+export async function getRecallByNumber(recallNumber) {
+    if (!recallNumber || typeof recallNumber !== 'string' || !/^[A-Z]-\d{3,5}-\d{4}$/i.test(recallNumber.trim())) {
+        return {
+            error: "Please provide a recall number in the format D-0123-2024",
+            provided_recall_number: recallNumber ?? null,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    const cleanNumber = recallNumber.trim().toUpperCase();
+
+    // MEDICAL SAFETY: No caching for recalls - urgent safety data must be current
+    const requestKey = `drug_recall_number_${cleanNumber}`;
+    const data = await coalesceRequest(requestKey, () =>
+        makeRequest(ENDPOINTS.DRUG_ENFORCEMENT, buildParams(`recall_number:"${cleanNumber}"`, 1))
+    );
+
+    // Only a 404 or an empty result means the recall does not exist
+    if (isUpstreamFailure(data)) {
+        return {
+            recall_number: cleanNumber,
+            error: `Unable to look up recall "${cleanNumber}": ${data.error}`,
+            error_type: data.error_type,
+            retry_recommended: data.retry_recommended,
+            data_source: "FDA Drug Enforcement Database",
+            timestamp: new Date().toISOString(),
+            api_endpoint: ENDPOINTS.DRUG_ENFORCEMENT
+        };
+    }
+
+    if (data.error || !data.results?.length) {
+        return {
+            recall_number: cleanNumber,
+            results: [],
+            message: `No recall found with number "${cleanNumber}"`,
+            data_source: "FDA Drug Enforcement Database",
+            timestamp: new Date().toISOString(),
+            api_endpoint: ENDPOINTS.DRUG_ENFORCEMENT
+        };
+    }
+
+    return {
+        recall_number: cleanNumber,
+        data_source: "FDA Drug Enforcement Database",
+        api_endpoint: ENDPOINTS.DRUG_ENFORCEMENT,
+        ...data
+    };
+}
+
+/**
+ * Search for recalls issued by a recalling firm
+ * Returns raw openFDA enforcement data, newest reports first
+ */
+export async function searchRecallsByFirm(firmName, limit = 100) {
+    if (!firmName || typeof firmName !== 'string' || !firmName.trim()) {
+        return {
+            error: "Please provide a recalling firm name",
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    const cleanName = firmName.trim();
+    const searchStrategies = [
+        `recalling_firm:"${cleanName}"`,
+        `recalling_firm:${cleanName}`
+    ];
+
+    // MEDICAL SAFETY: No caching for recalls - urgent safety data must be current
+    const requestKey = `drug_recall_firm_${cleanName.toLowerCase()}_limit${limit}`;
+    const result = await coalesceRequest(requestKey, () =>
+        performSearchStrategies(searchStrategies, ENDPOINTS.DRUG_ENFORCEMENT, limit, { sort: 'report_date:desc' })
+    );
+
+    if (result?.error) {
+        return searchFailure(result, "FDA Drug Enforcement Database", { firm_name: firmName });
+    }
+
+    if (result) {
+        return {
+            firm_name: firmName,
+            search_strategy: result.search_strategy,
+            data_source: "FDA Drug Enforcement Database",
+            api_endpoint: ENDPOINTS.DRUG_ENFORCEMENT,
+            ...result.data
+        };
+    }
+
+    return {
+        firm_name: firmName,
+        results: [],
+        meta: { results: { total: 0 } },
+        message: `No recalls found for firm "${firmName}"`,
+        search_strategies_tried: searchStrategies,
+        data_source: "FDA Drug Enforcement Database",
+        timestamp: new Date().toISOString(),
+        api_endpoint: ENDPOINTS.DRUG_ENFORCEMENT
+    };
+}
+
+/**
+ * Fetch every record in the drug shortages dataset, page by page
+ * Used for snapshots, so results are not cached and a partial download is an error
+ * @returns {Promise<Object>} { records, total } or an error object
+ */
+export async function fetchAllShortageRecords() {
+    const pageSize = 1000;
+    const maxSkip = 25000; // openFDA rejects skip values above 25,000
+    const records = [];
+    let total = null;
+
+    for (let skip = 0; skip <= maxSkip; skip += pageSize) {
+        const data = await makeRequest(ENDPOINTS.DRUG_SHORTAGES, buildParams(null, pageSize, { skip: skip.toString() }));
+        if (data.error) {
+            return {
+                error: `Failed to download shortage records: ${data.error}`,
+                records_downloaded: records.length,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        const page = data.results || [];
+        total = data.meta?.results?.total ?? total;
+        records.push(...page);
+
+        if (page.length < pageSize || (total !== null && records.length >= total)) {
+            break;
+        }
+    }
+
+    return {
+        records,
+        total: total ?? records.length,
+        data_source: "FDA Drug Shortages Database",
+        api_endpoint: ENDPOINTS.DRUG_SHORTAGES,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Calculate days since a date
+ */
+function daysSince(dateStr) {
+    if (!dateStr) return 0;
+    const days = Math.floor((new Date() - new Date(dateStr)) / (1000 * 60 * 60 * 24));
+    return days > 0 ? days : 0;
+}
+
+/**
+ * Convert an openFDA YYYYMMDD date string to ISO YYYY-MM-DD
+ */
+function formatFDADate(dateStr) {
+    if (!dateStr || !/^\d{8}$/.test(dateStr)) return dateStr || null;
+    return dateStr.replace(/(\d{4})(\d{2})(\d{2})/, '$1-$2-$3');
+}
+
+/**
+ * Parse a shortage date (MM/DD/YYYY as published, YYYYMMDD or ISO) to a UTC Date
+ * @returns {Date|null}
+ */
+function parseShortageDate(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    let match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) {
+        return new Date(Date.UTC(Number(match[3]), Number(match[1]) - 1, Number(match[2])));
+    }
+    match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    if (match) {
+        return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    }
+    return null;
+}
+
+/**
+ * Median of a list of numbers (null for an empty list)
+ */
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Build a month-by-month shortage timeline from openFDA shortage records
+ * Each record is one presentation's shortage. Resolved records end on their
+ * change/update date; Current and To Be Discontinued records are still open.
+ * Open records without a parseable initial_posting_date are kept as open
+ * shortages with an unknown start: they count as current and as active in the
+ * current month, but cannot be placed earlier in the timeline or recurrence.
+ * @param {Array<Object>} records openFDA shortage records for one drug
+ * @param {number} monthsBack Months in the window, including the current month
+ * @param {Date} now Reference time (injectable for tests)
+ * @returns {Object} { window, summary, timeline, shortages, recurrence }
+ */
+function buildShortageTimeline(records, monthsBack, now = new Date()) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const toISODate = (date) => date ? date.toISOString().slice(0, 10) : null;
+    const windowStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (monthsBack - 1), 1));
+
+    const undatedOpen = [];
+    const episodes = records
+        .map(record => {
+            const start = parseShortageDate(record.initial_posting_date);
+            const resolved = record.status === "Resolved";
+            const episode = {
+                presentation: record.presentation || record.proprietary_name || record.generic_name || null,
+                company_name: record.company_name || null,
+                status: record.status || "Unknown",
+                start,
+                end: null,
+                duration_days: null
+            };
+            if (!start) {
+                if (!resolved) undatedOpen.push(episode);
+                return null;
+            }
+            episode.end = resolved
+                ? parseShortageDate(record.change_date) || parseShortageDate(record.update_date) || start
+                : null;
+            episode.duration_days = Math.max(0, Math.floor(((episode.end || now) - start) / dayMs));
+            return episode;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.start - b.start);
+
+    const datedInWindow = episodes.filter(episode => episode.start <= now && (!episode.end || episode.end >= windowStart));
+    const inWindow = [...datedInWindow, ...undatedOpen];
+
+    // Month buckets from the start of the window through the current month
+    const timeline = [];
+    for (let offset = 0; offset < monthsBack; offset++) {
+        const monthStart = new Date(Date.UTC(windowStart.getUTCFullYear(), windowStart.getUTCMonth() + offset, 1));
+        const monthEnd = new Date(Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + 1, 1));
+        timeline.push({
+            month: monthStart.toISOString().slice(0, 7),
+            new_shortages: datedInWindow.filter(e => e.start >= monthStart && e.start < monthEnd).length,
+            resolved: datedInWindow.filter(e => e.end && e.end >= monthStart && e.end < monthEnd).length,
+            active: datedInWindow.filter(e => e.start < monthEnd && (!e.end || e.end >= monthStart)).length
+                + (offset === monthsBack - 1 ? undatedOpen.length : 0)
+        });
+    }
+
+    // Merge overlapping presentations into drug-level shortage periods to measure recurrence
+    const periods = [];
+    for (const episode of episodes) {
+        const last = periods[periods.length - 1];
+        const episodeEnd = episode.end || now;
+        if (last && episode.start <= last.end) {
+            if (episodeEnd > last.end) last.end = episodeEnd;
+        } else {
+            periods.push({ start: episode.start, end: episodeEnd });
+        }
+    }
+    const gaps = periods.slice(1).map((period, index) => Math.round((period.start - periods[index].end) / dayMs));
+    const returnsInWindow = periods.slice(1).filter(period => period.start >= windowStart).length;
+
+    const resolvedEpisodes = inWindow.filter(e => e.status === "Resolved");
+    const openEpisodes = inWindow.filter(e => e.status !== "Resolved");
+
+    return {
+        window: {
+            start: toISODate(windowStart),
+            end: toISODate(now),
+            months: monthsBack
+        },
+        summary: {
+            shortages_in_window: inWindow.length,
+            started_in_window: datedInWindow.filter(e => e.start >= windowStart).length,
+            current: openEpisodes.filter(e => e.status === "Current").length,
+            resolved: resolvedEpisodes.length,
+            to_be_discontinued: openEpisodes.filter(e => e.status === "To Be Discontinued").length,
+            median_resolved_duration_days: median(resolvedEpisodes.map(e => e.duration_days)),
+            median_ongoing_duration_days: median(openEpisodes.filter(e => e.start).map(e => e.duration_days)),
+            open_with_unknown_start: undatedOpen.length
+        },
+        timeline,
+        shortages: inWindow.map(e => ({
+            presentation: e.presentation,
+            company_name: e.company_name,
+            status: e.status,
+            start_date: toISODate(e.start),
+            resolved_date: toISODate(e.end),
+            duration_days: e.duration_days,
+            ongoing: !e.end
+        })),
+        recurrence: {
+            shortage_periods_on_record: periods.length,
+            returns_to_shortage: Math.max(0, periods.length - 1),
+            returns_in_window: returnsInWindow,
+            median_days_between_shortages: median(gaps),
+            first_recorded: toISODate(periods[0]?.start),
+            most_recent_start: toISODate(periods[periods.length - 1]?.start)
+        }
+    };
+}
+
+/**
+ * Analyze drug shortage trends using FDA historical data
+ * Returns a month-by-month timeline limited to monthsBack, per-shortage
+ * durations and how often the drug returns to shortage
+ */
+export async function analyzeDrugShortageTrends(drugName, monthsBack = 12) {
+    const validationError = validateDrugName(drugName, "trends");
+    if (validationError) return validationError;
+
+    if (monthsBack < 1 || monthsBack > 60) {
+        return {
+            error: "Analysis period must be between 1 and 60 months",
+            provided_months: monthsBack,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    const identity = await resolveDrugIdentity(drugName);
+    const cleanName = identity.search_name;
+
+    // All shortage records for the drug, current and resolved
+    const searchStrategies = identitySearchNames(identity).flatMap(name => [
+        `generic_name:"${name}"`,
+        `openfda.generic_name:"${name}"`,
+        `proprietary_name:"${name}"`,
+        `openfda.brand_name:"${name}"`,
+        `"${name}"`
+    ]);
+    const cacheKey = `drug_shortage_history_${cleanName.toLowerCase()}`;
+
+    try {
+        const result = await getCachedOrFetch(cacheKey, () =>
+            performSearchStrategies(searchStrategies, ENDPOINTS.DRUG_SHORTAGES, 1000),
+            CACHE_TTL.DRUG_SHORTAGES
+        );
+        if (result?.error) {
+            return searchFailure(result, "FDA Drug Shortages Database", { drug_name: drugName });
+        }
+        const records = result?.data?.results || [];
+        const trends = buildShortageTimeline(records, monthsBack);
+        const current = records.find(r => r.status === "Current");
 
-        // Build simple analysis
         const analysis = {
             drug_name: drugName,
+            ...identitySummary(identity),
             analysis_period_months: monthsBack,
-            current_status: currentData.results?.length > 0 ? 
-                `${currentData.results.filter(r => r.status === "Current").length} active shortage(s)` : 
+            current_status: trends.summary.current > 0 ?
+                `${trends.summary.current} active shortage(s)` :
                 "No current shortages",
+            ...trends,
+            search_strategy: result?.search_strategy || null,
+            records_analyzed: records.length,
             data_source: "FDA Drug Shortages Database",
             timestamp: new Date().toISOString()
         };
 
-        // Add current shortage details if any
-        if (currentData.results?.length > 0) {
-            const current = currentData.results.find(r => r.status === "Current");
-            if (current) {
-                analysis.current_shortage = {
-                    duration_days: daysSince(current.initial_posting_date),
-                    reason: current.shortage_reason || "Not specified",
-                    availability: current.availability || "Unknown",
-                    last_updated: current.update_date
-                };
-            }
+        if (current) {
+            analysis.current_shortage = {
+                duration_days: parseShortageDate(current.initial_posting_date) ? daysSince(parseShortageDate(current.initial_posting_date)) : null,
+                reason: current.shortage_reason || "Not specified",
+                availability: current.availability || "Unknown",
+                last_updated: current.update_date
+            };
         }
 
-        // Add historical summary if available
-        if (historyData.results?.length > 0) {
-            const totalEvents = historyData.results.reduce((sum, event) => sum + event.count, 0);
-            analysis.historical_summary = {
-                total_shortage_events: totalEvents,
-                first_recorded: historyData.results[0]?.time.replace(/(\d{4})(\d{2})(\d{2})/, '$1-$2-$3'),
-                shortage_frequency: totalEvents > 5 ? "High" : totalEvents > 1 ? "Moderate" : "Low"
-            };
+        if (records.length === 0) {
+            Object.assign(analysis, await describeEmptyResult(drugName, `No shortage records found for "${drugName}"`));
         }
 
         return analysis;
@@ -625,10 +2506,255 @@ export async function analyzeDrugShortageTrends(drugName, monthsBack = 12) {
 }
 
 /**
- * Batch analysis of multiple drugs
- * Simplified to return raw results array
+ * Rate how available a therapeutic alternative is right now
+ * A failed shortage or recall lookup makes the rating "unknown" rather than
+ * "available", and ranks the alternative below fully checked ones
+ * @param {Object} shortageData Result of searchDrugShortages
+ * @param {Object} recallData Result of searchDrugRecalls
+ * @returns {Object} Availability status and a 0-100 ranking score
+ */
+function assessAlternativeAvailability(shortageData, recallData) {
+    const failedLookups = [
+        shortageData?.error && { check: "shortages", error: shortageData.error },
+        recallData?.error && { check: "recalls", error: recallData.error }
+    ].filter(Boolean);
+    const currentShortages = (shortageData?.results || []).filter(r => r.status === "Current");
+    const ongoingRecalls = (recallData?.results || []).filter(r => r.status === "Ongoing");
+    const classOneRecalls = ongoingRecalls.filter(r => r.classification === "Class I");
+
+    let availability = "available";
+    if (currentShortages.length > 0 || classOneRecalls.length > 0) {
+        availability = "unavailable";
+    } else if (ongoingRecalls.length > 0) {
+        availability = "limited";
+    }
+    if (failedLookups.length > 0 && availability !== "unavailable") {
+        availability = "unknown";
+    }
+
+    const score = Math.max(0, 100
+        - (currentShortages.length > 0 ? 60 : 0)
+        - classOneRecalls.length * 30
+        - (ongoingRecalls.length - classOneRecalls.length) * 10
+        - (failedLookups.length > 0 ? 50 : 0));
+
+    return {
+        availability,
+        score,
+        current_shortages: currentShortages.length,
+        ongoing_recalls: ongoingRecalls.length,
+        ongoing_class_i_recalls: classOneRecalls.length,
+        shortage_reasons: [...new Set(currentShortages.map(r => r.shortage_reason).filter(Boolean))],
+        ...(failedLookups.length > 0 && { failed_lookups: failedLookups })
+    };
+}
+
+/**
+ * Find therapeutic alternatives in the same pharmacologic class
+ * Reads the drug's EPC/MOA classes from its label, finds other drugs in those
+ * classes, and ranks them by current shortage and recall status
+ * @param {string} drugName
+ * @param {number} limit Maximum alternatives to check
+ * @returns {Promise<Object>}
+ */
+export async function findTherapeuticAlternatives(drugName, limit = 5) {
+    const validationError = validateDrugName(drugName, "therapeutic alternatives");
+    if (validationError) return validationError;
+
+    const cleanName = drugName.trim();
+
+    try {
+        // Read pharmacologic classes from the label (generic name first, then brand)
+        let labelData = await fetchDrugLabelInfo(cleanName, "openfda.generic_name");
+        if (!labelData.results?.length) {
+            labelData = await fetchDrugLabelInfo(cleanName, "openfda.brand_name");
+        }
+
+        const openfda = labelData.results?.[0]?.openfda || {};
+        const pharmClasses = [
+            ...(openfda.pharm_class_epc || []).map(name => ({ field: "openfda.pharm_class_epc", name })),
+            ...(openfda.pharm_class_moa || []).map(name => ({ field: "openfda.pharm_class_moa", name }))
+        ];
+
+        if (pharmClasses.length === 0) {
+            return {
+                search_term: drugName,
+                alternatives: [],
+                message: `No pharmacologic class found on the FDA label for "${drugName}"`,
+                note: "Alternatives are found by established pharmacologic class (EPC) or mechanism of action (MOA); try the generic name",
+                data_source: "FDA Drug Label Database",
+                api_endpoint: ENDPOINTS.DRUG_LABEL
+            };
+        }
+
+        const originalNames = (openfda.generic_name || [cleanName]).map(name => name.toLowerCase());
+
+        // Collect other generic names in the same class, EPC before MOA
+        const candidates = new Map();
+        const failedClasses = [];
+        for (const pharmClass of pharmClasses) {
+            if (candidates.size >= limit * 2) break;
+
+            const cacheKey = `drug_label_class_${pharmClass.field}_${pharmClass.name.toLowerCase()}`;
+            const classData = await getCachedOrFetch(cacheKey, async () => {
+                const params = buildParams(`${pharmClass.field}:"${pharmClass.name}"`, 100, { count: "openfda.generic_name.exact" });
+                return await makeRequest(ENDPOINTS.DRUG_LABEL, params);
+            }, CACHE_TTL.DRUG_LABELS);
+            if (isUpstreamFailure(classData)) {
+                failedClasses.push({ pharm_class: pharmClass.name, error: classData.error });
+                continue;
+            }
+
+            for (const { term, count } of classData.results || []) {
+                const candidateName = term.toLowerCase();
+                // Skip the drug itself, its salt forms, and combination products containing it
+                if (originalNames.some(original => candidateName.includes(original) || original.includes(candidateName))) continue;
+                if (!candidates.has(candidateName)) {
+                    candidates.set(candidateName, { generic_name: term, label_count: count, pharm_class: pharmClass.name });
+                }
+            }
+        }
+
+        // An outage is not the same as a class with no other drugs
+        if (candidates.size === 0 && failedClasses.length > 0) {
+            return {
+                error: "Unable to look up drugs in the same pharmacologic class",
+                search_term: drugName,
+                failed_classes: failedClasses,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        // Check current shortage and recall status of each candidate
+        const alternatives = [];
+        for (const candidate of [...candidates.values()].slice(0, limit)) {
+            const shortageData = await searchDrugShortages(candidate.generic_name, 10);
+            const recallData = await searchDrugRecalls(candidate.generic_name, 10);
+            alternatives.push({
+                ...candidate,
+                ...assessAlternativeAvailability(shortageData, recallData)
+            });
+        }
+
+        // Rank by availability, then by how many labeled products exist
+        alternatives.sort((a, b) => b.score - a.score || b.label_count - a.label_count);
+        alternatives.forEach((alternative, index) => {
+            alternative.rank = index + 1;
+        });
+
+        const originalShortages = await searchDrugShortages(openfda.generic_name?.[0] || cleanName, 10);
+
+        return {
+            search_term: drugName,
+            original_drug: {
+                generic_name: openfda.generic_name || [],
+                brand_name: openfda.brand_name || [],
+                pharm_class_epc: openfda.pharm_class_epc || [],
+                pharm_class_moa: openfda.pharm_class_moa || [],
+                current_shortages: (originalShortages.results || []).filter(r => r.status === "Current").length
+            },
+            candidates_found: candidates.size,
+            ...(failedClasses.length > 0 && { failed_classes: failedClasses }),
+            alternatives_checked: alternatives.length,
+            available_now: alternatives.filter(a => a.availability === "available").map(a => a.generic_name),
+            alternatives,
+            data_sources: ["FDA Drug Label Database", "FDA Drug Shortages Database", "FDA Drug Enforcement Database"],
+            disclaimer: "Alternatives share a pharmacologic class but are not necessarily interchangeable. Confirm indication, dosing, and formulary status with a pharmacist.",
+            timestamp: new Date().toISOString()
+        };
+
+    } catch (error) {
+        return {
+            drug_name: drugName,
+            error: "Failed to find therapeutic alternatives",
+            details: error.message,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+// Checks batch_drug_analysis can run per drug, with the response field each fills
+const BATCH_CHECKS = {
+    shortages: { field: "shortage_data", run: (drug) => searchDrugShortages(drug, 10) },
+    recalls: { field: "recall_data", run: (drug) => searchDrugRecalls(drug, 5) },
+    trends: { field: "trend_data", run: (drug) => analyzeDrugShortageTrends(drug, 6) },
+    labels: {
+        field: "label_data",
+        run: (drug) => getDrugLabelSections(drug, ["boxed_warning", "indications_and_usage", "contraindications"], "openfda.generic_name", 0, 1000)
+    },
+    adverse_events: { field: "adverse_event_data", run: (drug) => searchAdverseEvents(drug, 5, false) }
+};
+
+const BATCH_CONFIG = {
+    MAX_DRUGS: 25,
+    DEFAULT_CONCURRENCY: 4,
+    MAX_CONCURRENCY: 8,
+    DEFAULT_TIMEOUT_MS: 30000,
+    MIN_TIMEOUT_MS: 5000,
+    MAX_TIMEOUT_MS: 120000
+};
+
+/**
+ * Run an async worker over items with at most `concurrency` running at once
+ * Never rejects; each result is { status: 'fulfilled', value } or { status: 'rejected', reason }
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {Function} worker (item, index) => Promise
+ * @returns {Promise<Array<Object>>} Results in item order
+ */
+async function runWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runner = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+            } catch (error) {
+                results[index] = { status: 'rejected', reason: error };
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, runner));
+    return results;
+}
+
+/**
+ * Reject if a promise does not settle within ms
+ * Client searches cannot be cancelled, so the underlying requests keep
+ * running (and taking rate limiter tokens) after the timeout; their result
+ * is ignored, though it may still fill the cache for the next call
+ */
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`Timed out after ${Math.round(ms / 1000)} seconds`);
+            error.timedOut = true;
+            reject(error);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Analyze multiple drugs for shortages, recalls and other selected checks
+ * Every (drug, check) pair is one task in a bounded worker pool; upstream
+ * requests also pass through the global openFDA rate limiter. Failed or
+ * timed out checks are reported per drug and the other results are kept;
+ * a timed out check is abandoned, not cancelled (see withTimeout).
+ * @param {Array<string>} drugList
+ * @param {boolean} includeTrends Adds the trends check (kept for existing callers)
+ * @param {Object} options { checks, concurrency, timeoutMs }
+ * @returns {Promise<Object>}
  */
-export async function batchDrugAnalysis(drugList, includeTrends = false) {
+export async function batchDrugAnalysis(drugList, includeTrends = false, {
+    checks = null,
+    concurrency = BATCH_CONFIG.DEFAULT_CONCURRENCY,
+    timeoutMs = BATCH_CONFIG.DEFAULT_TIMEOUT_MS
+} = {}) {
     // Input validation
     if (!Array.isArray(drugList) || drugList.length === 0) {
         return {
@@ -637,109 +2763,561 @@ export async function batchDrugAnalysis(drugList, includeTrends = false) {
         };
     }
 
-    if (drugList.length > 25) {
+    if (drugList.length > BATCH_CONFIG.MAX_DRUGS) {
         return {
-            error: "Maximum 25 medications allowed per batch analysis",
+            error: `Maximum ${BATCH_CONFIG.MAX_DRUGS} medications allowed per batch analysis`,
             provided_count: drugList.length,
             timestamp: new Date().toISOString()
         };
     }
 
-    // Check for empty drug names
-    const emptyDrugs = drugList.filter(drug => 
-        !drug || typeof drug !== 'string' || !drug.trim()
-    );
+    // Check for empty drug names
+    const emptyDrugs = drugList.filter(drug => 
+        !drug || typeof drug !== 'string' || !drug.trim()
+    );
+
+    if (emptyDrugs.length > 0) {
+        return {
+            error: "All medication names must be valid non-empty strings",
+            invalid_entries: emptyDrugs.length,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    const selectedChecks = [...new Set([
+        ...(checks && [].concat(checks).length > 0 ? [].concat(checks) : ["shortages", "recalls"]),
+        ...(includeTrends ? ["trends"] : [])
+    ])];
+    const unknownChecks = selectedChecks.filter(check => !BATCH_CHECKS[check]);
+    if (unknownChecks.length > 0) {
+        return {
+            error: `Unknown check(s): ${unknownChecks.join(', ')}`,
+            available_checks: Object.keys(BATCH_CHECKS),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > BATCH_CONFIG.MAX_CONCURRENCY) {
+        return {
+            error: `Concurrency must be between 1 and ${BATCH_CONFIG.MAX_CONCURRENCY}`,
+            provided_concurrency: concurrency,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    if (!Number.isFinite(timeoutMs) || timeoutMs < BATCH_CONFIG.MIN_TIMEOUT_MS || timeoutMs > BATCH_CONFIG.MAX_TIMEOUT_MS) {
+        return {
+            error: `Timeout must be between ${BATCH_CONFIG.MIN_TIMEOUT_MS / 1000} and ${BATCH_CONFIG.MAX_TIMEOUT_MS / 1000} seconds`,
+            provided_timeout_ms: timeoutMs,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    const startedAt = Date.now();
+    // Tasks point at their list position, so a drug listed twice gets two analyses
+    const tasks = drugList.flatMap((drug, drugIndex) => selectedChecks.map(check => ({ drug, drugIndex, check })));
+    const outcomes = await runWithConcurrency(tasks, concurrency, ({ drug, check }) =>
+        withTimeout(BATCH_CHECKS[check].run(drug), timeoutMs)
+    );
+
+    const analyses = drugList.map(drug => ({ drug_name: drug, status: "ok", checks: {} }));
+    tasks.forEach(({ drugIndex, check }, index) => {
+        const analysis = analyses[drugIndex];
+        const outcome = outcomes[index];
+
+        if (outcome.status === 'rejected') {
+            analysis.checks[check] = outcome.reason?.timedOut ? "timed_out" : "failed";
+            analysis.errors = [...(analysis.errors || []), { check, error: outcome.reason?.message || "Unknown error" }];
+            return;
+        }
+
+        // A drug with no record (e.g. no indexed label) is an answer, not a failed check
+        analysis[BATCH_CHECKS[check].field] = outcome.value;
+        if (isUpstreamFailure(outcome.value)) {
+            analysis.checks[check] = "failed";
+            analysis.errors = [...(analysis.errors || []), { check, error: outcome.value.error }];
+        } else {
+            analysis.checks[check] = "ok";
+        }
+    });
+
+    const statusCounts = { ok: 0, partial: 0, failed: 0 };
+    for (const analysis of analyses) {
+        const checkStatuses = Object.values(analysis.checks);
+        const succeeded = checkStatuses.filter(status => status === "ok").length;
+        analysis.status = succeeded === checkStatuses.length ? "ok" : succeeded > 0 ? "partial" : "failed";
+        statusCounts[analysis.status]++;
+    }
+
+    return {
+        batch_info: {
+            total_drugs: drugList.length,
+            checks: selectedChecks,
+            include_trends: selectedChecks.includes("trends"),
+            concurrency,
+            timeout_seconds: timeoutMs / 1000,
+            status_counts: statusCounts,
+            duration_ms: Date.now() - startedAt,
+            timestamp: new Date().toISOString()
+        },
+        drug_analyses: analyses
+    };
+}
+
+/**
+ * Get comprehensive medication profile
+ * Combines label and shortage data with minimal processing,
+ * optionally adding Drugs@FDA approval history
+ */
+export async function getMedicationProfile(drugIdentifier, identifierType = "openfda.generic_name", includeApprovalHistory = false) {
+    // Input validation
+    const validationError = validateDrugName(drugIdentifier, "drug information");
+    if (validationError) {
+        return validationError;
+    }
+
+    // Normalize the identifier type to fix LibreChat compatibility
+    const normalizedType = normalizeIdentifierType(identifierType);
+
+    const identifier = buildLabelIdentifierSearch(drugIdentifier, normalizedType);
+    if (identifier.error) {
+        return {
+            search_term: drugIdentifier,
+            identifier_type: normalizedType,
+            error: identifier.error
+        };
+    }
+    
+    const profile = {
+        search_info: {
+            drug_identifier: drugIdentifier,
+            identifier_type: normalizedType,
+            original_identifier_type: identifierType, // Keep original for debugging
+            timestamp: new Date().toISOString()
+        }
+    };
+
+    try {
+        // Get label information with normalized type
+        profile.label_data = await fetchDrugLabelInfo(drugIdentifier, normalizedType);
+        const labelGenericName = profile.label_data.results?.[0]?.openfda?.generic_name?.[0];
+
+        // Resolve to one identity that every section searches with; names and NDCs
+        // resolve directly, other codes through the generic name on their label
+        const isNDCType = normalizedType === 'openfda.product_ndc' || normalizedType === 'openfda.package_ndc';
+        const identityQuery = NAME_IDENTIFIER_TYPES.includes(normalizedType) || isNDCType
+            ? identifier.value
+            : labelGenericName;
+
+        if (!identityQuery) {
+            profile.note = `No FDA label was found for ${normalizedType} ${identifier.value}, so shortage data could not be looked up by name`;
+            return profile;
+        }
+        profile.drug_identity = await resolveDrugIdentity(identityQuery);
+
+        // Fall back to the label's generic name when the identity could not be resolved
+        let shortageSearchTerm = profile.drug_identity.search_name;
+        if (!profile.drug_identity.resolved && labelGenericName) {
+            shortageSearchTerm = labelGenericName;
+        }
+
+        // Get shortage information
+        profile.shortage_data = await searchDrugShortages(shortageSearchTerm, 10);
+        profile.shortage_search_term = shortageSearchTerm;
+
+        // Get approval history if requested; application numbers are looked up directly
+        if (includeApprovalHistory) {
+            profile.approval_data = await searchDrugApprovals(
+                normalizedType === 'openfda.application_number' ? identifier.value : shortageSearchTerm,
+                5
+            );
+        }
+
+    } catch (error) {
+        profile.error = `Failed to get complete profile: ${error.message}`;
+        profile.suggestion = "Try using the generic name or check the spelling";
+    }
+
+    return profile;
+}
+
+/**
+ * Look up products in the FDA NDC Directory
+ * Accepts a product NDC, package NDC, or a generic/brand name
+ * Returns raw openFDA NDC records, each with its packaging list
+ * @param {string} query
+ * @param {number} limit
+ * @returns {Promise<Object>}
+ */
+export async function lookupNDC(query, limit = 10) {
+    // Input validation
+    const validationError = validateDrugName(query, "NDC directory");
+    if (validationError) {
+        return validationError;
+    }
+
+    const cleanQuery = query.trim();
+    const ndc = normalizeNDC(cleanQuery);
+
+    // Create cache key for this specific NDC directory request
+    const cacheKey = `ndc_directory_${cleanQuery.toLowerCase()}_limit${limit}`;
+
+    // Codes are matched exactly on product or package NDC; names use the usual name strategies
+    let searchStrategies;
+    if (ndc) {
+        const field = ndc.ndc_type === 'package' ? 'packaging.package_ndc' : 'product_ndc';
+        searchStrategies = ndc.candidates.map(candidate => `${field}:"${candidate}"`);
+    } else {
+        searchStrategies = [
+            `generic_name:"${cleanQuery}"`,
+            `brand_name:"${cleanQuery}"`,
+            `openfda.generic_name:"${cleanQuery}"`,
+            `openfda.brand_name:"${cleanQuery}"`,
+            `active_ingredients.name:"${cleanQuery}"`
+        ];
+    }
+
+    // Define the fetch function for cache miss
+    const fetchFunction = async () => {
+        return await performSearchStrategies(searchStrategies, ENDPOINTS.DRUG_NDC, limit);
+    };
+
+    // Get cached or fresh data
+    const result = await getCachedOrFetch(cacheKey, fetchFunction, CACHE_TTL.NDC_DIRECTORY);
+
+    if (result?.error) {
+        return searchFailure(result, "FDA National Drug Code Directory", { search_term: query });
+    }
+
+    if (result) {
+        return {
+            search_term: query,
+            query_type: ndc ? `${ndc.ndc_type}_ndc` : 'drug_name',
+            search_strategy: result.search_strategy,
+            data_source: "FDA National Drug Code Directory",
+            api_endpoint: ENDPOINTS.DRUG_NDC,
+            ...result.data // Raw openFDA NDC records including packaging
+        };
+    }
+
+    // No results found
+    return {
+        search_term: query,
+        query_type: ndc ? `${ndc.ndc_type}_ndc` : 'drug_name',
+        results: [],
+        meta: { results: { total: 0 } },
+        message: `No products found in the NDC Directory for "${query}"`,
+        note: ndc
+            ? "Check the NDC digits - the directory only lists products currently marketed or recently delisted"
+            : "Try the generic name, the brand name, or a product NDC such as 0002-3227",
+        search_strategies_tried: searchStrategies,
+        data_source: "FDA National Drug Code Directory",
+        api_endpoint: ENDPOINTS.DRUG_NDC
+    };
+}
+
+/**
+ * Condense a Drugs@FDA application into its approval history
+ * @param {Object} application Raw drugsfda.json result
+ * @returns {Object}
+ */
+function summarizeDrugApplication(application) {
+    const submissions = (application.submissions || [])
+        .map(submission => ({
+            submission_type: submission.submission_type,
+            submission_number: submission.submission_number,
+            submission_status: submission.submission_status,
+            status_date: formatFDADate(submission.submission_status_date),
+            submission_class: submission.submission_class_code_description || submission.submission_class_code || null,
+            review_priority: submission.review_priority || null
+        }))
+        .sort((a, b) => (a.status_date || '').localeCompare(b.status_date || ''));
+
+    const originalApproval = submissions.find(submission =>
+        submission.submission_type === 'ORIG' && submission.submission_status === 'AP'
+    );
+
+    return {
+        application_number: application.application_number,
+        application_type: application.application_number?.match(/^[A-Z]+/)?.[0] || 'Unknown',
+        sponsor_name: application.sponsor_name,
+        original_approval_date: originalApproval?.status_date || null,
+        products: (application.products || []).map(product => ({
+            product_number: product.product_number,
+            brand_name: product.brand_name,
+            active_ingredients: product.active_ingredients,
+            dosage_form: product.dosage_form,
+            route: product.route,
+            marketing_status: product.marketing_status,
+            te_code: product.te_code || null,
+            reference_drug: product.reference_drug
+        })),
+        submissions
+    };
+}
+
+/**
+ * Search Drugs@FDA for application and approval history
+ * Accepts a drug name or an application number (NDA/ANDA/BLA)
+ * @param {string} drugName
+ * @param {number} limit
+ * @returns {Promise<Object>}
+ */
+export async function searchDrugApprovals(drugName, limit = 5) {
+    // Input validation
+    const validationError = validateDrugName(drugName, "approval history");
+    if (validationError) {
+        return validationError;
+    }
+
+    // Application numbers are matched directly; names go through the resolved identity
+    const applicationNumber = drugName.trim().toUpperCase().replace(/\s+/g, '');
+    const isApplicationNumber = /^(NDA|ANDA|BLA)\d{6}$/.test(applicationNumber);
+    const identity = isApplicationNumber
+        ? { query: drugName, resolved: false, search_name: drugName.trim() }
+        : await resolveDrugIdentity(drugName);
+    const cleanName = identity.search_name;
+
+    // Create cache key for this specific approval history request
+    const cacheKey = `drug_approval_${cleanName.toLowerCase()}_limit${limit}`;
+
+    const searchStrategies = isApplicationNumber
+        ? [`application_number:"${applicationNumber}"`]
+        : identitySearchNames(identity).flatMap(name => [
+            `openfda.generic_name:"${name}"`,
+            `openfda.brand_name:"${name}"`,
+            `products.brand_name:"${name}"`,
+            `products.active_ingredients.name:"${name}"`
+        ]);
+
+    // Define the fetch function for cache miss
+    const fetchFunction = async () => {
+        return await performSearchStrategies(searchStrategies, ENDPOINTS.DRUGS_FDA, limit);
+    };
+
+    // Get cached or fresh data
+    const result = await getCachedOrFetch(cacheKey, fetchFunction, CACHE_TTL.DRUG_APPROVALS);
+
+    if (result?.error) {
+        return searchFailure(result, "Drugs@FDA", { search_term: drugName });
+    }
 
-    if (emptyDrugs.length > 0) {
+    if (result) {
         return {
-            error: "All medication names must be valid non-empty strings",
-            invalid_entries: emptyDrugs.length,
-            timestamp: new Date().toISOString()
+            search_term: drugName,
+            ...identitySummary(identity),
+            search_strategy: result.search_strategy,
+            data_source: "Drugs@FDA",
+            api_endpoint: ENDPOINTS.DRUGS_FDA,
+            total_applications: result.data.meta?.results?.total || result.data.results.length,
+            applications: result.data.results.map(summarizeDrugApplication),
+            note: "Application types: NDA = new drug, ANDA = generic, BLA = biologic. TE codes starting with 'A' are therapeutically equivalent."
         };
     }
 
-    const results = {
-        batch_info: {
-            total_drugs: drugList.length,
-            include_trends: includeTrends,
-            timestamp: new Date().toISOString()
-        },
-        drug_analyses: []
+    // No results found
+    return {
+        search_term: drugName,
+        applications: [],
+        meta: { results: { total: 0 } },
+        message: `No Drugs@FDA applications found for "${drugName}"`,
+        note: "Drugs@FDA covers prescription and OTC products approved since 1939; try the generic name or an application number like NDA020357",
+        search_strategies_tried: searchStrategies,
+        data_source: "Drugs@FDA",
+        api_endpoint: ENDPOINTS.DRUGS_FDA
     };
+}
 
-    for (const drug of drugList) {
-        const analysis = {
-            drug_name: drug
-        };
+/**
+ * FAERS search strategies for a drug, in order of preference
+ * Shared by every adverse event search so they resolve drugs the same way
+ * @param {string} cleanName 
+ * @returns {Array<string>} 
+ */
+function adverseEventSearchStrategies(cleanName) {
+    return [
+        `patient.drug.medicinalproduct:"${cleanName}"`,
+        `patient.drug.openfda.generic_name:"${cleanName}"`,
+        `patient.drug.openfda.brand_name:"${cleanName}"`,
+        `patient.drug.medicinalproduct:${cleanName}`,
+        `patient.drug.activesubstance.activesubstancename:"${cleanName}"`
+    ];
+}
 
-        try {
-            // Get shortage data
-            analysis.shortage_data = await searchDrugShortages(drug, 10);
-            
-            // Get recall data
-            analysis.recall_data = await searchDrugRecalls(drug, 5);
-            
-            // Get trend data if requested
-            if (includeTrends) {
-                analysis.trend_data = await analyzeDrugShortageTrends(drug, 6);
-            }
-            
-        } catch (error) {
-            analysis.error = `Failed to analyze ${drug}: ${error.message}`;
-        }
+// Standard signal thresholds (Evans et al. 2001 for PRR)
+const SIGNAL_THRESHOLDS = {
+    MIN_REPORTS: 3,
+    PRR: 2,
+    CHI_SQUARE: 4
+};
+
+/**
+ * Calculate disproportionality measures from a 2x2 contingency table
+ *   a = reports with the drug and the reaction
+ *   b = reports with the drug, other reactions
+ *   c = reports with the reaction, other drugs
+ *   d = all other reports
+ * @param {number} a Reports with the drug and the reaction
+ * @param {number} drugTotal Reports mentioning the drug
+ * @param {number} reactionTotal Reports mentioning the reaction
+ * @param {number} databaseTotal All reports in the database
+ * @returns {Object} PRR and ROR with 95% confidence intervals, Yates chi-square and signal flags
+ */
+function calculateDisproportionality(a, drugTotal, reactionTotal, databaseTotal) {
+    const b = drugTotal - a;
+    const c = reactionTotal - a;
+    const d = databaseTotal - drugTotal - c;
+    const n = databaseTotal;
+    const round = (value) => Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+    const interval = (estimate, standardError) => ({
+        value: round(estimate),
+        ci_lower: round(Math.exp(Math.log(estimate) - 1.96 * standardError)),
+        ci_upper: round(Math.exp(Math.log(estimate) + 1.96 * standardError))
+    });
 
-        results.drug_analyses.push(analysis);
+    if (a <= 0 || b < 0 || c < 0 || d < 0) {
+        return { prr: null, ror: null, chi_square: null, signal: false, ror_signal: false };
     }
 
-    return results;
+    const prr = (a / (a + b)) / (c / (c + d));
+    const prrSE = Math.sqrt(1 / a - 1 / (a + b) + 1 / c - 1 / (c + d));
+    const ror = (a * d) / (b * c);
+    const rorSE = Math.sqrt(1 / a + 1 / b + 1 / c + 1 / d);
+    const chiSquare = (n * Math.pow(Math.max(0, Math.abs(a * d - b * c) - n / 2), 2)) /
+        ((a + b) * (c + d) * (a + c) * (b + d));
+
+    const prrResult = c > 0 && d > 0 ? interval(prr, prrSE) : null;
+    const rorResult = b > 0 && c > 0 && d > 0 ? interval(ror, rorSE) : null;
+    const chiResult = round(chiSquare);
+
+    return {
+        prr: prrResult,
+        ror: rorResult,
+        chi_square: chiResult,
+        signal: a >= SIGNAL_THRESHOLDS.MIN_REPORTS &&
+            prrResult !== null && prrResult.value >= SIGNAL_THRESHOLDS.PRR &&
+            chiResult !== null && chiResult >= SIGNAL_THRESHOLDS.CHI_SQUARE,
+        ror_signal: a >= SIGNAL_THRESHOLDS.MIN_REPORTS && rorResult !== null && rorResult.ci_lower > 1
+    };
 }
 
 /**
- * Get comprehensive medication profile
- * Combines label and shortage data with minimal processing
+ * Get the number of FAERS reports matching a search (whole database when search is null)
+ * Errors are thrown so they are never cached; the makeRequest error object is
+ * attached as error.failure
  */
-export async function getMedicationProfile(drugIdentifier, identifierType = "openfda.generic_name") {
-    // Input validation
-    const validationError = validateDrugName(drugIdentifier, "drug information");
+async function getAdverseEventReportTotal(search, cacheKey) {
+    return await getCachedOrFetch(cacheKey, async () => {
+        const data = await makeRequest(ENDPOINTS.DRUG_EVENT, buildParams(search, 1));
+        if (data.error) {
+            throw Object.assign(new Error(data.error), { failure: data });
+        }
+        return data.meta?.results?.total ?? 0;
+    }, CACHE_TTL.ADVERSE_EVENTS);
+}
+
+/**
+ * Detect disproportionate reporting of a drug's reactions against all of FAERS
+ * Uses count queries for the drug's most reported reactions, then compares each
+ * reaction's share of the drug's reports with its share of the whole database
+ * @param {string} drugName 
+ * @param {number} limit Number of top reactions to evaluate
+ * @param {number} minReports Minimum reports for a reaction to be listed
+ * @returns {Promise<Object>} 
+ */
+export async function detectAdverseEventSignals(drugName, limit = 20, minReports = SIGNAL_THRESHOLDS.MIN_REPORTS) {
+    const validationError = validateDrugName(drugName, "adverse event signals");
     if (validationError) {
         return validationError;
     }
 
-    // Normalize the identifier type to fix LibreChat compatibility
-    const normalizedType = normalizeIdentifierType(identifierType);
-    
-    const profile = {
-        search_info: {
-            drug_identifier: drugIdentifier,
-            identifier_type: normalizedType,
-            original_identifier_type: identifierType, // Keep original for debugging
-            timestamp: new Date().toISOString()
-        }
-    };
+    const identity = await resolveDrugIdentity(drugName);
+    const cleanName = identity.search_name;
+    const searchStrategies = identitySearchNames(identity).flatMap(name => adverseEventSearchStrategies(name));
+    const cacheKey = `adverse_event_signals_${cleanName.toLowerCase()}_limit${limit}`;
 
+    let analysis;
     try {
-        // Get label information with normalized type
-        profile.label_data = await fetchDrugLabelInfo(drugIdentifier, normalizedType);
-
-        // Determine best term for shortage search
-        let shortageSearchTerm = drugIdentifier;
-        if (profile.label_data.results && profile.label_data.results[0]) {
-            const firstResult = profile.label_data.results[0];
-            if (firstResult.openfda && firstResult.openfda.generic_name) {
-                shortageSearchTerm = firstResult.openfda.generic_name[0];
+        analysis = await getCachedOrFetch(cacheKey, async () => {
+            const found = await performSearchStrategies(searchStrategies, ENDPOINTS.DRUG_EVENT, limit, {
+                count: "patient.reaction.reactionmeddrapt.exact"
+            });
+            if (!found || found.error) return found;
+
+            const search = found.search_strategy;
+            const drugTotal = await getAdverseEventReportTotal(search, `adverse_event_total_${search.toLowerCase()}`);
+            const databaseTotal = await getAdverseEventReportTotal(null, 'adverse_event_total_database');
+
+            // Reactions are checked one at a time to stay inside openFDA rate limits
+            const reactions = [];
+            for (const { term, count } of found.data.results) {
+                const reactionTotal = await getAdverseEventReportTotal(
+                    `patient.reaction.reactionmeddrapt.exact:"${term.replace(/"/g, '')}"`,
+                    `adverse_event_total_reaction_${term.toLowerCase()}`
+                );
+                reactions.push({
+                    reaction: term,
+                    reports_with_drug: count,
+                    reports_in_database: reactionTotal,
+                    ...calculateDisproportionality(count, drugTotal, reactionTotal, databaseTotal)
+                });
             }
-        }
-
-        // Get shortage information
-        profile.shortage_data = await searchDrugShortages(shortageSearchTerm, 10);
-        profile.shortage_search_term = shortageSearchTerm;
 
+            return { search_strategy: search, drug_reports: drugTotal, database_reports: databaseTotal, reactions };
+        }, CACHE_TTL.ADVERSE_EVENTS);
     } catch (error) {
-        profile.error = `Failed to get complete profile: ${error.message}`;
-        profile.suggestion = "Try using the generic name or check the spelling";
+        return {
+            search_term: drugName,
+            error: "Failed to calculate adverse event signals",
+            details: error.message,
+            error_type: error.failure?.error_type || 'unknown',
+            retry_recommended: error.failure?.retry_recommended ?? false,
+            timestamp: new Date().toISOString()
+        };
     }
 
-    return profile;
+    // An outage or rate limit is not the same as no reports
+    if (analysis?.error) {
+        return searchFailure(analysis, "FDA Adverse Event Reporting System (FAERS)", { search_term: drugName });
+    }
+
+    if (!analysis) {
+        return {
+            search_term: drugName,
+            results: [],
+            ...await describeEmptyResult(drugName, `No adverse event reports found in FDA database for "${drugName}"`),
+            search_strategies_tried: searchStrategies,
+            data_source: "FDA Adverse Event Reporting System (FAERS)",
+            timestamp: new Date().toISOString(),
+            api_endpoint: ENDPOINTS.DRUG_EVENT
+        };
+    }
+
+    const reactions = analysis.reactions
+        .filter(reaction => reaction.reports_with_drug >= minReports)
+        .sort((x, y) => (y.prr?.value ?? 0) - (x.prr?.value ?? 0));
+
+    return {
+        search_term: drugName,
+        ...identitySummary(identity),
+        search_strategy: analysis.search_strategy,
+        data_source: "FDA Adverse Event Reporting System (FAERS)",
+        api_endpoint: ENDPOINTS.DRUG_EVENT,
+        drug_reports: analysis.drug_reports,
+        database_reports: analysis.database_reports,
+        reactions_evaluated: analysis.reactions.length,
+        signals_detected: reactions.filter(reaction => reaction.signal).map(reaction => reaction.reaction),
+        reactions: reactions,
+        method: {
+            prr: "Proportional Reporting Ratio: share of the drug's reports with the reaction divided by the share of all other reports with the reaction",
+            ror: "Reporting Odds Ratio: odds of the reaction with the drug divided by odds with all other drugs",
+            chi_square: "Pearson chi-square with Yates correction (1 degree of freedom)",
+            confidence_intervals: "95%",
+            signal_criteria: `PRR >= ${SIGNAL_THRESHOLDS.PRR}, chi-square >= ${SIGNAL_THRESHOLDS.CHI_SQUARE} and at least ${SIGNAL_THRESHOLDS.MIN_REPORTS} reports (Evans criteria); ror_signal marks ROR lower 95% CI > 1`
+        },
+        disclaimer: "A disproportionality signal is a statistical association in spontaneous reports, not proof that the drug causes the reaction. Reporting is voluntary and subject to bias.",
+        timestamp: new Date().toISOString()
+    };
 }
 
 /**
@@ -749,57 +3327,89 @@ export async function getMedicationProfile(drugIdentifier, identifierType = "ope
  * @param {boolean} detailed 
  * @returns {Promise<Object>} 
  */
-export async function searchAdverseEvents(drugName, limit = 5, detailed = false) {
+export async function searchAdverseEvents(drugName, limit = 5, detailed = false, cursor = null) {
     // Input validation
     const validationError = validateDrugName(drugName, "adverse events");
     if (validationError) {
         return validationError;
     }
 
-    const cleanName = drugName.trim();
-    
-    // Create cache key for this specific adverse events request
-    const cacheKey = `adverse_event_${cleanName.toLowerCase()}_limit${limit}_detailed${detailed}`;
-    
-    // For detailed queries, get more data; for summary, get enough to analyze
-    const fetchLimit = detailed ? limit : Math.max(limit * 4, 20);
+    // Cursors page through detailed reports
+    if (cursor) {
+        return await fetchCursorPage('adverse_events', drugName, cursor, {
+            data_source: "FDA Adverse Event Reporting System (FAERS)",
+            note: "These are adverse events reported to FDA. Not all events are caused by the drug.",
+            response_mode: "detailed"
+        });
+    }
+
+    const identity = await resolveDrugIdentity(drugName);
+    const cleanName = identity.search_name;
     
     // Define search strategies in order of preference for adverse events
-    const searchStrategies = [
-        `patient.drug.medicinalproduct:"${cleanName}"`,
-        `patient.drug.openfda.generic_name:"${cleanName}"`,
-        `patient.drug.openfda.brand_name:"${cleanName}"`,
-        `patient.drug.medicinalproduct:${cleanName}`,
-        `patient.drug.activesubstance.activesubstancename:"${cleanName}"`
-    ];
+    const searchStrategies = identitySearchNames(identity).flatMap(name => adverseEventSearchStrategies(name));
+
+    if (detailed) {
+        // Detailed mode returns individual sample reports
+        const cacheKey = `adverse_event_${cleanName.toLowerCase()}_limit${limit}_detailedtrue`;
+        const result = await getCachedOrFetch(cacheKey, async () =>
+            await performSearchStrategies(searchStrategies, ENDPOINTS.DRUG_EVENT, limit),
+            CACHE_TTL.ADVERSE_EVENTS
+        );
+
+        if (result?.error) {
+            return searchFailure(result, "FDA Adverse Event Reporting System (FAERS)", { search_term: drugName });
+        }
 
-    // Define the fetch function for cache miss
-    const fetchFunction = async () => {
-        // Use generic search strategy executor
-        return await performSearchStrategies(searchStrategies, ENDPOINTS.DRUG_EVENT, fetchLimit);
-    };
-    
-    // Get cached or fresh data
-    const result = await getCachedOrFetch(cacheKey, fetchFunction, CACHE_TTL.ADVERSE_EVENTS);
-    
-    if (result) {
-        // Return detailed raw data if requested
-        if (detailed) {
+        if (result) {
             return {
                 search_term: drugName,
+                ...identitySummary(identity),
                 search_strategy: result.search_strategy,
                 data_source: "FDA Adverse Event Reporting System (FAERS)",
                 api_endpoint: ENDPOINTS.DRUG_EVENT,
                 note: "These are adverse events reported to FDA. Not all events are caused by the drug.",
                 total_reports_available: result.data.meta?.results?.total || 0,
                 response_mode: "detailed",
+                pagination: buildPagination(
+                    { t: 'adverse_events', d: drugName.trim().toLowerCase(), q: result.search_strategy, n: limit, p: {}, o: 0 },
+                    result.data
+                ),
                 ...result.data // Spread the raw openFDA response
             };
         }
-        
-        // Return summarized data by default
-        const summary = generateAdverseEventSummary(result.data, drugName);
-        return summary;
+    } else {
+        // Summary mode aggregates every report with count queries instead of sampling
+        const topReactionCount = Math.max(limit, 5);
+        const cacheKey = `adverse_event_${cleanName.toLowerCase()}_summary_top${topReactionCount}`;
+        const result = await getCachedOrFetch(cacheKey, async () => {
+            const reactions = await performSearchStrategies(
+                searchStrategies,
+                ENDPOINTS.DRUG_EVENT,
+                topReactionCount,
+                { count: "patient.reaction.reactionmeddrapt.exact" }
+            );
+            if (!reactions || reactions.error) return reactions;
+            return {
+                search_strategy: reactions.search_strategy,
+                reactions: reactions.data.results
+            };
+        }, CACHE_TTL.ADVERSE_EVENTS);
+
+        if (result?.error) {
+            return searchFailure(result, "FDA Adverse Event Reporting System (FAERS)", { search_term: drugName });
+        }
+
+        if (result) {
+            // Cached on its own so a failed seriousness count is retried on the next call
+            // instead of showing an unknown serious percentage for the whole TTL
+            const seriousness = await getCachedOrFetch(`${cacheKey}_seriousness`, () =>
+                makeRequest(ENDPOINTS.DRUG_EVENT, buildParams(result.search_strategy, 2, { count: "serious" })),
+                CACHE_TTL.ADVERSE_EVENTS
+            );
+            const counts = { ...result, seriousness: seriousness.error ? null : seriousness.results || [] };
+            return { ...generateAdverseEventSummary(counts, drugName), ...identitySummary(identity) };
+        }
     }
 
     // No results found
@@ -807,8 +3417,8 @@ export async function searchAdverseEvents(drugName, limit = 5, detailed = false)
         search_term: drugName,
         results: [],
         meta: { results: { total: 0 } },
-        message: `No adverse events found in FDA database for "${drugName}"`,
-        note: "This could mean the drug is very safe, very new, or try a different name",
+        ...await describeEmptyResult(drugName, `No adverse events found in FDA database for "${drugName}"`),
+        note: "The drug may be new or rarely reported under this name - try the generic or brand name",
         search_strategies_tried: searchStrategies,
         data_source: "FDA Adverse Event Reporting System (FAERS)",
         timestamp: new Date().toISOString(),
@@ -816,129 +3426,327 @@ export async function searchAdverseEvents(drugName, limit = 5, detailed = false)
     };
 }
 
+// FAERS code lists for demographic breakdowns
+const FAERS_CODES = {
+    patientsex: { 0: "Unknown", 1: "Male", 2: "Female" },
+    qualification: {
+        1: "Physician",
+        2: "Pharmacist",
+        3: "Other health professional",
+        4: "Lawyer",
+        5: "Consumer or non-health professional"
+    },
+    reactionoutcome: {
+        1: "Recovered/resolved",
+        2: "Recovering/resolving",
+        3: "Not recovered/not resolved",
+        4: "Recovered/resolved with sequelae",
+        5: "Fatal",
+        6: "Unknown"
+    }
+};
+
+// Age groups in years, upper bound exclusive
+const AGE_GROUPS = [
+    { label: "0-1", max: 2 },
+    { label: "2-11", max: 12 },
+    { label: "12-17", max: 18 },
+    { label: "18-44", max: 45 },
+    { label: "45-64", max: 65 },
+    { label: "65-74", max: 75 },
+    { label: "75+", max: Infinity }
+];
+
+/**
+ * Bucket count=patient.patientonsetage results (ages in years) into age groups
+ * @param {Array<Object>} counts [{ term, count }]
+ * @returns {Array<Object>} [{ age_group, count }] in age order
+ */
+function bucketAgeCounts(counts) {
+    const totals = AGE_GROUPS.map(group => ({ age_group: group.label, count: 0 }));
+    for (const { term, count } of counts) {
+        const age = Number(term);
+        if (!Number.isFinite(age) || age < 0 || age > 130) continue;
+        totals[AGE_GROUPS.findIndex(group => age < group.max)].count += count;
+    }
+    return totals;
+}
+
+/**
+ * Sum count=receivedate results (daily YYYYMMDD buckets) into calendar years
+ * @param {Array<Object>} counts [{ time, count }]
+ * @returns {Array<Object>} [{ year, count }] oldest first
+ */
+function groupCountsByYear(counts) {
+    const years = {};
+    for (const { time, count } of counts) {
+        const year = String(time).slice(0, 4);
+        if (!/^\d{4}$/.test(year)) continue;
+        years[year] = (years[year] || 0) + count;
+    }
+    return Object.entries(years)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([year, count]) => ({ year: Number(year), count }));
+}
+
+/**
+ * Get aggregated demographic and outcome breakdowns of a drug's FAERS reports
+ * Every breakdown is a count query over all reports, not a sample
+ * @param {string} drugName 
+ * @returns {Promise<Object>} 
+ */
+export async function getAdverseEventDemographics(drugName) {
+    const validationError = validateDrugName(drugName, "adverse event demographics");
+    if (validationError) {
+        return validationError;
+    }
+
+    const identity = await resolveDrugIdentity(drugName);
+    const cleanName = identity.search_name;
+    const searchStrategies = identitySearchNames(identity).flatMap(name => adverseEventSearchStrategies(name));
+    const cacheKey = `adverse_event_demographics_${cleanName.toLowerCase()}`;
+
+    const result = await getCachedOrFetch(cacheKey, async () => {
+        // The sex breakdown doubles as the strategy probe
+        const sex = await performSearchStrategies(searchStrategies, ENDPOINTS.DRUG_EVENT, 10, { count: "patient.patientsex" });
+        if (!sex || sex.error) return sex;
+
+        const search = sex.search_strategy;
+        const countQuery = async (field, limit, searchOverride = search) => {
+            const data = await makeRequest(ENDPOINTS.DRUG_EVENT, buildParams(searchOverride, limit, { count: field }));
+            return data.error ? null : data.results || [];
+        };
+
+        return {
+            search_strategy: search,
+            total_reports: await getAdverseEventReportTotal(search, `adverse_event_total_${search.toLowerCase()}`).catch(() => null),
+            sex: sex.data.results,
+            // Onset age is only comparable when reported in years (unit code 801)
+            age_years: await countQuery("patient.patientonsetage", 1000, `(${search}) AND patient.patientonsetageunit:801`),
+            qualification: await countQuery("primarysource.qualification", 10),
+            country: await countQuery("occurcountry.exact", 15),
+            reaction_outcome: await countQuery("patient.reaction.reactionoutcome", 10),
+            received: await countQuery("receivedate", 1000)
+        };
+    }, CACHE_TTL.ADVERSE_EVENTS);
+
+    if (result?.error) {
+        return searchFailure(result, "FDA Adverse Event Reporting System (FAERS)", { search_term: drugName });
+    }
+
+    if (!result) {
+        return {
+            search_term: drugName,
+            results: [],
+            ...await describeEmptyResult(drugName, `No adverse event reports found in FDA database for "${drugName}"`),
+            search_strategies_tried: searchStrategies,
+            data_source: "FDA Adverse Event Reporting System (FAERS)",
+            timestamp: new Date().toISOString(),
+            api_endpoint: ENDPOINTS.DRUG_EVENT
+        };
+    }
+
+    const total = result.total_reports;
+    const withPercentage = (entries) => entries.map(entry => ({
+        ...entry,
+        percentage_of_reports: total ? `${Math.round((entry.count / total) * 1000) / 10}%` : null
+    }));
+    const labelled = (counts, labels) => counts === null ? null : withPercentage(
+        counts.map(({ term, count }) => ({ category: labels[term] || `Code ${term}`, count }))
+    );
+
+    return {
+        search_term: drugName,
+        ...identitySummary(identity),
+        search_strategy: result.search_strategy,
+        data_source: "FDA Adverse Event Reporting System (FAERS)",
+        api_endpoint: ENDPOINTS.DRUG_EVENT,
+        total_reports: total,
+        breakdowns: {
+            sex: labelled(result.sex, FAERS_CODES.patientsex),
+            age_groups: result.age_years === null ? null : withPercentage(bucketAgeCounts(result.age_years)),
+            reporter_qualification: labelled(result.qualification, FAERS_CODES.qualification),
+            country_of_occurrence: result.country === null ? null : withPercentage(
+                result.country.map(({ term, count }) => ({ country: term, count }))
+            ),
+            reaction_outcome: labelled(result.reaction_outcome, FAERS_CODES.reactionoutcome),
+            reports_per_year: result.received === null ? null : groupCountsByYear(result.received)
+        },
+        notes: [
+            "Each breakdown counts reports; reports missing a field are not included, so categories may not add up to the total.",
+            "Age groups only include reports with onset age recorded in years.",
+            "Reaction outcome counts a report once per distinct outcome, so one report can appear in more than one outcome.",
+            "Country of occurrence lists the 15 most common countries."
+        ],
+        disclaimer: "These are adverse events reported to FDA. Not all events are caused by the drug.",
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Seriousness criteria that can narrow serious adverse event searches
+const SERIOUSNESS_FILTERS = {
+    death: "seriousnessdeath",
+    life_threatening: "seriousnesslifethreatening",
+    hospitalization: "seriousnesshospitalization",
+    disability: "seriousnessdisabling",
+    congenital_anomaly: "seriousnesscongenitalanomali"
+};
+
 /**
  * Search for serious adverse events only
+ * Uses the same search strategies as searchAdverseEvents, restricted to serious:1
  * @param {string} drugName 
  * @param {number} limit 
  * @param {boolean} detailed 
+ * @param {string} seriousness Optional criterion: death, life_threatening, hospitalization, disability or congenital_anomaly
  * @returns {Promise<Object>} 
  */
-export async function searchSeriousAdverseEvents(drugName, limit = 5, detailed = false) {
+export async function searchSeriousAdverseEvents(drugName, limit = 5, detailed = false, seriousness = null, cursor = null) {
     // Input validation
     const validationError = validateDrugName(drugName, "serious adverse events");
     if (validationError) {
         return validationError;
     }
 
-    const cleanName = drugName.trim();
+    // Cursors page through detailed reports; the seriousness filter is part of the cursor
+    if (cursor) {
+        return await fetchCursorPage('serious_adverse_events', drugName, cursor, {
+            data_source: "FDA Adverse Event Reporting System (FAERS) - Serious Events Only",
+            response_mode: "detailed"
+        });
+    }
+
+    if (seriousness && !SERIOUSNESS_FILTERS[seriousness]) {
+        return {
+            search_term: drugName,
+            error: `Invalid seriousness filter "${seriousness}". Use one of: ${Object.keys(SERIOUSNESS_FILTERS).join(', ')}`,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    const identity = await resolveDrugIdentity(drugName);
+    const cleanName = identity.search_name;
     
     // For detailed queries, get more data; for summary, get enough to analyze
     const fetchLimit = detailed ? limit : Math.max(limit * 4, 20);
     
-    // MEDICAL SAFETY: No caching for serious adverse events - life-threatening data must be current
-    // Search for serious adverse events only (serious:1)
-    const search = `patient.drug.medicinalproduct:"${cleanName}" AND serious:1`;
-    
-    const params = buildParams(search, fetchLimit);
-    const data = await makeRequest(ENDPOINTS.DRUG_EVENT, params);
+    // Search for serious adverse events only (serious:1), optionally one seriousness criterion
+    const seriousClause = seriousness ? `serious:1 AND ${SERIOUSNESS_FILTERS[seriousness]}:1` : "serious:1";
+    const searchStrategies = identitySearchNames(identity)
+        .flatMap(name => adverseEventSearchStrategies(name))
+        .map(strategy => `(${strategy}) AND ${seriousClause}`);
     
-    if (data.error) {
-        return {
+    // MEDICAL SAFETY: No caching for serious adverse events - life-threatening data must be current
+    const requestKey = `serious_adverse_event_${cleanName.toLowerCase()}_limit${fetchLimit}_${seriousness || 'any'}`;
+    const result = await coalesceRequest(requestKey, () =>
+        performSearchStrategies(searchStrategies, ENDPOINTS.DRUG_EVENT, fetchLimit)
+    );
+
+    // An outage or rate limit must never read as "no serious events"
+    if (result?.error) {
+        return searchFailure(result, "FDA Adverse Event Reporting System (FAERS) - Serious Events Only", {
             search_term: drugName,
-            error: data.error,
-            suggestion: "Try using the generic name or check the spelling",
-            api_endpoint: ENDPOINTS.DRUG_EVENT
-        };
+            seriousness_filter: seriousness
+        });
     }
-
-    if (data.results && data.results.length > 0) {
+    
+    if (result) {
         // Return detailed raw data if requested
         if (detailed) {
             return {
                 search_term: drugName,
-                search_strategy: search,
+                ...identitySummary(identity),
+                search_strategy: result.search_strategy,
+                seriousness_filter: seriousness,
                 data_source: "FDA Adverse Event Reporting System (FAERS) - Serious Events Only",
-                    api_endpoint: ENDPOINTS.DRUG_EVENT,
-                warning: "These are serious adverse events that resulted in hospitalization, death, or disability",
-                total_serious_reports: data.meta?.results?.total || 0,
+                api_endpoint: ENDPOINTS.DRUG_EVENT,
+                warning: seriousnessWarning(seriousness),
+                total_serious_reports: result.data.meta?.results?.total || 0,
                 response_mode: "detailed",
-                ...data
+                pagination: buildPagination(
+                    { t: 'serious_adverse_events', d: drugName.trim().toLowerCase(), q: result.search_strategy, n: fetchLimit, p: {}, o: 0 },
+                    result.data
+                ),
+                ...result.data
             };
         }
         
         // Return summarized data by default
-        const summary = generateSeriousEventSummary(data, drugName);
-        return summary;
-    } else {
         return {
-            search_term: drugName,
-            results: [],
-            meta: { results: { total: 0 } },
-            message: `No serious adverse events found for "${drugName}" - this is encouraging!`,
-            note: "The absence of serious adverse events suggests good safety profile",
-            data_source: "FDA Adverse Event Reporting System (FAERS) - Serious Events Only",
-            api_endpoint: ENDPOINTS.DRUG_EVENT
+            ...generateSeriousEventSummary(result.data, drugName, result.search_strategy, seriousness),
+            ...identitySummary(identity)
         };
     }
+
+    return {
+        search_term: drugName,
+        seriousness_filter: seriousness,
+        results: [],
+        meta: { results: { total: 0 } },
+        ...await describeEmptyResult(
+            drugName,
+            seriousness
+                ? `No serious adverse events with ${seriousness.replace('_', ' ')} found for "${drugName}"`
+                : `No serious adverse events found for "${drugName}"`,
+            seriousness ? null : "this is encouraging!"
+        ),
+        note: "The absence of serious adverse event reports is not proof of safety - reporting to FAERS is voluntary",
+        search_strategies_tried: searchStrategies,
+        data_source: "FDA Adverse Event Reporting System (FAERS) - Serious Events Only",
+        api_endpoint: ENDPOINTS.DRUG_EVENT
+    };
+}
+
+/**
+ * Warning text for serious event responses, narrowed to the seriousness filter
+ */
+function seriousnessWarning(seriousness) {
+    return seriousness
+        ? `These are serious adverse event reports where the outcome included ${seriousness.replace('_', ' ')}`
+        : "These are serious adverse events that resulted in hospitalization, death, or disability";
 }
 
 /**
- * Generate summary for general adverse events from FDA FAERS data
+ * Generate summary for general adverse events from FDA FAERS count queries
  * 
- * @param {Object} data 
+ * @param {Object} counts { search_strategy, reactions, seriousness } from count=reactionmeddrapt.exact and count=serious
  * @param {string} drugName
  * @returns {Object} Summarized adverse event data with top reactions and key insights
  */
-function generateAdverseEventSummary(data, drugName) {
-    const totalReports = data.meta?.results?.total || 0;
-    const sampleSize = data.results.length;
-    
-    // Count reaction frequencies
-    const reactionCounts = {};
-    let seriousCount = 0;
-    
-    data.results.forEach(event => {
-        // Count serious events
-        if (event.serious === '1') {
-            seriousCount++;
-        }
-        
-        // Count reactions
-        if (event.patient?.reaction) {
-            event.patient.reaction.forEach(reaction => {
-                const term = reaction.reactionmeddrapt;
-                if (term) {
-                    reactionCounts[term] = (reactionCounts[term] || 0) + 1;
-                }
-            });
-        }
-    });
+function generateAdverseEventSummary(counts, drugName) {
+    // serious is 1 (serious) or 2 (not serious) on every report, so the two counts cover all reports
+    const seriousCount = counts.seriousness?.find(entry => entry.term === 1 || entry.term === '1')?.count || 0;
+    const totalReports = counts.seriousness?.reduce((sum, entry) => sum + entry.count, 0) || null;
+    const percentOfReports = (count) => totalReports ? `${Math.round((count / totalReports) * 1000) / 10}%` : null;
     
-    // Get top reactions
-    const topReactions = Object.entries(reactionCounts)
-        .sort(([,a], [,b]) => b - a)
-        .slice(0, 5)
-        .map(([reaction, count]) => ({ reaction, count }));
+    const topReactions = counts.reactions.map(({ term, count }) => ({
+        reaction: term,
+        count,
+        percentage_of_reports: percentOfReports(count)
+    }));
     
-    const seriousPercentage = Math.round((seriousCount / sampleSize) * 100);
+    const seriousPercentage = totalReports ? Math.round((seriousCount / totalReports) * 100) : null;
     
     return {
         search_term: drugName,
+        search_strategy: counts.search_strategy,
         data_source: "FDA Adverse Event Reporting System (FAERS)",
         timestamp: new Date().toISOString(),
         api_endpoint: ENDPOINTS.DRUG_EVENT,
         response_mode: "summary",
         summary: {
             total_reports_in_database: totalReports,
-            sample_analyzed: sampleSize,
             serious_events: {
                 count: seriousCount,
-                percentage: `${seriousPercentage}%`
+                percentage: seriousPercentage === null ? "Unknown" : `${seriousPercentage}%`
+            },
+            non_serious_events: {
+                count: totalReports ? totalReports - seriousCount : null
             },
             top_reported_reactions: topReactions,
             key_insights: generateKeyInsights(topReactions, seriousPercentage)
         },
-        note: "This is a summary based on sample data. Use detailed=true for complete FDA reports.",
+        note: "Counts cover every FAERS report for this drug. Use detailed=true for individual sample reports.",
         disclaimer: "These are adverse events reported to FDA. Not all events are caused by the drug."
     };
 }
@@ -948,9 +3756,11 @@ function generateAdverseEventSummary(data, drugName) {
  * 
  * @param {Object} data
  * @param {string} drugName
+ * @param {string} searchStrategy Query that produced the data
+ * @param {string|null} seriousness Seriousness filter applied to the query
  * @returns {Object} Summarized serious adverse event data with event types and safety alerts
  */
-function generateSeriousEventSummary(data, drugName) {
+function generateSeriousEventSummary(data, drugName, searchStrategy, seriousness = null) {
     const totalReports = data.meta?.results?.total || 0;
     const sampleSize = data.results.length;
     
@@ -960,6 +3770,7 @@ function generateSeriousEventSummary(data, drugName) {
         hospitalization: 0,
         lifeThreatening: 0,
         disability: 0,
+        congenitalAnomaly: 0,
         other: 0
     };
     
@@ -971,6 +3782,7 @@ function generateSeriousEventSummary(data, drugName) {
         if (event.seriousnesshospitalization === '1') seriousTypes.hospitalization++;
         if (event.seriousnesslifethreatening === '1') seriousTypes.lifeThreatening++;
         if (event.seriousnessdisabling === '1') seriousTypes.disability++;
+        if (event.seriousnesscongenitalanomali === '1') seriousTypes.congenitalAnomaly++;
         if (event.seriousnessother === '1') seriousTypes.other++;
         
         // Count reactions in serious events
@@ -991,11 +3803,13 @@ function generateSeriousEventSummary(data, drugName) {
     
     return {
         search_term: drugName,
+        search_strategy: searchStrategy,
+        seriousness_filter: seriousness,
         data_source: "FDA Adverse Event Reporting System (FAERS) - Serious Events Only",
         timestamp: new Date().toISOString(),
         api_endpoint: ENDPOINTS.DRUG_EVENT,
         response_mode: "summary",
-        warning: "These are serious adverse events that resulted in hospitalization, death, or disability",
+        warning: seriousnessWarning(seriousness),
         summary: {
             total_serious_reports_in_database: totalReports,
             sample_analyzed: sampleSize,
@@ -1004,6 +3818,7 @@ function generateSeriousEventSummary(data, drugName) {
                 hospitalization: seriousTypes.hospitalization,
                 life_threatening: seriousTypes.lifeThreatening,
                 disability: seriousTypes.disability,
+                congenital_anomaly: seriousTypes.congenitalAnomaly,
                 other_serious: seriousTypes.other
             },
             top_reactions_in_serious_events: topSeriousReactions,
@@ -1024,7 +3839,9 @@ function generateSeriousEventSummary(data, drugName) {
 function generateKeyInsights(topReactions, seriousPercentage) {
     const insights = [];
     
-    if (seriousPercentage > 50) {
+    if (seriousPercentage === null) {
+        insights.push("Seriousness breakdown unavailable");
+    } else if (seriousPercentage > 50) {
         insights.push("High proportion of serious events - use with caution");
     } else if (seriousPercentage > 25) {
         insights.push("Moderate proportion of serious events - monitor closely");
@@ -1071,7 +3888,9 @@ export async function healthCheck() {
         { endpoint: ENDPOINTS.DRUG_LABEL, params: buildParams('openfda.generic_name:"aspirin"', 1) },
         { endpoint: ENDPOINTS.DRUG_SHORTAGES, params: buildParams('"test"', 1) },
         { endpoint: ENDPOINTS.DRUG_ENFORCEMENT, params: buildParams('product_description:"test"', 1) },
-        { endpoint: ENDPOINTS.DRUG_EVENT, params: buildParams('patient.drug.medicinalproduct:"aspirin"', 1) }
+        { endpoint: ENDPOINTS.DRUG_EVENT, params: buildParams('patient.drug.medicinalproduct:"aspirin"', 1) },
+        { endpoint: ENDPOINTS.DRUG_NDC, params: buildParams('generic_name:"aspirin"', 1) },
+        { endpoint: ENDPOINTS.DRUGS_FDA, params: buildParams('openfda.generic_name:"aspirin"', 1) }
     ];
 
     const results = {};
@@ -1100,10 +3919,17 @@ export async function healthCheck() {
     return {
         timestamp: new Date().toISOString(),
         api_key_configured: !!OPENFDA_API_KEY,
+        rate_limit: {
+            requests_per_minute: RATE_LIMIT.REQUESTS_PER_MINUTE > 0 ? RATE_LIMIT.REQUESTS_PER_MINUTE : null,
+            throttled_requests: rateLimiter.waits
+        },
         endpoints: results
     };
 }
 
+// Drop entries that expired while the server was down (persistent stores)
+cleanExpiredCache();
+
 // Clean cache every hour
 const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour in milliseconds
 setInterval(() => {
@@ -1115,9 +3941,31 @@ setInterval(() => {
 export { 
     getCacheStats, 
     cleanExpiredCache,
+    LABEL_SECTIONS,
+    IDENTIFIER_TYPES,
     // Export utility functions for unit testing
     validateDrugName,
     normalizeIdentifierType,
+    buildLabelIdentifierSearch,
+    normalizeNDC,
+    formatFDADate,
+    getCacheTTLForKey,
+    coalesceRequest,
+    getCachedOrFetch,
+    buildRecallFilterQuery,
+    buildShortageTimeline,
+    assessAlternativeAvailability,
+    calculateDisproportionality,
+    bucketAgeCounts,
+    groupCountsByYear,
+    suggestDrugNames,
+    buildDrugIdentity,
+    diffLabelVersions,
+    alignLabelSections,
+    buildPagination,
+    decodeCursor,
+    runWithConcurrency,
+    paginateLabelSection,
     buildParams,
     isCacheValid
 };
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * JSON file persistence helpers
+ *
+ * Small synchronous helpers used by components that need state to survive
+ * restarts and redeploys (persistent cache). Writes go to a temporary file
+ * first and are renamed into place so a crash never leaves a half-written file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Directory for persisted server data
+ * Override with CERTUS_DATA_DIR (mount a volume here in Docker)
+ */
+export const DATA_DIR = process.env.CERTUS_DATA_DIR || path.join(process.cwd(), 'data');
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath
+ * @param {*} fallback Value returned when the file is missing or unreadable
+ * @returns {*}
+ */
+export function readJsonFile(filePath, fallback = null) {
+    try {
+        if (!fs.existsSync(filePath)) {
+            return fallback;
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`[PERSISTENCE] ERROR: Failed to read ${filePath}: ${error.message}`);
+        return fallback;
+    }
+}
+
+/**
+ * Write data as JSON using write-then-rename
+ * @param {string} filePath
+ * @param {*} data
+ * @returns {boolean} True if the file was written
+ */
+export function writeJsonFile(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(data));
+        fs.renameSync(tempPath, filePath);
+        return true;
+    } catch (error) {
+        console.error(`[PERSISTENCE] ERROR: Failed to write ${filePath}: ${error.message}`);
+        try {
+            fs.rmSync(tempPath, { force: true });
+        } catch {
+            // Nothing left to clean up
+        }
+        return false;
+    }
+}
@@ -0,0 +1,476 @@
+/**
+ * Recall watchlists
+ *
+ * A watchlist names drugs and/or recalling firms to monitor. Each check runs the
+ * same enforcement searches as search_drug_recalls, compares the recall_numbers
+ * against those already seen, and reports new recalls and status changes
+ * (e.g. Ongoing -> Terminated). Changes are POSTed to the watchlist's webhook.
+ *
+ * The first successful search of each term only records a baseline, so
+ * registering a watchlist (or a term that was down during earlier checks)
+ * does not flood the webhook with every historical recall. Checks of the
+ * same watchlist run one at a time so a change is never reported twice.
+ * Changes whose webhook delivery fails are kept and sent again with the next
+ * check's changes, until a delivery succeeds. State is persisted to DATA_DIR
+ * so seen recalls and undelivered changes survive restarts.
+ *
+ * Webhooks may not target private, loopback or link-local addresses, checked
+ * when the watchlist is created and again (after DNS resolution) before every
+ * delivery. RECALL_WEBHOOK_ALLOWED_HOSTS restricts webhooks to listed hosts;
+ * listed hosts may resolve to private addresses, for on-premises receivers.
+ */
+
+import path from 'path';
+import dns from 'dns';
+import { BlockList, isIP } from 'net';
+import { randomUUID } from 'crypto';
+import { DATA_DIR, readJsonFile, writeJsonFile } from './persistence.js';
+import { searchDrugRecalls, searchRecallsByFirm } from './openfda-client.js';
+
+const WATCHLIST_FILE = process.env.RECALL_WATCHLIST_FILE || path.join(DATA_DIR, 'recall-watchlists.json');
+
+const WATCHLIST_CONFIG = {
+    MAX_TERMS: 25,              // Drugs plus firms per watchlist
+    MAX_WATCHLISTS: Number(process.env.RECALL_WATCHLIST_MAX ?? 100),
+    RECALLS_PER_TERM: 100,      // Most recent enforcement reports checked per term
+    WEBHOOK_TIMEOUT_MS: 10000,
+    MAX_PENDING_CHANGES: 500,   // Undelivered changes kept per watchlist; the oldest are dropped first
+    // Comma-separated webhook hosts; empty allows any host with a public address
+    WEBHOOK_ALLOWED_HOSTS: (process.env.RECALL_WEBHOOK_ALLOWED_HOSTS || '')
+        .split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+};
+
+// Addresses a webhook must not reach unless its host is explicitly allowed
+const BLOCKED_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Checks in progress keyed by watchlist id; later checks wait for the earlier one
+const checksInProgress = new Map();
+
+// Watchlists keyed by id, loaded once at startup
+const watchlists = new Map(
+    Object.entries(readJsonFile(WATCHLIST_FILE, {}).watchlists || {})
+);
+
+let pollTimer = null;
+
+function saveWatchlists() {
+    writeJsonFile(WATCHLIST_FILE, {
+        saved_at: new Date().toISOString(),
+        watchlists: Object.fromEntries(watchlists)
+    });
+}
+
+/**
+ * Normalize a list of drug or firm names: trimmed, de-duplicated, no blanks
+ */
+function normalizeTerms(terms) {
+    const values = [].concat(terms || [])
+        .filter(term => typeof term === 'string')
+        .map(term => term.trim())
+        .filter(Boolean);
+    return values.filter((term, index) =>
+        values.findIndex(other => other.toLowerCase() === term.toLowerCase()) === index
+    );
+}
+
+/**
+ * Whether an IP address is private, loopback, link-local or otherwise internal
+ * IPv4-mapped IPv6 addresses are checked as IPv4
+ */
+function isBlockedAddress(address) {
+    const family = isIP(address);
+    return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function isAllowedWebhookHost(hostname) {
+    return WATCHLIST_CONFIG.WEBHOOK_ALLOWED_HOSTS.includes(hostname.toLowerCase());
+}
+
+/**
+ * Check a webhook URL before it is stored
+ * Hostnames are resolved at delivery time; literal addresses are checked here
+ * @returns {string|null} Error message, or null when the URL is acceptable
+ */
+function validateWebhookUrl(webhookUrl) {
+    let url;
+    try {
+        url = new URL(webhookUrl);
+    } catch {
+        url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        return "webhook_url must be an http or https URL";
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (WATCHLIST_CONFIG.WEBHOOK_ALLOWED_HOSTS.length > 0) {
+        return isAllowedWebhookHost(hostname)
+            ? null
+            : `webhook_url host must be one of: ${WATCHLIST_CONFIG.WEBHOOK_ALLOWED_HOSTS.join(', ')}`;
+    }
+    if ((isIP(hostname) && isBlockedAddress(hostname)) || hostname === 'localhost' || hostname.endsWith('.localhost')) {
+        return "webhook_url must not point to a private, loopback or link-local address";
+    }
+    return null;
+}
+
+/**
+ * Resolve the webhook host and refuse delivery to internal addresses
+ * Allowed hosts are trusted as configured
+ * @returns {Promise<string|null>} Error message, or null when delivery may proceed
+ */
+async function checkWebhookTarget(webhookUrl) {
+    const invalid = validateWebhookUrl(webhookUrl);
+    if (invalid) return invalid;
+
+    const hostname = new URL(webhookUrl).hostname.replace(/^\[|\]$/g, '');
+    if (isAllowedWebhookHost(hostname)) return null;
+
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+        return `webhook host ${hostname} resolves to a private, loopback or link-local address`;
+    }
+    return null;
+}
+
+/**
+ * Webhook URL with the path and query hidden; they often carry a secret token
+ */
+function redactWebhookUrl(webhookUrl) {
+    if (!webhookUrl) return null;
+    try {
+        const url = new URL(webhookUrl);
+        return url.pathname === '/' && !url.search ? url.origin : `${url.origin}/***`;
+    } catch {
+        return '***';
+    }
+}
+
+/**
+ * Public view of a watchlist (seen recall state summarized, webhook redacted)
+ */
+function describeWatchlist(watchlist) {
+    const { seen, baseline_terms, pending_changes, ...details } = watchlist;
+    return {
+        ...details,
+        webhook_url: redactWebhookUrl(watchlist.webhook_url),
+        recalls_tracked: Object.keys(seen).length,
+        ...(pending_changes && {
+            undelivered_changes: pending_changes.new_recalls.length + pending_changes.status_changes.length
+        })
+    };
+}
+
+function termKey(type, term) {
+    return `${type}:${term.toLowerCase()}`;
+}
+
+/**
+ * Terms whose baseline has been recorded
+ * Watchlists saved before per-term baselines count every term once baseline_complete is set
+ */
+function baselinedTerms(watchlist) {
+    if (watchlist.baseline_terms) return new Set(watchlist.baseline_terms);
+    return new Set(watchlist.baseline_complete
+        ? [...watchlist.drugs.map(drug => termKey('drug', drug)), ...watchlist.firms.map(firm => termKey('firm', firm))]
+        : []);
+}
+
+/**
+ * Compare current recalls against previously seen recall statuses
+ * @param {Object} seen Map of recall_number -> status from earlier checks
+ * @param {Array<Object>} recalls Current openFDA enforcement records
+ * @returns {Object} { new_recalls, status_changes, seen } where seen is the updated map
+ */
+function detectRecallChanges(seen, recalls) {
+    const updatedSeen = { ...seen };
+    const newRecalls = [];
+    const statusChanges = [];
+
+    for (const recall of recalls) {
+        const recallNumber = recall.recall_number;
+        if (!recallNumber) continue;
+
+        const status = recall.status || 'Unknown';
+        const previousStatus = updatedSeen[recallNumber];
+
+        if (previousStatus === undefined) {
+            newRecalls.push(recall);
+        } else if (previousStatus !== status) {
+            statusChanges.push({
+                recall_number: recallNumber,
+                previous_status: previousStatus,
+                current_status: status,
+                recall: recall
+            });
+        }
+        updatedSeen[recallNumber] = status;
+    }
+
+    return {
+        new_recalls: newRecalls,
+        status_changes: statusChanges,
+        seen: updatedSeen
+    };
+}
+
+/**
+ * Register a new watchlist
+ * @param {Object} options { name, drugs, firms, webhook_url }
+ * @returns {Object} The created watchlist or an error object
+ */
+function createWatchlist({ name, drugs, firms, webhook_url } = {}) {
+    const drugTerms = normalizeTerms(drugs);
+    const firmTerms = normalizeTerms(firms);
+
+    if (drugTerms.length === 0 && firmTerms.length === 0) {
+        return { error: "Provide at least one drug or firm to watch" };
+    }
+    if (drugTerms.length + firmTerms.length > WATCHLIST_CONFIG.MAX_TERMS) {
+        return { error: `A watchlist can contain at most ${WATCHLIST_CONFIG.MAX_TERMS} drugs and firms combined` };
+    }
+    if (webhook_url) {
+        const invalid = typeof webhook_url === 'string' ? validateWebhookUrl(webhook_url) : "webhook_url must be an http or https URL";
+        if (invalid) {
+            return { error: invalid };
+        }
+    }
+    if (watchlists.size >= WATCHLIST_CONFIG.MAX_WATCHLISTS) {
+        return { error: `At most ${WATCHLIST_CONFIG.MAX_WATCHLISTS} watchlists can be registered; delete one first` };
+    }
+
+    const watchlist = {
+        id: randomUUID(),
+        name: typeof name === 'string' && name.trim() ? name.trim() : `Watchlist for ${[...drugTerms, ...firmTerms].slice(0, 3).join(', ')}`,
+        drugs: drugTerms,
+        firms: firmTerms,
+        webhook_url: webhook_url || null,
+        created_at: new Date().toISOString(),
+        last_checked: null,
+        last_notification: null,
+        baseline_complete: false,
+        baseline_terms: [],
+        seen: {}
+    };
+
+    watchlists.set(watchlist.id, watchlist);
+    saveWatchlists();
+    return { watchlist: describeWatchlist(watchlist) };
+}
+
+function listWatchlists() {
+    return Array.from(watchlists.values()).map(describeWatchlist);
+}
+
+function getWatchlist(id) {
+    const watchlist = watchlists.get(id);
+    return watchlist ? describeWatchlist(watchlist) : null;
+}
+
+function deleteWatchlist(id) {
+    const deleted = watchlists.delete(id);
+    if (deleted) saveWatchlists();
+    return deleted;
+}
+
+/**
+ * POST a change notification to the watchlist webhook
+ * @returns {Promise<Object>} Delivery result
+ */
+async function sendWebhook(watchlist, payload) {
+    try {
+        const refused = await checkWebhookTarget(watchlist.webhook_url);
+        if (refused) {
+            console.error(`[WATCHLIST] ERROR: Webhook for ${watchlist.id} refused: ${refused}`);
+            return { delivered: false, error: refused };
+        }
+
+        // Redirects are not followed so they cannot lead to an internal address
+        const response = await fetch(watchlist.webhook_url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Certus-OpenFDA-Client/2.0.0'
+            },
+            body: JSON.stringify(payload),
+            redirect: 'manual',
+            signal: AbortSignal.timeout(WATCHLIST_CONFIG.WEBHOOK_TIMEOUT_MS)
+        });
+        return { delivered: response.ok, status: response.status };
+    } catch (error) {
+        console.error(`[WATCHLIST] ERROR: Webhook for ${watchlist.id} failed: ${error.message}`);
+        return { delivered: false, error: error.message };
+    }
+}
+
+/**
+ * Check one watchlist for new recalls and status changes
+ * Terms are searched sequentially to stay well inside openFDA rate limits.
+ * A term whose search fails is reported and skipped; its seen state is kept
+ * and, if it has no baseline yet, its baseline is recorded on a later check.
+ * A check requested while another check of the same watchlist is running
+ * waits for it, then compares against the state it saved.
+ * @param {string} id Watchlist id
+ * @param {Object} options { notify } - set notify false to skip the webhook
+ * @returns {Promise<Object|null>} Check results, or null if the watchlist does not exist
+ */
+function checkWatchlist(id, options = {}) {
+    const previous = checksInProgress.get(id) || Promise.resolve();
+    const check = previous.catch(() => {}).then(() => runWatchlistCheck(id, options));
+    checksInProgress.set(id, check);
+
+    const release = () => {
+        if (checksInProgress.get(id) === check) checksInProgress.delete(id);
+    };
+    check.then(release, release);
+    return check;
+}
+
+async function runWatchlistCheck(id, { notify = true } = {}) {
+    const watchlist = watchlists.get(id);
+    if (!watchlist) return null;
+
+    const baselined = baselinedTerms(watchlist);
+    const recalls = new Map();
+    const baselineRecalls = new Map();
+    const newBaselineTerms = [];
+    const failedTerms = [];
+    const searches = [
+        // Recall searches return the newest reports first, so new recalls are within RECALLS_PER_TERM
+        ...watchlist.drugs.map(drug => ({ type: 'drug', term: drug, search: () => searchDrugRecalls(drug, WATCHLIST_CONFIG.RECALLS_PER_TERM) })),
+        ...watchlist.firms.map(firm => ({ type: 'firm', term: firm, search: () => searchRecallsByFirm(firm, WATCHLIST_CONFIG.RECALLS_PER_TERM) }))
+    ];
+
+    for (const { type, term, search } of searches) {
+        const data = await search();
+        if (data.error) {
+            failedTerms.push({ type, term, error: data.error });
+            continue;
+        }
+
+        const key = termKey(type, term);
+        const isNewTerm = !baselined.has(key);
+        if (isNewTerm) newBaselineTerms.push(key);
+        for (const recall of data.results || []) {
+            if (recall.recall_number) {
+                (isNewTerm ? baselineRecalls : recalls).set(recall.recall_number, recall);
+            }
+        }
+    }
+
+    // Recalls found only by terms without a baseline are recorded, not reported
+    const changes = detectRecallChanges(watchlist.seen, Array.from(recalls.values()));
+    const baselineOnly = Array.from(baselineRecalls.values()).filter(recall => !recalls.has(recall.recall_number));
+    const seen = detectRecallChanges(changes.seen, baselineOnly).seen;
+    const checkedAt = new Date().toISOString();
+
+    newBaselineTerms.forEach(key => baselined.add(key));
+    watchlist.seen = seen;
+    watchlist.baseline_terms = [...baselined];
+    watchlist.baseline_complete = searches.every(({ type, term }) => baselined.has(termKey(type, term)));
+    watchlist.last_checked = checkedAt;
+
+    const isBaseline = newBaselineTerms.length > 0;
+    const recallsChecked = recalls.size + baselineOnly.length;
+    const result = {
+        watchlist_id: watchlist.id,
+        watchlist_name: watchlist.name,
+        checked_at: checkedAt,
+        baseline: isBaseline,
+        baseline_complete: watchlist.baseline_complete,
+        recalls_checked: recallsChecked,
+        new_recalls: changes.new_recalls,
+        status_changes: changes.status_changes,
+        ...(failedTerms.length > 0 && { failed_terms: failedTerms }),
+        ...(isBaseline && {
+            message: `Baseline recorded for ${newBaselineTerms.length} term(s) with ${baselineOnly.length} existing recalls. Future checks report only new recalls and status changes.`
+        }),
+        ...(!watchlist.baseline_complete && {
+            note: "Terms that failed have no baseline yet; it is recorded on the first check where their search succeeds"
+        })
+    };
+
+    // Changes from checks whose delivery failed are sent along with this check's
+    const pending = watchlist.pending_changes;
+    const undelivered = {
+        new_recalls: [...(pending?.new_recalls || []), ...result.new_recalls].slice(-WATCHLIST_CONFIG.MAX_PENDING_CHANGES),
+        status_changes: [...(pending?.status_changes || []), ...result.status_changes].slice(-WATCHLIST_CONFIG.MAX_PENDING_CHANGES)
+    };
+    const hasChanges = undelivered.new_recalls.length > 0 || undelivered.status_changes.length > 0;
+    if (notify && hasChanges && watchlist.webhook_url) {
+        result.webhook = await sendWebhook(watchlist, {
+            event: 'recall_watchlist.changes',
+            ...result,
+            ...undelivered,
+            ...(pending && { includes_undelivered_since: pending.since })
+        });
+        if (result.webhook.delivered) {
+            delete watchlist.pending_changes;
+            watchlist.last_notification = checkedAt;
+        } else {
+            watchlist.pending_changes = { since: pending?.since || checkedAt, ...undelivered };
+            result.webhook.retry = 'Undelivered changes are sent again with the next check';
+        }
+    }
+
+    saveWatchlists();
+    return result;
+}
+
+/**
+ * Check every registered watchlist
+ * @returns {Promise<Array<Object>>}
+ */
+async function checkAllWatchlists() {
+    const results = [];
+    for (const id of watchlists.keys()) {
+        try {
+            results.push(await checkWatchlist(id));
+        } catch (error) {
+            console.error(`[WATCHLIST] ERROR: Check for ${id} failed: ${error.message}`);
+            results.push({ watchlist_id: id, error: error.message });
+        }
+    }
+    return results;
+}
+
+/**
+ * Start polling all watchlists on a schedule
+ * RECALL_WATCHLIST_POLL_MINUTES sets the interval (default 60, 0 disables polling)
+ * @returns {number} Interval in minutes, 0 when polling is disabled
+ */
+function startWatchlistPolling() {
+    const minutes = Number(process.env.RECALL_WATCHLIST_POLL_MINUTES ?? 60);
+    if (pollTimer || !Number.isFinite(minutes) || minutes <= 0) {
+        return pollTimer ? minutes : 0;
+    }
+
+    pollTimer = setInterval(async () => {
+        if (watchlists.size === 0) return;
+        const results = await checkAllWatchlists();
+        const changed = results.filter(r => r.new_recalls?.length || r.status_changes?.length).length;
+        console.log(`[WATCHLIST] Checked ${results.length} watchlists, ${changed} with changes`);
+    }, minutes * 60 * 1000);
+    pollTimer.unref();
+    return minutes;
+}
+
+export {
+    createWatchlist,
+    listWatchlists,
+    getWatchlist,
+    deleteWatchlist,
+    checkWatchlist,
+    checkAllWatchlists,
+    startWatchlistPolling,
+    detectRecallChanges
+};
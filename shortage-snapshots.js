@@ -0,0 +1,310 @@
+/**
+ * Shortage snapshots and change feed
+ *
+ * searchDrugShortages only shows the current state of the FDA shortage list.
+ * This module periodically downloads every shortage record, compares it with
+ * the previous snapshot, and keeps a log of what changed:
+ *   new_shortage         - a presentation is newly listed as Current
+ *   resolved             - a Current shortage is now Resolved or no longer listed
+ *   availability_change  - availability text changed (e.g. Limited -> Unavailable)
+ *   reason_change        - shortage_reason was updated
+ *
+ * Only the latest snapshot is kept on disk; history lives in the change log,
+ * which is trimmed to the retention window.
+ */
+
+import path from 'path';
+import { DATA_DIR, readJsonFile, writeJsonFile } from './persistence.js';
+import { fetchAllShortageRecords } from './openfda-client.js';
+
+const SNAPSHOT_FILE = process.env.SHORTAGE_SNAPSHOT_FILE || path.join(DATA_DIR, 'shortage-snapshots.json');
+
+const SNAPSHOT_CONFIG = {
+    INTERVAL_MINUTES: Number(process.env.SHORTAGE_SNAPSHOT_MINUTES ?? 360),     // 6 hours, 0 disables polling
+    RETENTION_DAYS: Number(process.env.SHORTAGE_CHANGE_RETENTION_DAYS ?? 90),
+    MAX_CHANGES_RETURNED: 500
+};
+
+// Fields kept per record; everything else in the openFDA record is dropped
+const SNAPSHOT_FIELDS = [
+    "generic_name",
+    "proprietary_name",
+    "company_name",
+    "presentation",
+    "package_ndc",
+    "dosage_form",
+    "status",
+    "availability",
+    "shortage_reason",
+    "update_date"
+];
+
+const state = readJsonFile(SNAPSHOT_FILE, null) || {
+    latest: null,       // { taken_at, record_count, records: { key: record } }
+    history: [],        // [{ taken_at, record_count, changes }]
+    changes: []         // [{ detected_at, type, ... }]
+};
+
+let snapshotTimer = null;
+let pendingSnapshot = null;
+
+/**
+ * Stable identity for a shortage record
+ * package_ndc identifies a presentation; name + presentation is the fallback
+ */
+function shortageRecordKey(record) {
+    if (record.package_ndc) return `ndc:${record.package_ndc}`;
+    return [record.generic_name, record.company_name, record.presentation]
+        .map(value => (value || '').toString().trim().toLowerCase())
+        .join('|');
+}
+
+/**
+ * Reduce openFDA shortage records to the fields tracked between snapshots
+ * @param {Array<Object>} records
+ * @returns {Object} Map of record key -> compact record
+ */
+function compactShortageRecords(records) {
+    const compact = {};
+    for (const record of records) {
+        const entry = {};
+        for (const field of SNAPSHOT_FIELDS) {
+            if (record[field] !== undefined && record[field] !== null) {
+                entry[field] = record[field];
+            }
+        }
+        compact[shortageRecordKey(record)] = entry;
+    }
+    return compact;
+}
+
+/**
+ * Compute the changes between two compacted snapshots
+ * @param {Object} previousRecords Map of key -> record from the earlier snapshot
+ * @param {Object} currentRecords Map of key -> record from the new snapshot
+ * @returns {Array<Object>} Change entries
+ */
+function diffShortageSnapshots(previousRecords, currentRecords) {
+    const changes = [];
+    const describe = (key, record) => ({
+        key,
+        generic_name: record.generic_name || null,
+        proprietary_name: record.proprietary_name || null,
+        company_name: record.company_name || null,
+        presentation: record.presentation || null,
+        package_ndc: record.package_ndc || null
+    });
+
+    for (const [key, current] of Object.entries(currentRecords)) {
+        const previous = previousRecords[key];
+        const isCurrent = current.status === "Current";
+
+        if (!previous || previous.status !== current.status) {
+            if (isCurrent) {
+                changes.push({
+                    type: "new_shortage",
+                    ...describe(key, current),
+                    previous_status: previous?.status || null,
+                    availability: current.availability || null,
+                    shortage_reason: current.shortage_reason || null
+                });
+            } else if (previous?.status === "Current") {
+                changes.push({
+                    type: "resolved",
+                    ...describe(key, current),
+                    current_status: current.status || null
+                });
+            }
+            continue;
+        }
+
+        if ((previous.availability || null) !== (current.availability || null)) {
+            changes.push({
+                type: "availability_change",
+                ...describe(key, current),
+                previous: previous.availability || null,
+                current: current.availability || null
+            });
+        }
+        if ((previous.shortage_reason || null) !== (current.shortage_reason || null)) {
+            changes.push({
+                type: "reason_change",
+                ...describe(key, current),
+                previous: previous.shortage_reason || null,
+                current: current.shortage_reason || null
+            });
+        }
+    }
+
+    for (const [key, previous] of Object.entries(previousRecords)) {
+        if (!currentRecords[key] && previous.status === "Current") {
+            changes.push({
+                type: "resolved",
+                ...describe(key, previous),
+                current_status: "No longer listed"
+            });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Drop change log entries and history older than the retention window
+ */
+function pruneChangeLog(now = Date.now()) {
+    const cutoff = new Date(now - SNAPSHOT_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    state.changes = state.changes.filter(change => change.detected_at >= cutoff);
+    state.history = state.history.filter(entry => entry.taken_at >= cutoff);
+}
+
+/**
+ * Download all shortage records, diff against the latest snapshot and persist
+ * Concurrent calls share one download.
+ * @returns {Promise<Object>} Snapshot summary or an error object
+ */
+function takeShortageSnapshot() {
+    if (!pendingSnapshot) {
+        pendingSnapshot = runSnapshot().finally(() => {
+            pendingSnapshot = null;
+        });
+    }
+    return pendingSnapshot;
+}
+
+async function runSnapshot() {
+    const download = await fetchAllShortageRecords();
+    if (download.error) {
+        console.error(`[SNAPSHOT] ERROR: ${download.error}`);
+        return download;
+    }
+
+    const takenAt = new Date().toISOString();
+    const records = compactShortageRecords(download.records);
+    const isBaseline = !state.latest;
+    const changes = isBaseline ? [] : diffShortageSnapshots(state.latest.records, records);
+
+    state.changes.push(...changes.map(change => ({ detected_at: takenAt, ...change })));
+    state.history.push({ taken_at: takenAt, record_count: download.records.length, changes: changes.length });
+    state.latest = { taken_at: takenAt, record_count: download.records.length, records };
+    pruneChangeLog();
+    writeJsonFile(SNAPSHOT_FILE, state);
+
+    console.log(`[SNAPSHOT] Shortage snapshot: ${download.records.length} records, ${changes.length} changes`);
+    return {
+        taken_at: takenAt,
+        baseline: isBaseline,
+        record_count: download.records.length,
+        changes_detected: changes.length
+    };
+}
+
+/**
+ * Get shortage changes detected since a point in time
+ * Takes a fresh snapshot first when the latest one is older than the polling interval.
+ * @param {string} since ISO timestamp or date (default: 24 hours ago)
+ * @param {string} drugName Optional filter on generic or proprietary name
+ * @returns {Promise<Object>}
+ */
+async function getShortageChanges(since, drugName) {
+    const sinceDate = since ? new Date(since) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    if (Number.isNaN(sinceDate.getTime())) {
+        return {
+            error: `Invalid since value "${since}". Use an ISO date or timestamp such as 2024-06-01 or 2024-06-01T12:00:00Z`,
+            timestamp: new Date().toISOString()
+        };
+    }
+    if (drugName !== undefined && drugName !== null && typeof drugName !== 'string') {
+        return {
+            error: "drug_name must be a medication name string, such as amoxicillin",
+            provided_drug_name: drugName,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    const staleAfterMs = Math.max(SNAPSHOT_CONFIG.INTERVAL_MINUTES, 60) * 60 * 1000;
+    let refresh = null;
+    if (!state.latest || Date.now() - new Date(state.latest.taken_at).getTime() > staleAfterMs) {
+        refresh = await takeShortageSnapshot();
+    }
+
+    if (!state.latest) {
+        return {
+            error: "No shortage snapshot is available yet",
+            details: refresh?.error,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    const sinceIso = sinceDate.toISOString();
+    const filter = drugName?.trim().toLowerCase();
+    const matches = state.changes.filter(change =>
+        change.detected_at >= sinceIso &&
+        (!filter ||
+            change.generic_name?.toLowerCase().includes(filter) ||
+            change.proprietary_name?.toLowerCase().includes(filter))
+    );
+
+    const summary = { new_shortage: 0, resolved: 0, availability_change: 0, reason_change: 0 };
+    matches.forEach(change => summary[change.type]++);
+
+    const coverageStart = state.history[0]?.taken_at || state.latest.taken_at;
+    return {
+        since: sinceIso,
+        drug_filter: drugName || null,
+        summary,
+        total_changes: matches.length,
+        changes: matches.slice(-SNAPSHOT_CONFIG.MAX_CHANGES_RETURNED).reverse(),
+        ...(matches.length > SNAPSHOT_CONFIG.MAX_CHANGES_RETURNED && {
+            note: `Showing the ${SNAPSHOT_CONFIG.MAX_CHANGES_RETURNED} most recent changes; narrow with drug_name or a later since`
+        }),
+        snapshot: {
+            latest_snapshot: state.latest.taken_at,
+            records_in_snapshot: state.latest.record_count,
+            snapshots_retained: state.history.length,
+            coverage_start: coverageStart,
+            ...(sinceIso < coverageStart && {
+                coverage_note: `Changes before ${coverageStart} were not recorded - snapshots started then`
+            }),
+            ...(refresh?.baseline && {
+                coverage_note: "First snapshot taken now; changes are reported from the next snapshot onward"
+            })
+        },
+        data_source: "FDA Drug Shortages Database (stored snapshots)",
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Start periodic snapshots
+ * SHORTAGE_SNAPSHOT_MINUTES sets the interval (default 360, 0 disables)
+ * @returns {number} Interval in minutes, 0 when disabled
+ */
+function startShortageSnapshots() {
+    const minutes = SNAPSHOT_CONFIG.INTERVAL_MINUTES;
+    if (snapshotTimer || !Number.isFinite(minutes) || minutes <= 0) {
+        return snapshotTimer ? minutes : 0;
+    }
+
+    const snapshot = () => takeShortageSnapshot().catch(error =>
+        console.error(`[SNAPSHOT] ERROR: Snapshot failed: ${error.message}`)
+    );
+
+    // Catch up immediately if the stored snapshot is missing or older than one interval
+    const intervalMs = minutes * 60 * 1000;
+    if (!state.latest || Date.now() - new Date(state.latest.taken_at).getTime() > intervalMs) {
+        snapshot();
+    }
+
+    snapshotTimer = setInterval(snapshot, intervalMs);
+    snapshotTimer.unref();
+    return minutes;
+}
+
+export {
+    takeShortageSnapshot,
+    getShortageChanges,
+    startShortageSnapshots,
+    compactShortageRecords,
+    diffShortageSnapshots
+};
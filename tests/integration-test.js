@@ -70,7 +70,7 @@ async function testServerHealth() {
         const healthResponse = await fetch('https://certus.opensource.mieweb.org/health');
         const healthData = await healthResponse.json();
         test('Server returns healthy status', healthData.status === 'healthy');
-        test('Server has 8 tools available', healthData.tools_available === 8);
+        test('Server has 20 tools available', healthData.tools_available === 20);
     } catch (error) {
         test('Server health check failed', false, error.message, 'healthy response');
     }
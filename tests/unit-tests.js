@@ -8,15 +8,129 @@
 
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
 
 // Import the utility functions we want to test
 import {
     validateDrugName,
     normalizeIdentifierType,
+    buildLabelIdentifierSearch,
+    normalizeNDC,
+    formatFDADate,
+    getCacheTTLForKey,
+    coalesceRequest,
+    getCachedOrFetch,
+    buildRecallFilterQuery,
+    buildShortageTimeline,
+    assessAlternativeAvailability,
+    calculateDisproportionality,
+    bucketAgeCounts,
+    groupCountsByYear,
+    suggestDrugNames,
+    buildDrugIdentity,
+    diffLabelVersions,
+    alignLabelSections,
+    buildPagination,
+    decodeCursor,
+    runWithConcurrency,
+    paginateLabelSection,
     buildParams,
     isCacheValid,
-    getCacheStats
+    getCacheStats,
+    getRecallByNumber,
+    searchAdverseEvents,
+    searchSeriousAdverseEvents,
+    searchDrugApprovals,
+    searchDrugShortages,
+    searchDrugRecalls,
+    fetchDrugLabelInfo,
+    batchDrugAnalysis,
+    detectAdverseEventSignals,
+    compareDrugLabels
 } from '../openfda-client.js';
+import { createMemoryCacheStore, createFileCacheStore } from '../cache-store.js';
+import { compactShortageRecords, diffShortageSnapshots, getShortageChanges } from '../shortage-snapshots.js';
+import { EXPORT_COLUMNS, toDelimited, exportResults } from '../export-formatter.js';
+import {
+    SESSION_CONFIG,
+    negotiateProtocolVersion,
+    createSession,
+    getSession,
+    terminateSession,
+    expireIdleSessions,
+    sendSessionMessage,
+    createRequestStream,
+    eventsAfter
+} from '../mcp-sessions.js';
+
+// Watchlists are saved to a temporary file, never the real data directory; the
+// module reads its configuration on load, so it is imported after setting it
+process.env.RECALL_WATCHLIST_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'certus-watchlists-')), 'recall-watchlists.json');
+process.env.RECALL_WATCHLIST_MAX = '3';
+const {
+    detectRecallChanges,
+    createWatchlist,
+    listWatchlists,
+    deleteWatchlist,
+    checkWatchlist
+} = await import('../recall-watchlist.js');
+
+/**
+ * Run fn with global fetch answering every openFDA request through handler
+ * handler(url, options) returns { status, body }; nothing reaches the network
+ */
+async function withMockFetch(handler, fn) {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, options) => {
+        const { status = 200, body = {} } = await handler(new URL(url), options);
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            headers: { get: () => null },
+            json: async () => body
+        };
+    };
+    try {
+        return await fn();
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+}
+
+/**
+ * Start the HTTP server in a child process on a free port, stopped when test t ends
+ * mockFetch is module source run in that process first to stand in for openFDA
+ * @returns {Promise<string>} The server's /mcp URL
+ */
+async function startServer(t, mockFetch) {
+    const port = await new Promise(resolve => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+    const server = spawn(process.execPath, ['--import', `data:text/javascript,${encodeURIComponent(mockFetch)}`, 'official-mcp-server.js'], {
+        cwd: new URL('..', import.meta.url),
+        env: {
+            ...process.env,
+            PORT: String(port),
+            CERTUS_DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'certus-server-')),
+            RECALL_WATCHLIST_POLL_MINUTES: '0',
+            SHORTAGE_SNAPSHOT_MINUTES: '0'
+        },
+        stdio: ['ignore', 'pipe', 'ignore']
+    });
+    t.after(() => server.kill());
+    await new Promise((resolve, reject) => {
+        server.stdout.on('data', chunk => chunk.toString().includes('running on port') && resolve());
+        server.on('exit', () => reject(new Error('Server exited before listening')));
+    });
+    return `http://127.0.0.1:${port}/mcp`;
+}
 
 describe('Drug Name Validation', () => {
     test('should accept valid drug names', () => {
@@ -80,6 +194,100 @@ describe('Identifier Type Normalization', () => {
         const result = normalizeIdentifierType(unknownType);
         assert.strictEqual(result, 'openfda.generic_name', 'Should default unknown types to openfda.generic_name');
     });
+
+    test('should normalize code identifier types', () => {
+        assert.strictEqual(normalizeIdentifierType('rxcui'), 'openfda.rxcui');
+        assert.strictEqual(normalizeIdentifierType('product_ndc'), 'openfda.product_ndc');
+        assert.strictEqual(normalizeIdentifierType('openfda.spl_set_id'), 'set_id');
+        assert.strictEqual(normalizeIdentifierType('application_number'), 'openfda.application_number');
+    });
+});
+
+describe('Label Identifier Validation', () => {
+    test('should search names as entered', () => {
+        assert.deepStrictEqual(
+            buildLabelIdentifierSearch(' Lipitor ', 'openfda.brand_name'),
+            { search: 'openfda.brand_name:"Lipitor"', value: 'Lipitor' }
+        );
+    });
+
+    test('should normalize valid codes', () => {
+        assert.strictEqual(buildLabelIdentifierSearch('nda 020702', 'openfda.application_number').search, 'openfda.application_number:"NDA020702"');
+        assert.strictEqual(buildLabelIdentifierSearch('48a5m73z4q', 'openfda.unii').value, '48A5M73Z4Q');
+        assert.strictEqual(
+            buildLabelIdentifierSearch('C6E131FE-E7DF-4876-83F7-9156FC4E8228', 'set_id').value,
+            'c6e131fe-e7df-4876-83f7-9156fc4e8228'
+        );
+        assert.strictEqual(buildLabelIdentifierSearch('0071-0155', 'openfda.product_ndc').search, 'openfda.product_ndc:"0071-0155"');
+        assert(buildLabelIdentifierSearch('00710155', 'openfda.product_ndc').search.includes(' OR '), 'Unhyphenated NDCs try each layout');
+    });
+
+    test('should reject codes in the wrong format', () => {
+        assert(buildLabelIdentifierSearch('61x', 'openfda.rxcui').error);
+        assert(buildLabelIdentifierSearch('0071-0155-23', 'openfda.product_ndc').error, 'Package NDC is not a product NDC');
+        assert(buildLabelIdentifierSearch('0071-0155', 'openfda.package_ndc').error);
+        assert(buildLabelIdentifierSearch('not-a-uuid', 'set_id').error);
+        assert(buildLabelIdentifierSearch('XYZ123456', 'openfda.application_number').error);
+    });
+});
+
+describe('NDC Normalization', () => {
+    test('should keep hyphenated product and package NDCs', () => {
+        assert.deepStrictEqual(normalizeNDC('0002-3227'), { ndc_type: 'product', candidates: ['0002-3227'] });
+        assert.deepStrictEqual(normalizeNDC('0002-3227-30'), { ndc_type: 'package', candidates: ['0002-3227-30'] });
+    });
+    
+    test('should expand unhyphenated 10-digit codes into every FDA layout', () => {
+        const result = normalizeNDC('0002322730');
+        assert.strictEqual(result.ndc_type, 'package');
+        assert.deepStrictEqual(result.candidates, ['0002-3227-30', '00023-227-30', '00023-2273-0']);
+    });
+    
+    test('should strip HIPAA zero padding from 11-digit codes', () => {
+        const result = normalizeNDC('00002-3227-30');
+        assert(result.candidates.includes('0002-3227-30'), 'Should include the unpadded labeler form');
+        
+        const unhyphenated = normalizeNDC('00002322730');
+        assert(unhyphenated.candidates.includes('0002-3227-30'), 'Should handle unhyphenated 11-digit codes');
+    });
+    
+    test('should reject drug names and malformed codes', () => {
+        ['metformin', '12-34', '123456789012', '0002--3227', '', null].forEach(value => {
+            assert.strictEqual(normalizeNDC(value), null, `Should not treat ${value} as an NDC`);
+        });
+    });
+});
+
+describe('FDA Date Formatting', () => {
+    test('should convert YYYYMMDD dates to ISO format', () => {
+        assert.strictEqual(formatFDADate('20050419'), '2005-04-19');
+    });
+    
+    test('should pass through missing or already formatted dates', () => {
+        assert.strictEqual(formatFDADate(undefined), null);
+        assert.strictEqual(formatFDADate('2005-04-19'), '2005-04-19');
+    });
+});
+
+describe('Label Section Paging', () => {
+    const label = { boxed_warning: ['A'.repeat(1500), 'B'.repeat(500)] };
+    
+    test('should join section paragraphs and page by character offset', () => {
+        const firstPage = paginateLabelSection(label, 'boxed_warning', 0, 1000);
+        assert.strictEqual(firstPage.total_length, 2002, 'Paragraphs should be joined with a blank line');
+        assert.strictEqual(firstPage.returned_length, 1000);
+        assert.strictEqual(firstPage.has_more, true);
+        assert.strictEqual(firstPage.next_offset, 1000);
+        
+        const lastPage = paginateLabelSection(label, 'boxed_warning', 2000, 1000);
+        assert.strictEqual(lastPage.returned_length, 2);
+        assert.strictEqual(lastPage.has_more, false);
+        assert.strictEqual(lastPage.next_offset, null);
+    });
+    
+    test('should report missing sections as unavailable', () => {
+        assert.deepStrictEqual(paginateLabelSection(label, 'contraindications'), { available: false });
+    });
 });
 
 describe('API Parameter Building', () => {
@@ -170,11 +378,1270 @@ describe('Cache Validation', () => {
     });
 });
 
+describe('Cache TTL Selection', () => {
+    test('should pick TTL from cache key prefix', () => {
+        assert.strictEqual(getCacheTTLForKey('drug_label_openfda.generic_name_metformin'), 24 * 60);
+        assert.strictEqual(getCacheTTLForKey('drug_shortage_insulin_limit10'), 30);
+        assert.strictEqual(getCacheTTLForKey('adverse_event_aspirin_limit5_detailedfalse'), 60);
+        assert.strictEqual(getCacheTTLForKey('drug_vocabulary'), 24 * 60);
+        assert.strictEqual(getCacheTTLForKey('drug_identity_lipitor'), 24 * 60);
+        assert.strictEqual(getCacheTTLForKey('drug_shortage_history_insulin'), 30);
+        assert.strictEqual(getCacheTTLForKey('adverse_event_total_database'), 60);
+    });
+    
+    test('should default unknown keys to the shortest TTL', () => {
+        assert.strictEqual(getCacheTTLForKey('something_else'), 30);
+    });
+});
+
+describe('Cache Stores', () => {
+    test('memory store should behave like a Map', () => {
+        const store = createMemoryCacheStore();
+        const item = { data: { test: 'data' }, timestamp: Date.now() };
+        
+        store.set('drug_label_test', item);
+        assert.strictEqual(store.type, 'memory');
+        assert.strictEqual(store.size, 1);
+        assert.deepStrictEqual(store.get('drug_label_test'), item);
+        assert.deepStrictEqual([...store.keys()], ['drug_label_test']);
+        
+        assert.strictEqual(store.delete('drug_label_test'), true);
+        assert.strictEqual(store.size, 0);
+    });
+    
+    test('file store should persist entries across instances', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'certus-cache-'));
+        const filePath = path.join(dir, 'cache.json');
+        const item = { data: { results: [1, 2, 3] }, timestamp: Date.now() };
+        
+        try {
+            const store = createFileCacheStore(filePath);
+            store.set('drug_shortage_insulin_limit10', item);
+            store.flush();
+            
+            const reloaded = createFileCacheStore(filePath);
+            assert.strictEqual(reloaded.type, 'file');
+            assert.strictEqual(reloaded.size, 1);
+            assert.deepStrictEqual(reloaded.get('drug_shortage_insulin_limit10'), item);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+    
+    test('file store should start empty when the file is missing', () => {
+        const store = createFileCacheStore(path.join(os.tmpdir(), 'certus-missing', 'cache.json'));
+        assert.strictEqual(store.size, 0);
+    });
+});
+
+describe('Request Coalescing', () => {
+    test('should share one fetch between concurrent callers', async () => {
+        let fetchCount = 0;
+        const fetchFunction = async () => {
+            fetchCount++;
+            await new Promise(resolve => setTimeout(resolve, 10));
+            return { results: ['shared'] };
+        };
+        
+        const [first, second, third] = await Promise.all([
+            coalesceRequest('unit_test_coalesce', fetchFunction),
+            coalesceRequest('unit_test_coalesce', fetchFunction),
+            coalesceRequest('unit_test_coalesce', fetchFunction)
+        ]);
+        
+        assert.strictEqual(fetchCount, 1, 'Upstream fetch should run once');
+        assert.strictEqual(first, second);
+        assert.strictEqual(second, third);
+        assert(getCacheStats().coalescing.coalesced_hits >= 2, 'Coalesced hits should be counted');
+    });
+    
+    test('should fetch again once the pending request settles', async () => {
+        let fetchCount = 0;
+        const fetchFunction = async () => ++fetchCount;
+        
+        await coalesceRequest('unit_test_sequential', fetchFunction);
+        await coalesceRequest('unit_test_sequential', fetchFunction);
+        assert.strictEqual(fetchCount, 2, 'Sequential calls should not be coalesced');
+    });
+    
+    test('should share failures and release the key', async () => {
+        const failing = async () => {
+            throw new Error('upstream failure');
+        };
+        
+        await assert.rejects(coalesceRequest('unit_test_failure', failing), /upstream failure/);
+        assert.strictEqual(getCacheStats().coalescing.in_flight, 0, 'Failed request should not stay in flight');
+    });
+    
+    test('should release the key when the fetch throws synchronously', async () => {
+        const throwsImmediately = () => {
+            throw new Error('bad arguments');
+        };
+        
+        await assert.rejects(coalesceRequest('unit_test_sync_throw', throwsImmediately), /bad arguments/);
+        assert.strictEqual(getCacheStats().coalescing.in_flight, 0, 'Rejected request should not stay in flight');
+        assert.strictEqual(await coalesceRequest('unit_test_sync_throw', async () => 'fresh'), 'fresh');
+    });
+    
+    test('should not cache upstream failures', async () => {
+        let fetchCount = 0;
+        const outage = async () => {
+            fetchCount++;
+            return { error: 'FDA database is temporarily unavailable', error_type: 'fda_server_error' };
+        };
+        
+        await getCachedOrFetch('unit_test_outage', outage, 60);
+        const retried = await getCachedOrFetch('unit_test_outage', async () => ({ results: ['recovered'] }), 60);
+        assert.strictEqual(fetchCount, 1);
+        assert.deepStrictEqual(retried.results, ['recovered'], 'Outage should not be served from cache');
+    });
+    
+    test('should cache definite no-match answers', async () => {
+        let fetchCount = 0;
+        const notFound = async () => {
+            fetchCount++;
+            return { error: 'No information found for this medication', error_type: 'no_data_found' };
+        };
+        
+        await getCachedOrFetch('unit_test_not_found', notFound, 60);
+        await getCachedOrFetch('unit_test_not_found', notFound, 60);
+        assert.strictEqual(fetchCount, 1, '404 results should be cached');
+    });
+});
+
+describe('FDA Error Classification', () => {
+    // Application numbers map to a single search strategy, so each status is requested once per attempt
+    const approvalsWithStatus = async (status, applicationNumber) => {
+        let requests = 0;
+        const result = await withMockFetch(() => {
+            requests++;
+            return { status };
+        }, () => searchDrugApprovals(applicationNumber));
+        return { result, requests };
+    };
+
+    test('should keep HTTP 400 classified as a bad request', async () => {
+        const { result, requests } = await approvalsWithStatus(400, 'NDA000400');
+        assert.strictEqual(result.error_type, 'bad_request');
+        assert.strictEqual(requests, 1, 'Bad requests are not retried');
+    });
+
+    test('should keep HTTP 404 classified as no data found, not an unknown failure', async () => {
+        const { result, requests } = await approvalsWithStatus(404, 'NDA000404');
+        assert.strictEqual(result.error, undefined);
+        assert.deepStrictEqual(result.applications, []);
+        assert.match(result.message, /No Drugs@FDA applications found/);
+        assert.strictEqual(requests, 1);
+    });
+});
+
+describe('Recall Lookup', () => {
+    test('should report a missing recall only for a 404', async () => {
+        const result = await withMockFetch(() => ({ status: 404, body: { error: { code: 'NOT_FOUND' } } }),
+            () => getRecallByNumber('D-0001-2024'));
+        assert.strictEqual(result.error, undefined);
+        assert.deepStrictEqual(result.results, []);
+        assert.match(result.message, /No recall found/);
+    });
+    
+    test('should return upstream failures as errors', async () => {
+        const rejected = await withMockFetch(() => ({ status: 400, body: {} }),
+            () => getRecallByNumber('D-0002-2024'));
+        assert.match(rejected.error, /Unable to look up recall "D-0002-2024"/);
+        assert.strictEqual(rejected.error_type, 'bad_request');
+        assert.strictEqual(rejected.message, undefined);
+        
+        const offline = await withMockFetch(() => { throw new TypeError('fetch failed'); },
+            () => getRecallByNumber('D-0003-2024'));
+        assert(offline.error, 'Network failures should not read as "no recall found"');
+    });
+});
+
+describe('Recall Filters', () => {
+    test('should return no query when no filters are set', () => {
+        const result = buildRecallFilterQuery({});
+        assert.strictEqual(result.query, null);
+        assert.deepStrictEqual(result.applied, {});
+    });
+    
+    test('should normalize classification and status', () => {
+        const result = buildRecallFilterQuery({ classification: 'class ii', status: 'ongoing' });
+        assert.strictEqual(result.query, 'classification:"Class II" AND status:"Ongoing"');
+        assert.strictEqual(result.applied.classification, 'Class II');
+    });
+    
+    test('should build date ranges with open ends', () => {
+        const result = buildRecallFilterQuery({ report_date_from: '2024-01-15' });
+        assert.match(result.query, /^report_date:\[20240115 TO \d{8}\]$/);
+        assert.strictEqual(result.applied.report_date.from, '2024-01-15');
+        
+        const closed = buildRecallFilterQuery({ recall_initiation_date_to: '20231231' });
+        assert.strictEqual(closed.query, 'recall_initiation_date:[19000101 TO 20231231]');
+    });
+    
+    test('should map voluntary and mandated recalls', () => {
+        assert.strictEqual(buildRecallFilterQuery({ voluntary_mandated: 'FDA Mandated' }).applied.voluntary_mandated, 'FDA Mandated');
+        assert.strictEqual(buildRecallFilterQuery({ voluntary_mandated: 'voluntary' }).applied.voluntary_mandated, 'Voluntary: Firm initiated');
+    });
+    
+    test('should reject invalid filters', () => {
+        assert(buildRecallFilterQuery({ classification: 'Class IV' }).error);
+        assert(buildRecallFilterQuery({ status: 'Pending' }).error);
+        assert(buildRecallFilterQuery({ report_date_from: '2024-02-30' }).error);
+        assert(buildRecallFilterQuery({ report_date_from: '2024-05-01', report_date_to: '2024-01-01' }).error);
+    });
+});
+
+describe('Recall Watchlist Change Detection', () => {
+    test('should report recalls that have not been seen', () => {
+        const result = detectRecallChanges({ 'D-0001-2024': 'Ongoing' }, [
+            { recall_number: 'D-0001-2024', status: 'Ongoing' },
+            { recall_number: 'D-0002-2024', status: 'Ongoing' }
+        ]);
+        
+        assert.deepStrictEqual(result.new_recalls.map(r => r.recall_number), ['D-0002-2024']);
+        assert.strictEqual(result.status_changes.length, 0);
+        assert.strictEqual(result.seen['D-0002-2024'], 'Ongoing');
+    });
+    
+    test('should report status changes', () => {
+        const result = detectRecallChanges({ 'D-0001-2024': 'Ongoing' }, [
+            { recall_number: 'D-0001-2024', status: 'Terminated' }
+        ]);
+        
+        assert.strictEqual(result.new_recalls.length, 0);
+        assert.strictEqual(result.status_changes[0].previous_status, 'Ongoing');
+        assert.strictEqual(result.status_changes[0].current_status, 'Terminated');
+    });
+    
+    test('should keep recalls missing from the current results', () => {
+        const seen = { 'D-0001-2024': 'Ongoing' };
+        const result = detectRecallChanges(seen, []);
+        assert.deepStrictEqual(result.seen, seen);
+        assert.notStrictEqual(result.seen, seen, 'Seen map should not be mutated');
+    });
+});
+
+describe('Recall Watchlists', () => {
+    const WEBHOOK = 'https://93.184.216.34/hooks/recalls?token=secret';
+    const recall = (number, status = 'Ongoing') => ({ recall_number: number, status, report_date: '20240101' });
+
+    // Enforcement searches answer from recallsByDrug; webhook POSTs are recorded
+    const recallServer = (recallsByDrug, webhooks = [], searches = []) => (url) => {
+        if (url.hostname === '93.184.216.34') {
+            webhooks.push(url.pathname);
+            return { status: 200 };
+        }
+        if (!url.pathname.endsWith('/enforcement.json')) return { status: 404 };
+        searches.push(url);
+        const drug = Object.keys(recallsByDrug).find(name => url.searchParams.get('search').includes(name));
+        const recalls = recallsByDrug[drug];
+        if (recalls === 'down') return { status: 403 };
+        return recalls?.length ? { body: { results: recalls } } : { status: 404 };
+    };
+
+    test('should refuse webhooks to private, loopback and link-local addresses', () => {
+        for (const webhook_url of [
+            'http://127.0.0.1:8080/hook',
+            'http://[::1]/hook',
+            'http://169.254.169.254/latest/meta-data',
+            'http://10.1.2.3/hook',
+            'http://192.168.0.10/hook',
+            'http://[::ffff:127.0.0.1]/hook',
+            'http://2130706433/hook',
+            'http://localhost:3000/hook',
+            'ftp://93.184.216.34/hook'
+        ]) {
+            assert(createWatchlist({ drugs: ['heparin'], webhook_url }).error, `${webhook_url} should be refused`);
+        }
+    });
+
+    test('should redact webhook URLs and cap the number of watchlists', () => {
+        const created = [1, 2, 3].map(() => createWatchlist({ drugs: ['heparin'], webhook_url: WEBHOOK }).watchlist);
+        try {
+            assert.strictEqual(created[0].webhook_url, 'https://93.184.216.34/***');
+            assert(listWatchlists().every(watchlist => !watchlist.webhook_url.includes('secret')));
+            assert.match(createWatchlist({ drugs: ['heparin'] }).error, /At most 3 watchlists/);
+        } finally {
+            created.forEach(watchlist => deleteWatchlist(watchlist.id));
+        }
+    });
+
+    test('should record the baseline per term and treat failed searches as failures', async () => {
+        const { watchlist } = createWatchlist({ drugs: ['unittestpril', 'unittestolol'], webhook_url: WEBHOOK });
+        try {
+            const searches = [];
+            const first = await withMockFetch(
+                recallServer({ unittestpril: [recall('D-0001-2024')], unittestolol: 'down' }, [], searches),
+                () => checkWatchlist(watchlist.id, { notify: false })
+            );
+            assert.deepStrictEqual(first.failed_terms.map(failed => failed.term), ['unittestolol']);
+            assert.strictEqual(first.baseline, true);
+            assert.strictEqual(first.baseline_complete, false, 'A failed term has no baseline yet');
+            assert(searches.every(url => url.searchParams.get('sort') === 'report_date:desc'), 'Newest recalls are searched first');
+
+            const second = await withMockFetch(recallServer({
+                unittestpril: [recall('D-0001-2024'), recall('D-0002-2024')],
+                unittestolol: [recall('D-0003-2024'), recall('D-0004-2024')]
+            }), () => checkWatchlist(watchlist.id, { notify: false }));
+            assert.deepStrictEqual(second.new_recalls.map(r => r.recall_number), ['D-0002-2024'],
+                'Existing recalls of the term that was down are recorded as its baseline, not reported');
+            assert.strictEqual(second.baseline_complete, true);
+            assert.strictEqual(second.failed_terms, undefined);
+        } finally {
+            deleteWatchlist(watchlist.id);
+        }
+    });
+
+    test('should run concurrent checks one at a time and notify once', async () => {
+        const { watchlist } = createWatchlist({ drugs: ['unittestazepam'], webhook_url: WEBHOOK });
+        try {
+            await withMockFetch(recallServer({ unittestazepam: [recall('D-0010-2024')] }),
+                () => checkWatchlist(watchlist.id));
+
+            // The first check's search is slow and still sees the recall as Ongoing;
+            // run side by side, the second check would finish first and the first
+            // would then report a spurious Terminated -> Ongoing change
+            const webhooks = [];
+            let searches = 0;
+            const results = await withMockFetch(async (url) => {
+                if (url.pathname.endsWith('/enforcement.json') && searches++ === 0) {
+                    await new Promise(resolve => setTimeout(resolve, 50));
+                    return { body: { results: [recall('D-0010-2024')] } };
+                }
+                return recallServer({ unittestazepam: [recall('D-0010-2024', 'Terminated')] }, webhooks)(url);
+            }, () => Promise.all([checkWatchlist(watchlist.id), checkWatchlist(watchlist.id)]));
+
+            assert.strictEqual(results[0].status_changes.length, 0);
+            assert.strictEqual(results[1].status_changes[0].current_status, 'Terminated');
+            assert.strictEqual(results[1].webhook.delivered, true);
+            assert.strictEqual(webhooks.length, 1);
+        } finally {
+            deleteWatchlist(watchlist.id);
+        }
+    });
+
+    test('should send changes again after a failed webhook delivery', async () => {
+        const { watchlist } = createWatchlist({ drugs: ['unittestcillin'], webhook_url: WEBHOOK });
+        const deliveries = [];
+        // Enforcement searches answer from recalls; the webhook answers with webhookStatus
+        const check = (recalls, webhookStatus) => withMockFetch((url, options) => {
+            if (url.hostname === '93.184.216.34') {
+                deliveries.push(JSON.parse(options.body));
+                return { status: webhookStatus };
+            }
+            return recallServer({ unittestcillin: recalls })(url);
+        }, () => checkWatchlist(watchlist.id));
+        const numbers = recalls => recalls.map(r => r.recall_number);
+
+        try {
+            await check([recall('D-0020-2024')], 200);
+
+            const failed = await check([recall('D-0020-2024'), recall('D-0021-2024')], 500);
+            assert.strictEqual(failed.webhook.delivered, false);
+            const stored = listWatchlists().find(w => w.id === watchlist.id);
+            assert.strictEqual(stored.undelivered_changes, 1);
+            assert.strictEqual(stored.last_notification, null, 'A failed delivery is not a notification');
+
+            const retried = await check([recall('D-0020-2024'), recall('D-0021-2024'), recall('D-0022-2024')], 200);
+            assert.deepStrictEqual(numbers(retried.new_recalls), ['D-0022-2024']);
+            assert.strictEqual(retried.webhook.delivered, true);
+            assert.deepStrictEqual(numbers(deliveries.at(-1).new_recalls), ['D-0021-2024', 'D-0022-2024'],
+                'The next delivery carries the changes the failed one lost');
+            assert.strictEqual(listWatchlists().find(w => w.id === watchlist.id).undelivered_changes, undefined);
+
+            await check([recall('D-0020-2024'), recall('D-0021-2024'), recall('D-0022-2024')], 200);
+            assert.strictEqual(deliveries.length, 2, 'Delivered changes are not sent twice');
+        } finally {
+            deleteWatchlist(watchlist.id);
+        }
+    });
+});
+
+describe('Shortage Snapshot Diffs', () => {
+    const previous = compactShortageRecords([
+        { package_ndc: '0001-0001-01', generic_name: 'Amoxicillin', status: 'Current', availability: 'Limited', shortage_reason: 'Demand increase', openfda: {} },
+        { package_ndc: '0002-0002-02', generic_name: 'Heparin', status: 'Current', availability: 'Available' },
+        { package_ndc: '0003-0003-03', generic_name: 'Cefazolin', status: 'Current' }
+    ]);
+    
+    test('should key records by package NDC and drop untracked fields', () => {
+        assert(previous['ndc:0001-0001-01'], 'Record should be keyed by package NDC');
+        assert.strictEqual(previous['ndc:0001-0001-01'].openfda, undefined);
+    });
+    
+    test('should detect new, resolved, availability and reason changes', () => {
+        const current = compactShortageRecords([
+            { package_ndc: '0001-0001-01', generic_name: 'Amoxicillin', status: 'Current', availability: 'Unavailable', shortage_reason: 'Manufacturing delay' },
+            { package_ndc: '0002-0002-02', generic_name: 'Heparin', status: 'Resolved', availability: 'Available' },
+            { package_ndc: '0004-0004-04', generic_name: 'Lidocaine', status: 'Current' }
+        ]);
+        
+        const types = diffShortageSnapshots(previous, current).map(change => `${change.type}:${change.generic_name}`).sort();
+        assert.deepStrictEqual(types, [
+            'availability_change:Amoxicillin',
+            'new_shortage:Lidocaine',
+            'reason_change:Amoxicillin',
+            'resolved:Cefazolin',
+            'resolved:Heparin'
+        ]);
+    });
+    
+    test('should report nothing for identical snapshots', () => {
+        assert.deepStrictEqual(diffShortageSnapshots(previous, previous), []);
+    });
+
+    test('should reject a drug_name that is not a string', async () => {
+        for (const drugName of [42, ['heparin'], { name: 'heparin' }]) {
+            const result = await getShortageChanges(undefined, drugName);
+            assert.match(result.error, /drug_name must be/);
+        }
+    });
+});
+
+describe('Shortage Timeline', () => {
+    const now = new Date(Date.UTC(2024, 5, 15)); // 2024-06-15
+    const records = [
+        { presentation: 'Vial A', status: 'Resolved', initial_posting_date: '01/10/2023', change_date: '03/01/2023' },
+        { presentation: 'Vial B', status: 'Resolved', initial_posting_date: '02/01/2024', change_date: '04/11/2024' },
+        { presentation: 'Vial C', status: 'Current', initial_posting_date: '05/01/2024' },
+        { presentation: 'No date', status: 'Current' }
+    ];
+    
+    test('should limit the timeline to the requested window', () => {
+        const result = buildShortageTimeline(records, 6, now);
+        
+        assert.strictEqual(result.timeline.length, 6);
+        assert.strictEqual(result.timeline[0].month, '2024-01');
+        assert.strictEqual(result.timeline[5].month, '2024-06');
+        assert.strictEqual(result.summary.shortages_in_window, 3, 'Shortage resolved in 2023 is outside the window');
+    });
+    
+    test('should count starts, resolutions and active shortages per month', () => {
+        const byMonth = Object.fromEntries(buildShortageTimeline(records, 6, now).timeline.map(m => [m.month, m]));
+        
+        assert.strictEqual(byMonth['2024-02'].new_shortages, 1);
+        assert.strictEqual(byMonth['2024-04'].resolved, 1);
+        assert.strictEqual(byMonth['2024-03'].active, 1);
+        assert.strictEqual(byMonth['2024-05'].active, 1);
+    });
+    
+    test('should report durations and recurrence', () => {
+        const result = buildShortageTimeline(records, 24, now);
+        
+        assert.strictEqual(result.summary.resolved, 2);
+        assert.strictEqual(result.summary.current, 2);
+        assert.strictEqual(result.summary.median_resolved_duration_days, 60);
+        assert.strictEqual(result.recurrence.shortage_periods_on_record, 3);
+        assert.strictEqual(result.recurrence.returns_to_shortage, 2);
+    });
+    
+    test('should keep current shortages with no posting date as open', () => {
+        const result = buildShortageTimeline([{ presentation: 'No date', status: 'Current' }], 6, now);
+        
+        assert.strictEqual(result.summary.current, 1);
+        assert.strictEqual(result.summary.open_with_unknown_start, 1);
+        assert.strictEqual(result.summary.started_in_window, 0);
+        assert.strictEqual(result.timeline[5].active, 1, 'Active in the current month');
+        assert.strictEqual(result.timeline[4].active, 0, 'Not placed in earlier months');
+        assert.deepStrictEqual(
+            { start_date: result.shortages[0].start_date, ongoing: result.shortages[0].ongoing, duration_days: result.shortages[0].duration_days },
+            { start_date: null, ongoing: true, duration_days: null }
+        );
+        assert.strictEqual(result.recurrence.shortage_periods_on_record, 0);
+    });
+});
+
+describe('Therapeutic Alternative Availability', () => {
+    test('should rate a drug with no shortages or recalls as available', () => {
+        const result = assessAlternativeAvailability({ results: [{ status: 'Resolved' }] }, { results: [{ status: 'Terminated', classification: 'Class I' }] });
+        assert.strictEqual(result.availability, 'available');
+        assert.strictEqual(result.score, 100);
+    });
+    
+    test('should rate a current shortage as unavailable and keep its reasons', () => {
+        const result = assessAlternativeAvailability({
+            results: [
+                { status: 'Current', shortage_reason: 'Demand increase' },
+                { status: 'Current', shortage_reason: 'Demand increase' }
+            ]
+        }, { results: [] });
+        assert.strictEqual(result.availability, 'unavailable');
+        assert.strictEqual(result.score, 40);
+        assert.strictEqual(result.current_shortages, 2);
+        assert.deepStrictEqual(result.shortage_reasons, ['Demand increase']);
+    });
+    
+    test('should weigh ongoing Class I recalls above other recalls', () => {
+        const limited = assessAlternativeAvailability({ results: [] }, {
+            results: [{ status: 'Ongoing', classification: 'Class II' }]
+        });
+        const classOne = assessAlternativeAvailability({ results: [] }, {
+            results: [{ status: 'Ongoing', classification: 'Class I' }]
+        });
+        assert.strictEqual(limited.availability, 'limited');
+        assert.strictEqual(limited.score, 90);
+        assert.strictEqual(classOne.availability, 'unavailable');
+        assert.strictEqual(classOne.score, 70);
+        assert.strictEqual(classOne.ongoing_class_i_recalls, 1);
+    });
+    
+    test('should not score below zero', () => {
+        const recalls = Array.from({ length: 5 }, () => ({ status: 'Ongoing', classification: 'Class I' }));
+        const result = assessAlternativeAvailability({ results: [{ status: 'Current' }] }, { results: recalls });
+        assert.strictEqual(result.score, 0);
+    });
+    
+    test('should rate an alternative as unknown when a lookup failed', () => {
+        const result = assessAlternativeAvailability(
+            { error: 'Unable to search FDA Drug Shortages Database: FDA database is temporarily unavailable', error_type: 'fda_server_error' },
+            { results: [] }
+        );
+        assert.strictEqual(result.availability, 'unknown');
+        assert.strictEqual(result.score, 50);
+        assert.deepStrictEqual(result.failed_lookups.map(lookup => lookup.check), ['shortages']);
+        
+        const recalled = assessAlternativeAvailability({ error: 'timeout' }, {
+            results: [{ status: 'Ongoing', classification: 'Class I' }]
+        });
+        assert.strictEqual(recalled.availability, 'unavailable', 'A known Class I recall still rules the alternative out');
+    });
+});
+
+describe('Adverse Event Summary', () => {
+    // Count queries for a drug with 1000 reports, 400 of them serious
+    const faers = (seriousStatus) => (url) => {
+        const count = url.searchParams.get('count');
+        if (!url.pathname.endsWith('/event.json')) return { status: 404 };
+        if (count === 'serious') {
+            return seriousStatus === 200
+                ? { body: { results: [{ term: 1, count: 400 }, { term: 2, count: 600 }] } }
+                : { status: seriousStatus };
+        }
+        return { body: { results: [{ term: 'NAUSEA', count: 250 }, { term: 'HEADACHE', count: 100 }] } };
+    };
+
+    test('should summarize reactions and seriousness across all reports', async () => {
+        const result = await withMockFetch(faers(200), () => searchAdverseEvents('unittestazole', 5));
+        
+        assert.strictEqual(result.response_mode, 'summary');
+        assert.strictEqual(result.summary.total_reports_in_database, 1000);
+        assert.deepStrictEqual(result.summary.serious_events, { count: 400, percentage: '40%' });
+        assert.strictEqual(result.summary.non_serious_events.count, 600);
+        assert.deepStrictEqual(result.summary.top_reported_reactions[0], { reaction: 'NAUSEA', count: 250, percentage_of_reports: '25%' });
+    });
+    
+    test('should retry a failed seriousness count instead of caching it', async () => {
+        const failed = await withMockFetch(faers(400), () => searchAdverseEvents('unittestaprine', 5));
+        assert.strictEqual(failed.summary.serious_events.percentage, 'Unknown');
+        assert.strictEqual(failed.summary.top_reported_reactions.length, 2);
+        
+        const retried = await withMockFetch(faers(200), () => searchAdverseEvents('unittestaprine', 5));
+        assert.strictEqual(retried.summary.serious_events.percentage, '40%');
+    });
+});
+
+describe('Serious Adverse Events', () => {
+    const seriousReport = (flag, reaction) => ({
+        serious: '1',
+        [flag]: '1',
+        patient: { reaction: [{ reactionmeddrapt: reaction }] }
+    });
+
+    test('should restrict every strategy to serious reports and the chosen criterion', async () => {
+        const searches = [];
+        const result = await withMockFetch((url) => {
+            if (!url.pathname.endsWith('/event.json')) return { status: 404 };
+            searches.push(url.searchParams.get('search'));
+            return {
+                body: {
+                    meta: { results: { total: 12 } },
+                    results: [
+                        seriousReport('seriousnessdeath', 'CARDIAC ARREST'),
+                        seriousReport('seriousnessdeath', 'CARDIAC ARREST'),
+                        seriousReport('seriousnesshospitalization', 'SEPSIS')
+                    ]
+                }
+            };
+        }, () => searchSeriousAdverseEvents('unittestoxin', 5, false, 'death'));
+
+        assert(searches.length > 0);
+        assert(searches.every(search => search.endsWith(') AND serious:1 AND seriousnessdeath:1')));
+        assert.strictEqual(result.response_mode, 'summary');
+        assert.strictEqual(result.seriousness_filter, 'death');
+        assert.strictEqual(result.summary.total_serious_reports_in_database, 12);
+        assert.strictEqual(result.summary.sample_analyzed, 3);
+        assert.strictEqual(result.summary.serious_event_types.death, 2);
+        assert.strictEqual(result.summary.serious_event_types.hospitalization, 1);
+        assert.deepStrictEqual(result.summary.top_reactions_in_serious_events[0], { reaction: 'CARDIAC ARREST', count: 2 });
+    });
+
+    test('should report an upstream failure instead of "no serious events"', async () => {
+        const offline = await withMockFetch((url) => {
+            if (!url.pathname.endsWith('/event.json')) return { status: 404 };
+            throw new TypeError('fetch failed');
+        }, () => searchSeriousAdverseEvents('unittestoxin', 5));
+        assert(offline.error, 'An outage must not read as "no serious adverse events"');
+        assert.strictEqual(offline.message, undefined);
+        assert.strictEqual(offline.results, undefined);
+
+        const forbidden = await withMockFetch((url) => (
+            url.pathname.endsWith('/event.json') ? { status: 403 } : { status: 404 }
+        ), () => searchSeriousAdverseEvents('unittestoxin', 5));
+        assert.strictEqual(forbidden.error_type, 'unknown');
+        assert.strictEqual(forbidden.message, undefined);
+    });
+
+    test('should still report no serious events when openFDA finds none', async () => {
+        const result = await withMockFetch(() => ({ status: 404 }),
+            () => searchSeriousAdverseEvents('unittestoxin', 5));
+        assert.strictEqual(result.error, undefined);
+        assert.deepStrictEqual(result.results, []);
+        assert.match(result.message, /No serious adverse events found/);
+    });
+});
+
+describe('Disproportionality Analysis', () => {
+    test('should calculate PRR, ROR and chi-square', () => {
+        // a=10, b=90, c=990, d=98910
+        const result = calculateDisproportionality(10, 100, 1000, 100000);
+        
+        assert.strictEqual(result.prr.value, 10.09);
+        assert.strictEqual(result.ror.value, 11.1);
+        assert(result.prr.ci_lower < result.prr.value && result.prr.value < result.prr.ci_upper);
+        assert(result.chi_square > 4);
+        assert.strictEqual(result.signal, true);
+        assert.strictEqual(result.ror_signal, true);
+    });
+    
+    test('should not signal with fewer than three reports', () => {
+        const result = calculateDisproportionality(2, 100, 50, 100000);
+        assert(result.prr.value > 2, 'PRR is high');
+        assert.strictEqual(result.signal, false);
+    });
+    
+    test('should not signal when the reaction is under-reported', () => {
+        const result = calculateDisproportionality(10, 1000, 100000, 1000000);
+        assert(result.prr.value < 1);
+        assert.strictEqual(result.signal, false);
+        assert.strictEqual(result.ror_signal, false);
+    });
+    
+    test('should return null measures for impossible tables', () => {
+        const result = calculateDisproportionality(0, 100, 1000, 100000);
+        assert.strictEqual(result.prr, null);
+        assert.strictEqual(result.signal, false);
+    });
+
+    // Reaction counts for the drug, then report totals for the drug, each reaction and the database
+    const faers = (url) => {
+        if (!url.pathname.endsWith('/event.json')) return { status: 404 };
+        if (url.searchParams.get('count')) {
+            return { body: { results: [{ term: 'NAUSEA', count: 50 }, { term: 'RASH', count: 5 }] } };
+        }
+        const search = url.searchParams.get('search') || '';
+        const totals = { NAUSEA: 10000, RASH: 100000 };
+        const reaction = Object.keys(totals).find(term => search.includes(term));
+        const total = !search ? 1000000 : reaction ? totals[reaction] : 1000;
+        return { body: { meta: { results: { total } }, results: [{}] } };
+    };
+
+    test('should flag disproportionately reported reactions from FAERS counts', async () => {
+        const result = await withMockFetch(faers, () => detectAdverseEventSignals('unittestsignalol'));
+
+        assert.strictEqual(result.drug_reports, 1000);
+        assert.strictEqual(result.database_reports, 1000000);
+        assert.strictEqual(result.reactions_evaluated, 2);
+        assert.deepStrictEqual(result.signals_detected, ['NAUSEA']);
+    });
+
+    test('should report an upstream failure instead of no reports', async () => {
+        const result = await withMockFetch(
+            (url) => url.searchParams.get('count') ? { status: 403 } : faers(url),
+            () => detectAdverseEventSignals('unittestoutagol')
+        );
+
+        assert(result.error_type && result.error_type !== 'no_data_found', 'The failure should keep its classification');
+        assert.strictEqual(result.results, undefined, 'An outage is not an empty result');
+        assert.match(result.error, /Unable to search/);
+    });
+
+    test('should keep the error type when a report total fails', async () => {
+        const result = await withMockFetch(
+            (url) => url.searchParams.get('count') ? faers(url) : { status: 403 },
+            () => detectAdverseEventSignals('unittesttotalol')
+        );
+
+        assert(result.error_type && result.error_type !== 'no_data_found');
+        assert.strictEqual(result.retry_recommended, false);
+    });
+});
+
+describe('Adverse Event Demographics', () => {
+    test('should bucket onset ages into age groups', () => {
+        const groups = bucketAgeCounts([
+            { term: 1, count: 2 },
+            { term: 17, count: 3 },
+            { term: 18, count: 4 },
+            { term: 64, count: 5 },
+            { term: 80, count: 6 },
+            { term: 999, count: 100 }
+        ]);
+        const byGroup = Object.fromEntries(groups.map(g => [g.age_group, g.count]));
+        
+        assert.strictEqual(byGroup['0-1'], 2);
+        assert.strictEqual(byGroup['12-17'], 3);
+        assert.strictEqual(byGroup['18-44'], 4);
+        assert.strictEqual(byGroup['45-64'], 5);
+        assert.strictEqual(byGroup['75+'], 6, 'Implausible ages should be ignored');
+    });
+    
+    test('should sum daily receive dates into years', () => {
+        const years = groupCountsByYear([
+            { time: '20240105', count: 2 },
+            { time: '20230101', count: 1 },
+            { time: '20240220', count: 3 }
+        ]);
+        assert.deepStrictEqual(years, [{ year: 2023, count: 1 }, { year: 2024, count: 5 }]);
+    });
+});
+
+describe('Drug Name Suggestions', () => {
+    const vocabulary = [
+        { name: 'amoxicillin', count: 900 },
+        { name: 'amoxicillin and clavulanate potassium', count: 500 },
+        { name: 'metformin hydrochloride', count: 800 },
+        { name: 'metformin', count: 50 },
+        { name: 'atorvastatin calcium', count: 700 }
+    ];
+    
+    test('should suggest close matches for misspellings', () => {
+        const suggestions = suggestDrugNames('amoxicilin', vocabulary).map(s => s.name);
+        assert.strictEqual(suggestions[0], 'amoxicillin');
+        assert(suggestions.includes('amoxicillin and clavulanate potassium'), 'Should match on the first word');
+    });
+    
+    test('should handle transposed letters', () => {
+        assert.strictEqual(suggestDrugNames('metfromin', vocabulary)[0].name, 'metformin');
+    });
+    
+    test('should prefer whole-name matches over first-word matches', () => {
+        const suggestions = suggestDrugNames('metformn', vocabulary).map(s => s.name);
+        assert.deepStrictEqual(suggestions, ['metformin', 'metformin hydrochloride']);
+    });
+    
+    test('should not suggest unrelated or exact names', () => {
+        assert.deepStrictEqual(suggestDrugNames('zzqxv', vocabulary), []);
+        assert.deepStrictEqual(suggestDrugNames('metformin', vocabulary), []);
+        assert.deepStrictEqual(suggestDrugNames('ab', vocabulary), [], 'Very short names are too ambiguous');
+    });
+});
+
+describe('Drug Identity Resolution', () => {
+    const product = (brand, generic, ndc, rxcui) => ({
+        product_ndc: ndc,
+        brand_name: brand,
+        generic_name: generic,
+        openfda: { rxcui: [rxcui], unii: ['48A5M73Z4Q'], manufacturer_name: ['Pfizer Laboratories'] }
+    });
+    const records = [
+        product('Lipitor', 'ATORVASTATIN CALCIUM', '0071-0155', '617310'),
+        product('Atorvastatin Calcium', 'atorvastatin calcium', '0093-5056', '617311')
+    ];
+
+    test('should resolve brand and generic names to the same canonical name', () => {
+        const brand = buildDrugIdentity('lipitor', records);
+        const generic = buildDrugIdentity('Atorvastatin Calcium', records);
+
+        assert.strictEqual(brand.resolved, true);
+        assert.strictEqual(brand.matched_on, 'brand_name');
+        assert.strictEqual(brand.search_name, 'atorvastatin calcium');
+        assert.strictEqual(generic.search_name, brand.search_name);
+        assert.deepStrictEqual(brand.rxcuis, ['617310'], 'Only the matching product contributes');
+        assert.deepStrictEqual(generic.rxcuis, ['617310', '617311']);
+        assert.deepStrictEqual(generic.generic_names, ['ATORVASTATIN CALCIUM'], 'Names de-duplicate case-insensitively');
+    });
+
+    test('should use every record for an NDC query', () => {
+        const identity = buildDrugIdentity('0071-0155', records.slice(0, 1), true);
+        assert.strictEqual(identity.matched_on, 'ndc');
+        assert.deepStrictEqual(identity.brand_names, ['Lipitor']);
+    });
+
+    test('should not narrow partial names', () => {
+        const identity = buildDrugIdentity('atorvastatin', records);
+        assert.strictEqual(identity.resolved, false);
+        assert.strictEqual(identity.search_name, 'atorvastatin');
+        assert.deepStrictEqual(identity.candidates.brand_names, ['Lipitor', 'Atorvastatin Calcium']);
+    });
+
+    test('should look up each name once and share it across searches', async () => {
+        const requests = { ndc: 0, label: 0 };
+        const countLookups = (url) => {
+            if (url.pathname.endsWith('/ndc.json')) requests.ndc++;
+            if (url.pathname.endsWith('/label.json')) requests.label++;
+            // Searches find records, so only identity resolution reaches the NDC and label endpoints
+            return /\/(shortages|enforcement)\.json$/.test(url.pathname)
+                ? { body: { results: [{ status: 'Current' }] } }
+                : { status: 404 };
+        };
+
+        await withMockFetch(countLookups, async () => {
+            // Concurrent searches for a new name share one resolution
+            await Promise.all([searchDrugShortages('unittestmycin'), searchDrugRecalls('unittestmycin')]);
+            await searchDrugRecalls('Unittestmycin');
+        });
+
+        assert.deepStrictEqual(requests, { ndc: 1, label: 1 }, 'One NDC and one label lookup for all three searches');
+    });
+});
+
+describe('Drug Label Lookup', () => {
+    const labelFor = (search) => ({ body: { results: [{ id: search }] } });
+
+    test('should return the label for the field searched before resolving the name', async () => {
+        let ndcRequests = 0;
+        const result = await withMockFetch((url) => {
+            if (url.pathname.endsWith('/ndc.json')) ndcRequests++;
+            return url.pathname.endsWith('/label.json') ? labelFor(url.searchParams.get('search')) : { status: 404 };
+        }, () => fetchDrugLabelInfo('Unittestor', 'brand_name'));
+
+        assert.strictEqual(result.results[0].id, 'openfda.brand_name:"Unittestor"');
+        assert.strictEqual(ndcRequests, 0, 'A direct hit needs no identity resolution');
+    });
+
+    test('should fall back to the resolved identity when the field has no label', async () => {
+        const result = await withMockFetch((url) => {
+            const search = url.searchParams.get('search');
+            if (url.pathname.endsWith('/ndc.json')) {
+                return { body: { results: [{ product_ndc: '0000-0001', brand_name: 'Unittestrel', generic_name: 'unittestatin' }] } };
+            }
+            if (url.pathname.endsWith('/label.json') && search === 'openfda.brand_name:"Unittestrel"') {
+                return labelFor(search);
+            }
+            return { status: 404 };
+        }, () => fetchDrugLabelInfo('Unittestrel', 'generic_name'));
+
+        assert.strictEqual(result.error, undefined);
+        assert.strictEqual(result.results[0].id, 'openfda.brand_name:"Unittestrel"');
+    });
+
+    test('should keep the error type so outages are not reported as missing labels', async () => {
+        const outage = await withMockFetch(() => ({ status: 403 }), () => fetchDrugLabelInfo('unittestoutage'));
+        assert(outage.error_type && outage.error_type !== 'no_data_found', 'An outage should keep its classification');
+        assert.strictEqual(outage.retry_recommended, false);
+
+        const missing = await withMockFetch(() => ({ status: 404 }), () => fetchDrugLabelInfo('unittestnolabel'));
+        assert.strictEqual(missing.error_type, 'no_data_found');
+    });
+
+    test('should answer label resource reads during an outage with a server error', async (t) => {
+        const url = await startServer(t, `globalThis.fetch = async (url) => new Response('{"error":{"code":"X"}}', { status: String(url).includes('outagedrug') ? 403 : 404 });`);
+        const read = async (drug) => {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'resources/read', params: { uri: `fda://label/${drug}/warnings` } })
+            });
+            return (await response.json()).error;
+        };
+
+        assert.notStrictEqual((await read('outagedrug')).code, -32002, 'An outage is not a missing resource');
+        assert.strictEqual((await read('nolabeldrug')).code, -32002);
+    });
+});
+
+describe('Label Version Diffs', () => {
+    const older = {
+        set_id: 'abc',
+        version: '5',
+        indications_and_usage: ['Indicated for atrial fibrillation. Reduces stroke risk.'],
+        warnings: ['Bleeding may occur.'],
+        spl_product_data_elements: ['warfarin sodium tablets']
+    };
+    const newer = {
+        set_id: 'abc',
+        version: '6',
+        indications_and_usage: ['Indicated for atrial fibrillation.\n  Reduces stroke risk.'],
+        warnings: ['Bleeding may occur. Monitor INR closely.'],
+        boxed_warning: ['WARNING: BLEEDING RISK. May cause major or fatal bleeding.'],
+        spl_product_data_elements: ['warfarin sodium tablets USP']
+    };
+
+    test('should report added and changed sections sentence by sentence', () => {
+        const diff = diffLabelVersions(older, newer);
+        assert.deepStrictEqual(diff.summary.sections_added, ['boxed_warning']);
+        assert.deepStrictEqual(diff.summary.sections_changed, ['warnings']);
+        assert.strictEqual(diff.summary.sections_unchanged, 1, 'Reflowed text is not a change');
+
+        const warnings = diff.sections.find(section => section.section === 'warnings');
+        assert.deepStrictEqual(warnings.added, ['Monitor INR closely.']);
+        assert.deepStrictEqual(warnings.removed, []);
+    });
+
+    test('should list safety sections separately and ignore non-section fields', () => {
+        const diff = diffLabelVersions(newer, older);
+        assert.deepStrictEqual(diff.summary.sections_removed, ['boxed_warning']);
+        assert.deepStrictEqual(diff.safety_changes.map(change => change.section), ['boxed_warning', 'warnings']);
+        assert(!diff.sections.some(section => section.section === 'spl_product_data_elements'));
+    });
+});
+
+describe('Label Comparison', () => {
+    const brand = {
+        indications_and_usage: ['Lowers LDL cholesterol. Reduces the risk of MI.'],
+        contraindications: ['Active liver disease.'],
+        warnings_and_cautions: ['Myopathy may occur.']
+    };
+    const generic = {
+        indications_and_usage: ['Lowers LDL cholesterol.'],
+        warnings: ['Myopathy may occur.'],
+        boxed_warning: ['Not for use in pregnancy.']
+    };
+
+    test('should flag sections present in only one label', () => {
+        const result = alignLabelSections(brand, generic, ['boxed_warning', 'contraindications', 'drug_interactions']);
+        assert.deepStrictEqual(result.only_in_first, ['contraindications']);
+        assert.deepStrictEqual(result.only_in_second, ['boxed_warning']);
+        assert.strictEqual(result.sections[2].presence, 'neither');
+    });
+
+    test('should count shared sentences and fall back to older section names', () => {
+        const [indications, warnings] = alignLabelSections(brand, generic, ['indications_and_usage', 'warnings_and_cautions']).sections;
+        assert.strictEqual(indications.shared_sentences, 1);
+        assert.strictEqual(indications.sentences_only_in_first, 1);
+        assert.strictEqual(indications.identical, false);
+        assert.strictEqual(warnings.second.source_section, 'warnings', 'Non-PLR labels use the warnings section');
+        assert.strictEqual(warnings.identical, true);
+    });
+
+    test('should report a failed lookup as an upstream failure, not a missing label', async () => {
+        // The first drug has a label; the second drug's lookup fails
+        const labels = (url) => {
+            const search = url.searchParams.get('search') || '';
+            if (!url.pathname.endsWith('/label.json')) return { status: 404 };
+            if (search.includes('unittestcompareone')) return { body: { results: [{ set_id: 'one', ...brand }] } };
+            return search.includes('unittestcomparedown') ? { status: 403 } : { status: 404 };
+        };
+
+        const failed = await withMockFetch(labels, () => compareDrugLabels('unittestcompareone', 'unittestcomparedown'));
+        assert(failed.error_type && failed.error_type !== 'no_data_found', 'The failure should keep its classification');
+        assert.strictEqual(failed.search_term, 'unittestcomparedown');
+        assert.doesNotMatch(failed.error, /No FDA label found/);
+
+        const missing = await withMockFetch(labels, () => compareDrugLabels('unittestcompareone', 'unittestcomparenone'));
+        assert.match(missing.error, /No FDA label found for "unittestcomparenone"/);
+    });
+});
+
+describe('Cursor Pagination', () => {
+    const firstPage = { t: 'recalls', d: 'warfarin', q: 'product_description:"warfarin"', n: 3, p: {}, o: 0 };
+    const page = (returned, total) => ({ results: Array(returned).fill({}), meta: { results: { total } } });
+
+    test('should page with skip until every result is returned', () => {
+        const first = buildPagination(firstPage, page(3, 7));
+        assert.strictEqual(first.has_more, true);
+
+        const state = decodeCursor(first.next_cursor, 'recalls');
+        assert.strictEqual(state.k, 3);
+        assert.strictEqual(state.q, firstPage.q, 'Cursor keeps the search that found results');
+
+        const last = buildPagination(decodeCursor(buildPagination(state, page(3, 7)).next_cursor, 'recalls'), page(1, 7));
+        assert.strictEqual(last.offset, 6);
+        assert.strictEqual(last.has_more, false);
+        assert.strictEqual(last.next_cursor, null);
+    });
+
+    test('should prefer search_after links and stop at the skip limit without one', () => {
+        const data = page(3, 50000);
+        Object.defineProperty(data, 'nextPageLink', {
+            value: 'https://api.fda.gov/drug/enforcement.json?search=x&limit=3&search_after=0%3Dabc'
+        });
+        const state = decodeCursor(buildPagination(firstPage, data).next_cursor, 'recalls');
+        assert.strictEqual(state.a, '0=abc');
+        assert.strictEqual(state.k, undefined);
+
+        const deep = buildPagination({ ...firstPage, o: 24999 }, page(3, 50000));
+        assert.strictEqual(deep.next_cursor, null);
+        assert(deep.note, 'Explains why paging stopped');
+    });
+
+    test('should reject malformed cursors and cursors for another tool', () => {
+        const cursor = buildPagination(firstPage, page(3, 7)).next_cursor;
+        assert.strictEqual(decodeCursor(cursor, 'shortages'), null);
+        assert.strictEqual(decodeCursor('not-a-cursor', 'recalls'), null);
+    });
+
+    test('should reject cursors edited to change the openFDA query', () => {
+        const forge = (changes) => Buffer.from(JSON.stringify({ v: 1, ...firstPage, o: 3, ...changes })).toString('base64url');
+
+        assert.deepStrictEqual(decodeCursor(forge({ k: 3, p: { sort: 'report_date:desc' } }), 'recalls').p, { sort: 'report_date:desc' });
+        assert.strictEqual(decodeCursor(forge({ p: { count: 'recalling_firm.exact' } }), 'recalls'), null, 'Only a sort may be passed through');
+        assert.strictEqual(decodeCursor(forge({ p: { sort: 'report_date:desc&limit=1000' } }), 'recalls'), null);
+        assert.strictEqual(decodeCursor(forge({ p: ['sort'] }), 'recalls'), null);
+        assert.strictEqual(decodeCursor(forge({ k: 25001 }), 'recalls'), null, 'Skip stays within the openFDA limit');
+        assert.strictEqual(decodeCursor(forge({ k: '3' }), 'recalls'), null);
+        assert.strictEqual(decodeCursor(forge({ a: { sort: 'x' } }), 'recalls'), null, 'search_after must be a string');
+        assert.strictEqual(decodeCursor(forge({ a: '0=abc', k: 3 }), 'recalls'), null);
+        assert.strictEqual(decodeCursor(forge({ n: 5000 }), 'recalls'), null);
+    });
+});
+
+describe('Batch Worker Pool', () => {
+    test('should never run more than the concurrency limit at once', async () => {
+        let running = 0;
+        let peak = 0;
+        const results = await runWithConcurrency([30, 10, 20, 5, 15], 2, async (delay) => {
+            running++;
+            peak = Math.max(peak, running);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            running--;
+            return delay * 2;
+        });
+
+        assert.strictEqual(peak, 2);
+        assert.deepStrictEqual(results.map(result => result.value), [60, 20, 40, 10, 30], 'Results keep item order');
+    });
+
+    test('should capture failures without stopping other items', async () => {
+        const results = await runWithConcurrency(['a', 'b', 'c'], 3, async (item) => {
+            if (item === 'b') throw new Error('upstream failed');
+            return item.toUpperCase();
+        });
+
+        assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+        assert.strictEqual(results[1].reason.message, 'upstream failed');
+    });
+});
+
+describe('Batch Drug Analysis', () => {
+    test('should keep one analysis per listed drug and report failed lookups', async () => {
+        const result = await withMockFetch((url) => {
+            if (url.pathname.endsWith('/shortages.json')) return { status: 403 };
+            if (url.pathname.endsWith('/enforcement.json')) {
+                return { body: { results: [{ recall_number: 'D-0001-2024', status: 'Ongoing' }] } };
+            }
+            return { status: 404 };
+        }, () => batchDrugAnalysis(['unittestidine', 'Unittestidine', 'unittestidine']));
+
+        assert.strictEqual(result.drug_analyses.length, 3);
+        assert.deepStrictEqual(result.drug_analyses.map(analysis => analysis.drug_name), ['unittestidine', 'Unittestidine', 'unittestidine']);
+        for (const analysis of result.drug_analyses) {
+            assert.deepStrictEqual(analysis.checks, { shortages: 'failed', recalls: 'ok' });
+            assert.strictEqual(analysis.status, 'partial');
+            assert.strictEqual(analysis.errors.length, 1, 'Each entry holds only its own errors');
+            assert.match(analysis.errors[0].error, /Unable to search FDA Drug Shortages Database/);
+            assert.strictEqual(analysis.recall_data.results.length, 1);
+        }
+        assert.deepStrictEqual(result.batch_info.status_counts, { ok: 0, partial: 3, failed: 0 });
+    });
+
+    test('should not fail the labels check for a drug without a label', async () => {
+        const result = await withMockFetch((url) => {
+            if (url.pathname.endsWith('/shortages.json')) return { body: { results: [{ status: 'Current' }] } };
+            return { status: 404 };
+        }, () => batchDrugAnalysis(['unittestnolabelone'], false, { checks: ['shortages', 'labels'] }));
+
+        const [analysis] = result.drug_analyses;
+        assert.deepStrictEqual(analysis.checks, { shortages: 'ok', labels: 'ok' });
+        assert.strictEqual(analysis.status, 'ok');
+        assert.strictEqual(analysis.label_data.error_type, 'no_data_found', 'The missing label is still reported');
+        assert.deepStrictEqual(result.batch_info.status_counts, { ok: 1, partial: 0, failed: 0 });
+    });
+});
+
+describe('Spreadsheet Export', () => {
+    test('should quote CSV cells and neutralize formulas', () => {
+        const csv = toDelimited([
+            { name: 'Acme, Inc.', note: 'says "hi"\nagain', formula: '=SUM(A1)', dose: -5, tags: ['a', 'b'] }
+        ], ['name', 'note', 'formula', 'dose', 'tags', 'missing']);
+
+        assert.strictEqual(csv, 'name,note,formula,dose,tags,missing\r\n"Acme, Inc.","says ""hi""\nagain",\'=SUM(A1),-5,a; b,\r\n');
+    });
+
+    test('should flatten separators inside TSV cells', () => {
+        const tsv = toDelimited([{ reason: 'Line1\nLine2\tTabbed' }], ['reason'], '\t');
+        assert.strictEqual(tsv, 'reason\r\nLine1 Line2 Tabbed\r\n');
+    });
+
+    test('should export recalls with fixed columns and ISO dates', () => {
+        const file = exportResults('recalls', {
+            search_term: 'Warfarin',
+            results: [{ recall_number: 'D-0001-2024', report_date: '20240115', unexpected_field: 'dropped' }]
+        }, 'csv');
+
+        const [header, row] = file.content.trim().split('\r\n');
+        assert.strictEqual(header, EXPORT_COLUMNS.recalls.join(','));
+        assert(row.startsWith('Warfarin,D-0001-2024,,,,2024-01-15,'));
+        assert(!file.content.includes('dropped'));
+        assert.strictEqual(file.row_count, 1);
+        assert.strictEqual(file.mime_type, 'text/csv; charset=utf-8');
+        assert.match(file.filename, /^certus-recalls-warfarin-\d{4}-\d{2}-\d{2}\.csv$/);
+    });
+
+    test('should export one batch row per drug with check status', () => {
+        const file = exportResults('batch', {
+            drug_analyses: [{
+                drug_name: 'heparin',
+                status: 'partial',
+                checks: { shortages: 'ok', recalls: 'timed_out' },
+                shortage_data: { results: [{ status: 'Current' }, { status: 'Resolved' }] },
+                errors: [{ check: 'recalls', error: 'Timed out after 30 seconds' }]
+            }]
+        }, 'tsv');
+
+        const row = file.content.trim().split('\r\n')[1].split('\t');
+        const cell = (column) => row[EXPORT_COLUMNS.batch.indexOf(column)];
+        assert.strictEqual(cell('status'), 'partial');
+        assert.strictEqual(cell('failed_checks'), 'recalls (timed_out)');
+        assert.strictEqual(cell('shortage_records'), '2');
+        assert.strictEqual(cell('current_shortages'), '1');
+        assert.strictEqual(cell('recall_records'), '');
+        assert.strictEqual(cell('errors'), 'recalls: Timed out after 30 seconds');
+    });
+
+    test('should reject unknown formats and pass through errors', () => {
+        assert(exportResults('recalls', { results: [] }, 'xlsx').error.includes('xlsx'));
+        assert(exportResults('labels', { results: [] }, 'csv').error.includes('labels'));
+        assert.strictEqual(exportResults('shortages', { error: 'FDA unavailable' }, 'csv').error, 'FDA unavailable');
+    });
+});
+
+describe('MCP Sessions', () => {
+    // Collects SSE writes in place of an HTTP response
+    const fakeStream = () => ({ writes: [], ended: false, write(chunk) { this.writes.push(chunk); }, end() { this.ended = true; } });
+
+    test('should create sessions with a negotiated protocol version', () => {
+        const { session } = createSession(negotiateProtocolVersion('2025-03-26'));
+        assert.strictEqual(session.protocolVersion, '2025-03-26');
+        assert.strictEqual(getSession(session.id), session);
+        assert.strictEqual(negotiateProtocolVersion('1999-01-01'), '2024-11-05');
+        terminateSession(session);
+    });
+
+    test('should not resolve unknown or terminated session ids', () => {
+        const { session } = createSession('2025-06-18');
+        const stream = fakeStream();
+        session.streams.add(stream);
+
+        terminateSession(session);
+        assert.strictEqual(getSession(session.id), null);
+        assert.strictEqual(getSession('not-a-session'), null);
+        assert.strictEqual(stream.ended, true, 'Open streams should be closed');
+    });
+
+    test('should replay events after Last-Event-ID', () => {
+        const { session } = createSession('2025-06-18');
+        const stream = fakeStream();
+        session.streams.add(stream);
+        for (let i = 1; i <= 3; i++) {
+            sendSessionMessage(session, { jsonrpc: '2.0', method: 'notifications/message', params: { i } });
+        }
+
+        assert.strictEqual(stream.writes.length, 3);
+        assert(stream.writes[0].startsWith('id: 1\nevent: message\ndata: '));
+        assert.deepStrictEqual(eventsAfter(session, 1).map(event => event.message.params.i), [2, 3]);
+        assert.deepStrictEqual(eventsAfter(session, 3), []);
+        terminateSession(session);
+    });
+
+    test('should replay only the stream the client lost', () => {
+        const { session } = createSession('2025-06-18');
+        const response = fakeStream();
+        const send = createRequestStream(session, response);
+        send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 0 } });
+        sendSessionMessage(session, { jsonrpc: '2.0', method: 'notifications/resources/list_changed' });
+        send({ jsonrpc: '2.0', id: 1, result: {} });
+
+        assert.strictEqual(response.writes.length, 2, 'Standalone messages should not go on a request stream');
+        assert.deepStrictEqual(eventsAfter(session, 1).map(event => event.id), [3]);
+        assert.deepStrictEqual(eventsAfter(session, 0).map(event => event.id), [2]);
+        terminateSession(session);
+    });
+
+    test('should replay real /mcp traffic after Last-Event-ID', async (t) => {
+        const url = await startServer(t, `globalThis.fetch = async () => new Response('{"error":{"code":"NOT_FOUND"}}', { status: 404 });`);
+        const post = (body, headers = {}) => fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body)
+        });
+        const parseEvents = text => text.split('\n\n').filter(block => block.startsWith('id: ')).map(block => ({
+            id: Number(block.match(/^id: (\d+)/)[1]),
+            message: JSON.parse(block.match(/^data: (.*)$/m)[1])
+        }));
+
+        const initialized = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } });
+        const sessionId = initialized.headers.get('mcp-session-id');
+        assert.strictEqual((await initialized.json()).result.capabilities.resources.listChanged, true);
+
+        const call = await post({
+            jsonrpc: '2.0',
+            id: 2,
+            method: 'tools/call',
+            params: { name: 'search_drug_shortages', arguments: { drug_name: 'streamtestdrug' }, _meta: { progressToken: 'p1' } }
+        }, { 'Mcp-Session-Id': sessionId, Accept: 'application/json, text/event-stream' });
+        const posted = parseEvents(await call.text());
+        assert.deepStrictEqual(posted.map(event => event.message.method ?? 'result'), ['notifications/progress', 'notifications/progress', 'result']);
+
+        // Resuming the POST response replays what followed the first progress event
+        const resumed = await fetch(url, {
+            headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId, 'Last-Event-ID': String(posted[0].id) }
+        });
+        assert.deepStrictEqual(parseEvents(await resumed.text()), posted.slice(1));
+
+        // The standalone stream replays the list_changed notification the tool call caused
+        const controller = new AbortController();
+        const standalone = await fetch(url, {
+            headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId, 'Last-Event-ID': '0' },
+            signal: controller.signal
+        });
+        const { value } = await standalone.body.getReader().read();
+        controller.abort();
+        const replayed = parseEvents(Buffer.from(value).toString());
+        assert.deepStrictEqual(replayed.map(event => event.message.method), ['notifications/resources/list_changed']);
+        assert(!posted.some(event => event.id === replayed[0].id), 'Standalone events should have their own ids');
+    });
+
+    test('should expire idle sessions without open streams', () => {
+        const idle = createSession('2025-06-18').session;
+        const streaming = createSession('2025-06-18').session;
+        streaming.streams.add(fakeStream());
+        const longAgo = Date.now() - SESSION_CONFIG.IDLE_TIMEOUT_MS - 1000;
+        idle.lastActivity = longAgo;
+        streaming.lastActivity = longAgo;
+
+        const expired = expireIdleSessions();
+        assert(expired.includes(idle.id));
+        assert(!expired.includes(streaming.id));
+        terminateSession(streaming);
+    });
+
+    test('should close the least recently active session at the limit', () => {
+        const originalLimit = SESSION_CONFIG.MAX_SESSIONS;
+        SESSION_CONFIG.MAX_SESSIONS = 2;
+        try {
+            const first = createSession('2025-06-18').session;
+            const second = createSession('2025-06-18').session;
+            first.lastActivity = Date.now() - 1000;
+
+            const { session: third, evicted } = createSession('2025-06-18');
+            assert.deepStrictEqual(evicted, [first.id]);
+            assert.strictEqual(getSession(first.id), null);
+            terminateSession(second);
+            terminateSession(third);
+        } finally {
+            SESSION_CONFIG.MAX_SESSIONS = originalLimit;
+        }
+    });
+});
+
 describe('Cache Statistics', () => {
     test('should return valid cache statistics structure', () => {
         const stats = getCacheStats();
         
         assert(typeof stats === 'object', 'Should return an object');
+        assert(typeof stats.backend === 'string', 'Should report the cache backend');
         assert(typeof stats.totalEntries === 'number', 'Should have totalEntries number');
         assert(typeof stats.memoryUsageApprox === 'number', 'Should have memory usage estimate');
         assert(typeof stats.entriesByType === 'object', 'Should have entriesByType object');
@@ -186,6 +1653,27 @@ describe('Cache Statistics', () => {
         });
     });
     
+    test('should count newer cache key types in their own buckets', async () => {
+        const keys = {
+            drug_vocabulary: 'drug_label_known_statsdrug',
+            drug_identity: 'drug_identity_statsdrug',
+            drug_label_history: 'drug_label_history_stats-set-id',
+            adverse_event_totals: 'adverse_event_total_reaction_statsdrug',
+            adverse_events: 'adverse_event_statsdrug_summary_top5_seriousness'
+        };
+        const before = getCacheStats().entriesByType;
+
+        for (const key of Object.values(keys)) {
+            await getCachedOrFetch(key, async () => ({ results: [] }), 60);
+        }
+
+        const after = getCacheStats().entriesByType;
+        for (const type of Object.keys(keys)) {
+            assert.strictEqual(after[type], before[type] + 1, `Should count ${keys[type]} as ${type}`);
+        }
+        assert.strictEqual(after.other, before.other, 'Known prefixes should not fall into other');
+    });
+
     test('should calculate memory usage estimate', () => {
         const stats = getCacheStats();
         